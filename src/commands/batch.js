@@ -1,10 +1,47 @@
 import { createReadStream, createWriteStream, promises as fsPromises } from "fs"
+import { isUtf8 } from "buffer"
 import path from "path"
 import { pipeline } from "stream/promises"
-import { decompressData } from "../lib/decompressor.js"
+import { once } from "events"
 import { logVerbose, logError, logDebug, logInfo, logIfNotQuiet } from "../lib/logger.js"
-import { readLineByLine } from "../lib/fileReader.js"
-import { decodeBase64 } from "../lib/encoding.js"
+import { readLines } from "../lib/fileReader.js"
+import { createLineParser, parseLineFormat, LINE_FORMATS } from "../lib/lineFormat.js"
+import { parseEncoding, ENCODINGS } from "../lib/encoding.js"
+import {
+  checkOutputLimits,
+  createOutputLimits,
+  parseRatio,
+  parseSize,
+  recordOutput,
+} from "../lib/limits.js"
+import { openCheckpoint, watchInterrupt } from "../lib/checkpoint.js"
+import { EncodingError, LimitExceededError, UsageError } from "../lib/errors.js"
+import { EXIT_CODES, exitCodeForError, exitCodeForRun } from "../lib/exitCodes.js"
+import { createErrorBudget, parseMaxErrors } from "../lib/errorBudget.js"
+import { collectDictionary, loadDictionaries } from "../lib/dictionary.js"
+import { describeFormatOption } from "../lib/codecs/index.js"
+import { safeOutputName } from "../lib/gzipHeader.js"
+import { sniffContentType } from "../lib/contentSniffer.js"
+import { decodeEntry } from "../lib/entryDecoder.js"
+import { createDeadLetter, readDeadLetterLineNumbers } from "../lib/deadLetter.js"
+import { archiveFormatOf, createArchiveWriter } from "../lib/archiveWriter.js"
+import { createManifest, parseManifestFormat, sha256, MANIFEST_FORMATS } from "../lib/manifest.js"
+import { createWorkerPool, mapInOrder, parseConcurrency } from "../lib/workerPool.js"
+
+// Fields of each --manifest record
+const MANIFEST_COLUMNS = [
+  "line",
+  "key",
+  "status",
+  "path",
+  "duplicateOf",
+  "sha256",
+  "compressedSize",
+  "decompressedSize",
+  "format",
+  "contentType",
+  "error",
+]
 
 /**
  * Setup the batch command
@@ -14,22 +51,70 @@ export function setupBatchCommand(program) {
   program
     .command("batch")
     .description("Process a file with base64-encoded, newline-delimited compressed data")
-    .requiredOption(
+    .option(
       "-i, --input <file>",
-      "input file containing base64 encoded data (one per line)",
+      "input file containing base64 encoded data, one per line (defaults to stdin)",
     )
     .option(
       "-o, --output-dir <dir>",
-      "output directory for decompressed files (use '-' for stdout)",
+      "output directory for decompressed files ('-' for stdout, or a .tar, .tar.gz or .zip file)",
       "./output",
     )
     .option("-p, --prefix <prefix>", "filename prefix for output files", "decompressed_")
-    .option("-f, --format <format>", "compression format (auto, deflate, raw, gzip)", "auto")
+    .option("-f, --format <format>", describeFormatOption(), "auto")
+    .option(
+      "--encoding <encoding>",
+      `text encoding of each payload (${ENCODINGS.join(", ")})`,
+      parseEncoding,
+      "base64",
+    )
+    .option(
+      "--line-format <format>",
+      `layout of each line (${LINE_FORMATS.join(", ")})`,
+      parseLineFormat,
+      "plain",
+    )
+    .option("--payload-column <column>", "column holding the payload (number or header name)")
+    .option("--key-column <column>", "column holding a key used to name output files")
+    .option("--header", "treat the first row as column names")
+    .option("--comment <prefix>", "skip lines starting with this prefix", "#")
+    .option("--no-gzip-name", "ignore the original file name and mtime stored in gzip headers")
+    .option("--no-sniff", "name every output .txt instead of using its detected content type")
+    .option(
+      "--manifest <format>",
+      `list every entry in a manifest file in the output (${MANIFEST_FORMATS.join(", ")})`,
+      parseManifestFormat,
+    )
+    .option("--dedup", "write identical content once; duplicates point to it in the manifest")
     .option("-v, --verbose", "enable verbose output")
     .option("-q, --quiet", "suppress all non-error output")
     .option("-d, --debug", "show detailed error information")
     .option("-s, --summary", "show summary statistics after processing")
     .option("--separator <sep>", "separator between entries when using stdout", "\n---\n")
+    .option("--jsonl", "with -o -, write one JSON record per line instead of raw content")
+    .option(
+      "--dictionary <file>",
+      "preset dictionary for deflate/raw data (repeatable, matched by id)",
+      collectDictionary,
+    )
+    .option("--recover", "write partial output for truncated or corrupt entries")
+    .option("--strict", "reject trailing bytes after the end of the compressed data")
+    .option("--ignore-trailing", "do not warn about trailing bytes after the compressed data")
+    .option("--max-output <size>", "maximum decompressed size per entry (e.g. 50MB)", parseSize)
+    .option("--max-ratio <ratio>", "maximum expansion ratio per entry", parseRatio)
+    .option("--max-total-output <size>", "maximum decompressed size for the whole run", parseSize)
+    .option(
+      "--concurrency <n>",
+      "decode and decompress entries in n worker threads (or auto)",
+      parseConcurrency,
+      1,
+    )
+    .option("--dead-letter <file>", "write failed lines to a file (details in <file>.errors.jsonl)")
+    .option("--retry <file>", "re-run the lines of a dead-letter file under their original numbers")
+    .option("--checkpoint <file>", "record progress in a file so an interrupted run can resume")
+    .option("--resume", "skip the lines completed by the run recorded in --checkpoint")
+    .option("--fail-fast", "stop at the first line that fails")
+    .option("--max-errors <n|pct>", "stop once more than n (or pct% of) lines fail", parseMaxErrors)
     .action(processBatchCommand)
 }
 
@@ -45,25 +130,54 @@ async function processBatchCommand(options) {
     // Get the actual output directory value
     const outputDirectory = options.outputDir || options["output-dir"] || "./output"
 
+    if (options.jsonl && !useStdout) {
+      throw new UsageError("--jsonl writes records to stdout; use it with -o -")
+    }
+
+    if ((options.manifest || options.dedup) && useStdout) {
+      throw new UsageError("--manifest and --dedup need an output directory or archive")
+    }
+
+    // An archive path collects every output file into a single archive
+    const archiveFormat = useStdout ? null : archiveFormatOf(outputDirectory)
+    if (archiveFormat && options.checkpoint) {
+      throw new UsageError("--checkpoint cannot resume into an archive; use an output directory")
+    }
+
     // Only create output directory if not outputting to stdout
-    if (!useStdout) {
+    if (archiveFormat) {
+      await fsPromises.mkdir(path.dirname(outputDirectory), { recursive: true })
+      logVerbose(`Output archive: ${outputDirectory} (${archiveFormat})`, options)
+    } else if (!useStdout) {
       // Ensure output directory exists
       await fsPromises.mkdir(outputDirectory, { recursive: true })
       logVerbose(`Output directory: ${outputDirectory}`, options)
+    } else if (options.jsonl) {
+      logVerbose(`Output: stdout (JSON Lines)`, options)
     } else {
       logVerbose(`Output: stdout (separator: ${JSON.stringify(options.separator)})`, options)
     }
 
-    logVerbose(`Processing batch file: ${options.input}`, options)
+    // A retry reads a dead-letter file; its sidecar maps each line back to the original input
+    let retryLineNumbers = null
+    if (options.retry) {
+      if (options.input) {
+        throw new UsageError("--retry reads the dead-letter file as input; omit --input")
+      }
+      if (options.deadLetter && path.resolve(options.deadLetter) === path.resolve(options.retry)) {
+        throw new UsageError("--dead-letter must not overwrite the file being retried")
+      }
+      options.input = options.retry
+      retryLineNumbers = await readDeadLetterLineNumbers(options.retry)
+      logVerbose(`Retrying ${retryLineNumbers.length} failed lines`, options)
+    }
 
-    // Read the input file line by line
-    const lines = await readLineByLine(options.input)
+    logVerbose(`Processing batch file: ${options.input || "stdin"}`, options)
 
-    if (lines.length === 0) {
-      throw new Error("No data found in input file")
-    }
+    options.dictionaries = await loadDictionaries(options.dictionary, options)
 
-    logVerbose(`Found ${lines.length} lines to process`, options)
+    // Output limits are shared by every entry so the run total can be enforced
+    options.limits = createOutputLimits(options)
 
     // Statistics for summary report
     const stats = {
@@ -72,32 +186,213 @@ async function processBatchCommand(options) {
       totalOutputBytes: 0,
       successCount: 0,
       errorCount: 0,
+      limitExceededCount: 0,
+      partialCount: 0,
+      duplicateCount: 0,
+      contentTypes: {},
+    }
+
+    // A resumed run carries on from the checkpoint, with its statistics and output total
+    const checkpoint = await openCheckpoint(options, "batch", stats)
+    const resumed = Boolean(checkpoint && checkpoint.resumed)
+    if (resumed) {
+      recordOutput(options.limits, stats.totalOutputBytes)
     }
 
-    // Process each line
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim()
-      if (!line) continue // Skip empty lines
+    // Output file names already written, so keyed and embedded gzip names cannot
+    // overwrite each other or a numbered output
+    const usedNames = createUsedNames(options.prefix, resumed ? checkpoint.state.usedNames : null)
+
+    const archive = archiveFormat ? await createArchiveWriter(outputDirectory) : null
+
+    // The manifest lives with the outputs (inside an archive, it is spooled next
+    // to it until the run ends); --dedup needs one to point duplicates at
+    const manifestFormat = options.manifest || (options.dedup ? "json" : null)
+    const manifestName = manifestFormat ? `manifest.${manifestFormat}` : null
+    const manifest = manifestFormat
+      ? await createManifest(
+          archive ? archive.spoolPath(manifestName) : path.join(outputDirectory, manifestName),
+          manifestFormat,
+          MANIFEST_COLUMNS,
+          resumed ? checkpoint.state.manifest : null,
+          { index: Boolean(options.dedup) },
+        )
+      : null
+    if (manifest) usedNames.add(manifestName)
+
+    // Lines are read as a stream; each entry is paired with its line index,
+    // which names the output unless the line format supplies a key
+    const parser = createLineParser(options)
+    let lineCount = 0
+    let entryCount = 0
+    let skippedCount = 0
+    const entries = (async function* () {
+      for await (const line of readLines(options.input)) {
+        const index = lineCount++
+        const entry = parser.parse(line)
+        if (!entry) continue // Skip empty, comment and header lines
+
+        const originalNumber = retryLineNumbers ? retryLineNumbers[entryCount] : index + 1
+        if (originalNumber === undefined) {
+          throw new Error(`Dead-letter file has more entries than its sidecar (line ${index + 1})`)
+        }
+        entryCount++
+
+        if (checkpoint && checkpoint.skip(originalNumber - 1)) {
+          skippedCount++
+          continue
+        }
+        yield { ...entry, index: originalNumber - 1, line }
+      }
+    })()
+
+    const deadLetter = options.deadLetter
+      ? await createDeadLetter(options.deadLetter, resumed ? checkpoint.state.deadLetter : null)
+      : null
+
+    if (checkpoint) {
+      checkpoint.onSave(() => ({
+        usedNames: usedNames.toJSON(),
+        deadLetter: deadLetter ? deadLetter.position() : null,
+        manifest: manifest ? manifest.position() : null,
+      }))
+    }
 
-      try {
-        const result = await processLine(line, i, options, useStdout, outputDirectory)
+    // Ctrl-C, or going over the error budget, stops after the current entry,
+    // keeping the checkpoint and summary
+    const interrupt = watchInterrupt()
+    const budget = createErrorBudget(options)
+    let stoppedByBudget = false
+
+    const decoder = createEntryDecoder(options)
+    const output = {
+      useStdout,
+      directory: outputDirectory,
+      usedNames,
+      archive,
+      manifest,
+      stdoutWritten: false,
+    }
+    const decodeLine = (entry) => {
+      logVerbose(`Processing ${describeEntry(entry)}`, options)
+      return entry.error ? Promise.reject(entry.error) : decoder.decode(entry.payload)
+    }
 
-        // Update statistics
-        stats.totalProcessed++
-        stats.totalInputBytes += result.inputSize
-        stats.totalOutputBytes += result.outputSize
-        stats.successCount++
-      } catch (error) {
-        stats.totalProcessed++
-        stats.errorCount++
+    try {
+      // Entries may be decoded in parallel, but results are handled in line order
+      for await (const { item, result, error } of mapInOrder(entries, decodeLine, decoder.limit)) {
+        try {
+          if (error) throw error
+          decoder.accept(result)
+
+          const written = await writeEntry(result, item, options, output)
+
+          // Update statistics
+          stats.totalProcessed++
+          stats.totalInputBytes += written.inputSize
+          stats.totalOutputBytes += written.outputSize
+          stats.successCount++
+          if (written.partial) stats.partialCount++
+          if (written.duplicate) stats.duplicateCount++
+          const { contentType } = written
+          stats.contentTypes[contentType] = (stats.contentTypes[contentType] || 0) + 1
+        } catch (failure) {
+          stats.totalProcessed++
+          stats.errorCount++
+
+          const category = categorizeFailure(item, error, failure)
+          if (deadLetter) {
+            const details = {
+              line: item.index + 1,
+              key: item.key,
+              category,
+              message: failure.message,
+            }
+            await deadLetter.write(item.line, details, parser.headerLine)
+          }
+
+          if (options.jsonl) {
+            const failed = { category, message: failure.message }
+            await writeStdout(formatJsonlRecord(item, null, null, failed))
+          }
+
+          if (manifest) {
+            const record = { line: item.index + 1, key: item.key, status: "error" }
+            await manifest.add({ ...record, error: failure.message })
+          }
+
+          if (failure instanceof LimitExceededError) {
+            stats.limitExceededCount++
+            logError(`Limit exceeded on ${describeEntry(item)}:`, failure.message)
+          } else {
+            logError(`Error processing ${describeEntry(item)}:`, failure.message)
+            if (options.debug) {
+              logDebug(failure.stack, options)
+            }
+          }
+        }
 
-        logError(`Error processing line ${i + 1}:`, error.message)
-        if (options.debug) {
-          logDebug(error.stack, options)
+        if (checkpoint) await checkpoint.progress(item.index)
+        if (interrupt.interrupted) break
+        if (budget && budget.exceeded(stats)) {
+          stoppedByBudget = true
+          break
         }
       }
+    } finally {
+      interrupt.dispose()
+      await decoder.close()
+      if (deadLetter) await deadLetter.close()
+      if (manifest) {
+        await manifest.close()
+        if (archive) await archive.addSpooled(manifestName)
+      }
+      // An interrupted run still leaves a complete archive of what was written
+      if (archive) await archive.close()
+    }
+
+    if (checkpoint) {
+      checkpoint.state.complete = !interrupt.interrupted && !stoppedByBudget
+      await checkpoint.flush()
+    }
+
+    if (skippedCount > 0) {
+      logVerbose(`Skipped ${skippedCount} entries completed by an earlier run`, options)
+    }
+
+    if (deadLetter && deadLetter.count > 0) {
+      logIfNotQuiet(
+        `${deadLetter.count} failed lines written to ${options.deadLetter} (retry with --retry)`,
+        options,
+      )
+    }
+
+    if (interrupt.interrupted || stoppedByBudget) {
+      const reason = interrupt.interrupted ? "interrupted" : `stopped by ${budget.option}`
+      logError(
+        `Batch processing ${reason} after ${stats.totalProcessed} entries` +
+          (checkpoint ? `; continue with --resume --checkpoint ${options.checkpoint}` : ""),
+      )
+      displaySummary(stats, options, useStdout, outputDirectory)
+      process.exitCode = interrupt.interrupted ? EXIT_CODES.interrupted : EXIT_CODES.failure
+      return
+    }
+
+    // A percentage budget is checked again over the whole of a short run
+    const budgetExceeded = Boolean(budget && budget.exceeded(stats, true))
+    if (budgetExceeded) {
+      logError(
+        `Error budget exceeded: ${stats.errorCount} of ${stats.totalProcessed} entries failed ` +
+          `(${budget.option})`,
+      )
+    }
+
+    if (lineCount === 0) {
+      throw new Error("No data found in input file")
     }
 
+    logVerbose(`Read ${lineCount} lines`, options)
+
     // Show summary if requested or in verbose mode
     if (options.summary || options.verbose) {
       displaySummary(stats, options, useStdout, outputDirectory)
@@ -117,12 +412,14 @@ async function processBatchCommand(options) {
         )
       }
     }
+
+    process.exitCode = exitCodeForRun(stats, budgetExceeded)
   } catch (error) {
     logError("Error in batch processing:", error.message)
     if (options.debug) {
       logDebug(error.stack, options)
     }
-    process.exit(1)
+    process.exit(exitCodeForError(error))
   }
 }
 
@@ -137,10 +434,26 @@ function displaySummary(stats, options, useStdout, outputDirectory) {
   logIfNotQuiet("\nBatch Processing Summary:", options)
   logIfNotQuiet(`Total files processed: ${stats.totalProcessed}`, options)
   logIfNotQuiet(`  Success: ${stats.successCount}`, options)
+  if (stats.partialCount > 0) {
+    logIfNotQuiet(`    Partial: ${stats.partialCount}`, options)
+  }
+  if (stats.duplicateCount > 0) {
+    logIfNotQuiet(`    Duplicates: ${stats.duplicateCount} (written once)`, options)
+  }
   logIfNotQuiet(`  Errors: ${stats.errorCount}`, options)
+  if (stats.limitExceededCount > 0) {
+    logIfNotQuiet(`    Limit exceeded: ${stats.limitExceededCount}`, options)
+  }
+
+  const contentTypes = Object.entries(stats.contentTypes)
+  if (contentTypes.length > 0) {
+    const counts = contentTypes.sort((a, b) => b[1] - a[1]).map(([type, n]) => `${type} ${n}`)
+    logIfNotQuiet(`  Content types: ${counts.join(", ")}`, options)
+  }
 
   if (!useStdout) {
-    logIfNotQuiet(`  Output directory: ${outputDirectory}`, options)
+    const kind = archiveFormatOf(outputDirectory) ? "archive" : "directory"
+    logIfNotQuiet(`  Output ${kind}: ${outputDirectory}`, options)
   } else {
     logIfNotQuiet(`  Output: stdout`, options)
   }
@@ -172,54 +485,360 @@ function formatBytes(bytes) {
 }
 
 /**
- * Process a single line from the batch file
- * @param {string} line - The base64 encoded line
- * @param {number} index - Line index (for naming)
+ * Create the function that decodes entries, in-process or in a worker pool
+ *
+ * With --concurrency above 1, entries are decoded by worker threads. Each
+ * worker enforces the per-entry limits; the run-wide total is checked by
+ * accept(), which is called with each result in line order.
+ *
  * @param {Object} options - Command options
- * @param {boolean} useStdout - Whether output is to stdout
- * @param {string} outputDirectory - Output directory path
- * @returns {Object} Processing result with sizes
+ * @returns {Object} Decoder with decode(line), accept(result), close() and the in-flight limit
+ */
+function createEntryDecoder(options) {
+  const concurrency = options.concurrency || 1
+
+  if (concurrency <= 1) {
+    return {
+      limit: 1,
+      decode: (line) => decodeEntry(line, options),
+      accept: () => {},
+      close: async () => {},
+    }
+  }
+
+  logVerbose(`Decoding with ${concurrency} worker threads`, options)
+
+  const pool = createWorkerPool(new URL("../lib/batchWorker.js", import.meta.url), concurrency, {
+    options: { ...options, limits: undefined, dictionaries: undefined, verbose: false },
+    dictionaries: options.dictionaries,
+  })
+
+  return {
+    // Keep every worker busy while the oldest result is being written
+    limit: concurrency * 2,
+    decode: async (line) => reviveResult(await pool.run(line)),
+    accept: (result) => {
+      const outputSize =
+        typeof result.data === "string" ? Buffer.byteLength(result.data) : result.data.length
+      checkOutputLimits(options.limits, outputSize, result.inputSize)
+      recordOutput(options.limits, outputSize)
+    },
+    close: () => pool.close(),
+  }
+}
+
+/**
+ * Turn the typed arrays in a result posted by a worker back into Buffers
+ * @param {Object} result - Result from decodeEntry, after structured cloning
+ * @returns {Object} The result with Buffer data
+ */
+function reviveResult(result) {
+  const toBuffer = (bytes) => Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+
+  if (typeof result.data !== "string") {
+    result.data = toBuffer(result.data)
+  }
+  if (result.header && result.header.extra) {
+    result.header.extra = toBuffer(result.header.extra)
+  }
+  return result
+}
+
+/**
+ * Classify why an entry failed, for the dead-letter sidecar and --jsonl records
+ * @param {Object} entry - The entry
+ * @param {Error|null} decodeError - Error from decoding, if decoding failed
+ * @param {Error} failure - The error that failed the entry
+ * @returns {string} One of format, encoding, limit, decompression or output
+ */
+function categorizeFailure(entry, decodeError, failure) {
+  if (entry.error) return "format"
+  if (failure instanceof EncodingError) return "encoding"
+  if (failure instanceof LimitExceededError) return "limit"
+  return decodeError ? "decompression" : "output"
+}
+
+/**
+ * Describe an entry for messages, with its key when it has one
+ * @param {Object} entry - Entry with index and key
+ * @returns {string} Description such as "line 3 (order-17)"
+ */
+function describeEntry(entry) {
+  return `line ${entry.index + 1}${entry.key ? ` (${entry.key})` : ""}`
+}
+
+/**
+ * Format one --jsonl output record
+ *
+ * Text content is included as UTF-8 and anything else as base64, so every
+ * record is a single line of JSON whatever the entry holds.
+ *
+ * @param {Object} entry - Entry with the line index and key
+ * @param {Object|null} result - Result from decodeEntry, or null if the entry failed
+ * @param {Object|null} content - Content type from sniffContentType
+ * @param {Object|null} failure - Error category and message if the entry failed
+ * @returns {string} The record, ending in a newline
+ */
+function formatJsonlRecord(entry, result, content, failure) {
+  const record = { line: entry.index + 1, key: entry.key }
+
+  if (failure) {
+    Object.assign(record, {
+      status: "error",
+      format: null,
+      compressedSize: null,
+      decompressedSize: null,
+      contentType: null,
+      error: failure.message,
+      errorCategory: failure.category,
+      encoding: null,
+      content: null,
+    })
+  } else {
+    const data = typeof result.data === "string" ? Buffer.from(result.data) : result.data
+    const text = !content.binary && isUtf8(data)
+
+    Object.assign(record, {
+      status: result.partial ? "partial" : "ok",
+      format: result.format,
+      compressedSize: result.inputSize,
+      decompressedSize: data.length,
+      contentType: content.mimeType,
+      error: result.partial ? result.errorMessage : null,
+      errorCategory: result.partial ? "decompression" : null,
+      encoding: text ? "utf8" : "base64",
+      content: data.toString(text ? "utf8" : "base64"),
+    })
+  }
+
+  return `${JSON.stringify(record)}\n`
+}
+
+/**
+ * Write text to stdout, waiting for it to drain so output does not pile up in memory
+ * @param {string} text - Text to write
+ */
+async function writeStdout(text) {
+  if (!process.stdout.write(text)) {
+    await once(process.stdout, "drain")
+  }
+}
+
+/**
+ * Write a decoded line to stdout or its output file
+ *
+ * With a manifest, each entry is listed with the SHA-256 of its content; with
+ * --dedup, content already written is not written again and the entry points
+ * to the earlier output instead.
+ *
+ * @param {Object} result - Result from decodeEntry
+ * @param {Object} entry - Entry with the line index and key (for naming)
+ * @param {Object} options - Command options
+ * @param {Object} output - Where output goes: useStdout, directory, usedNames
+ *   (output file names written so far), archive and manifest (null when unused),
+ *   and stdoutWritten (whether an entry has been written to stdout yet)
+ * @returns {Object} Processing result with sizes, the partial and duplicate flags
+ *   and the content type
  */
-async function processLine(line, index, options, useStdout, outputDirectory) {
-  logVerbose(`Processing line ${index + 1}`, options)
+async function writeEntry(result, entry, options, output) {
+  const { data: decompressed, header, partial, errorOffset, errorMessage } = result
+  const { useStdout, directory: outputDirectory, usedNames, archive, manifest } = output
 
-  // Decode base64
-  const decodedData = decodeBase64(line)
+  const content = sniffContentType(decompressed)
+  logVerbose(`Content of ${describeEntry(entry)}: ${content.type} (${content.mimeType})`, options)
 
-  logVerbose(`Decoded ${line.length} base64 characters to ${decodedData.length} bytes`, options)
+  if (partial) {
+    logError(
+      `Partial output for ${describeEntry(entry)}: ${errorMessage} at input byte ${errorOffset}`,
+    )
+  }
 
-  // Decompress the data
-  const decompressed = await decompressData(decodedData, options)
+  const digest = manifest ? sha256(decompressed) : null
+  const original = options.dedup ? manifest.lookup(digest) : null
+  let outputFileName = null
 
   // Output the decompressed data
-  if (useStdout) {
-    // Write to stdout
-    if (index > 0) {
-      // Add separator between entries (but not before the first one)
-      process.stdout.write(options.separator)
+  if (useStdout && options.jsonl) {
+    await writeStdout(formatJsonlRecord(entry, result, content, null))
+  } else if (useStdout) {
+    // Add separator between entries (but not before the first one written;
+    // header, comment and failed lines write nothing)
+    if (output.stdoutWritten) {
+      await writeStdout(options.separator)
     }
+    output.stdoutWritten = true
 
-    // Write the decompressed data
-    if (typeof decompressed === "string") {
-      process.stdout.write(decompressed)
-    } else {
-      process.stdout.write(decompressed)
+    // Write the decompressed data, waiting for stdout to drain so that
+    // output does not pile up in memory
+    if (!process.stdout.write(decompressed)) {
+      await once(process.stdout, "drain")
     }
+  } else if (original) {
+    outputFileName = original.path
+    logVerbose(
+      `${describeEntry(entry)} duplicates line ${original.line}; not written again`,
+      options,
+    )
   } else {
-    // Create output filename
-    const outputFileName = `${options.prefix}${index + 1}.txt`
-    const outputPath = path.join(outputDirectory, outputFileName)
+    // Create output filename, flagging salvaged content as partial
+    outputFileName = getOutputFileName(entry, options, header, content, partial, usedNames)
+
+    if (archive) {
+      // Archive entries keep the gzip mtime the same way files do
+      const mtime = options.gzipName && header && header.mtime ? header.mtime : undefined
+      await archive.addEntry(outputFileName, decompressed, { mtime })
+      logVerbose(`Added ${outputFileName} to ${outputDirectory}`, options)
+    } else {
+      const outputPath = path.join(outputDirectory, outputFileName)
+
+      // Write the output to a file
+      await writeOutputFile(decompressed, outputPath)
+
+      // Keep the modification time recorded in the gzip header
+      if (options.gzipName && header && header.mtime) {
+        await fsPromises.utimes(outputPath, new Date(), header.mtime)
+      }
 
-    // Write the output to a file
-    await writeOutputFile(decompressed, outputPath)
+      logVerbose(`Written to ${outputPath}`, options)
+    }
+  }
 
-    logVerbose(`Written to ${outputPath}`, options)
+  const outputSize = typeof decompressed === "string" ? decompressed.length : decompressed.length
+
+  if (manifest) {
+    await manifest.add({
+      line: entry.index + 1,
+      key: entry.key,
+      status: partial ? "partial" : "ok",
+      path: outputFileName,
+      duplicateOf: original ? original.line : null,
+      sha256: digest,
+      compressedSize: result.inputSize,
+      decompressedSize: outputSize,
+      format: result.format,
+      contentType: content.mimeType,
+      error: partial ? errorMessage : null,
+    })
   }
 
   // Return processing result with sizes
   return {
-    inputSize: decodedData.length,
-    outputSize: typeof decompressed === "string" ? decompressed.length : decompressed.length,
+    inputSize: result.inputSize,
+    outputSize,
+    partial,
+    duplicate: Boolean(original),
+    contentType: content.type,
+  }
+}
+
+/**
+ * Choose the output file name for a line
+ *
+ * Entries with a key (from --key-column) are named prefix + key; otherwise
+ * gzip entries that carry an original file name are written under that name.
+ * Everything else uses prefix + line number. Every name is made unique within
+ * the run, so a key or embedded name cannot overwrite a numbered output or the
+ * other way round. Generated names take their extension from the sniffed content type
+ * unless --no-sniff is given; embedded gzip names keep their own.
+ *
+ * @param {Object} entry - Entry with the line index and key
+ * @param {Object} options - Command options
+ * @param {Object|null} header - Gzip header metadata from decompressWithInfo
+ * @param {Object} content - Content type from sniffContentType
+ * @param {boolean} partial - Whether the output is partial
+ * @param {Object} usedNames - Output file names written so far, from createUsedNames
+ * @returns {string} Output file name
+ */
+function getOutputFileName(entry, options, header, content, partial, usedNames) {
+  const extension = options.sniff === false ? ".txt" : content.extension
+
+  // Path separators in keys become "_" rather than dropping the leading part
+  const keyName = entry.key
+    ? safeOutputName(`${options.prefix}${entry.key.replace(/[/\\]/g, "_")}${extension}`)
+    : null
+  const embeddedName = options.gzipName && header ? safeOutputName(header.name) : null
+  const chosenName = keyName || embeddedName || `${options.prefix}${entry.index + 1}${extension}`
+
+  const chosenExtension = path.extname(chosenName)
+  const stem = chosenName.slice(0, chosenName.length - chosenExtension.length)
+  const suffix = `${partial ? ".partial" : ""}${chosenExtension}`
+
+  let fileName = `${stem}${suffix}`
+  for (let n = 2; usedNames.has(fileName); n++) {
+    fileName = `${stem}-${n}${suffix}`
+  }
+
+  // A numbered name is unique by its line number unless it had to be changed
+  if (!keyName && !embeddedName && fileName === chosenName) {
+    usedNames.addNumbered(entry.index + 1)
+  } else {
+    usedNames.add(fileName)
+  }
+  return fileName
+}
+
+/**
+ * Track the output file names a run has used
+ *
+ * Numbered names (prefix + line number) cannot collide with each other, so
+ * only their line numbers are kept, as ranges: an unkeyed run needs a single
+ * range. Key, embedded gzip and renamed names are kept as they are. Memory and
+ * checkpoint size grow with those names rather than with the number of lines.
+ *
+ * @param {string} prefix - Output file name prefix
+ * @param {Object} [saved] - State saved by toJSON() in an earlier run
+ * @returns {Object} Names with has(name), add(name), addNumbered(lineNumber) and toJSON()
+ */
+function createUsedNames(prefix = "", saved = null) {
+  const names = new Set(saved ? saved.names : [])
+  const ranges = saved ? saved.numbered : [] // Sorted [first, last] line numbers
+
+  const isNumbered = (lineNumber) => {
+    let low = 0
+    let high = ranges.length - 1
+    while (low <= high) {
+      const middle = (low + high) >> 1
+      if (lineNumber < ranges[middle][0]) {
+        high = middle - 1
+      } else if (lineNumber > ranges[middle][1]) {
+        low = middle + 1
+      } else {
+        return true
+      }
+    }
+    return false
+  }
+
+  return {
+    has(name) {
+      if (names.has(name)) return true
+      if (!name.startsWith(prefix)) return false
+
+      // prefix + a line number, then an optional .partial and the extension
+      const match = /^(\d+)(\.|$)/.exec(name.slice(prefix.length))
+      return Boolean(match) && isNumbered(Number(match[1]))
+    },
+
+    add(name) {
+      names.add(name)
+    },
+
+    addNumbered(lineNumber) {
+      const last = ranges[ranges.length - 1]
+      if (last && lineNumber === last[1] + 1) {
+        last[1] = lineNumber
+      } else if (!last || lineNumber > last[1]) {
+        ranges.push([lineNumber, lineNumber])
+      } else if (!isNumbered(lineNumber)) {
+        // Lines are handled in order, so this only happens for a line number out of order
+        const at = ranges.findIndex(([first]) => first > lineNumber)
+        ranges.splice(at, 0, [lineNumber, lineNumber])
+      }
+    },
+
+    toJSON() {
+      return { names: [...names], numbered: ranges }
+    },
   }
 }
 
@@ -0,0 +1,50 @@
+import { createReadStream, createWriteStream } from "fs"
+import { pipeline } from "stream/promises"
+import { createCompressTransform } from "../lib/compressor.js"
+import { describeFormatOption } from "../lib/codecs/index.js"
+import { logVerbose, logError, logDebug } from "../lib/logger.js"
+import { exitCodeForError } from "../lib/exitCodes.js"
+
+/**
+ * Setup the compress command
+ * @param {Object} program - Commander program instance
+ */
+export function setupCompressCommand(program) {
+  program
+    .command("compress")
+    .description("Compress a single input stream (the inverse of decompress)")
+    .option("-f, --format <format>", describeFormatOption({ encodable: true }), "deflate")
+    .option("-l, --level <level>", "compression level (0-9, 0-11 for brotli)", parseInt)
+    .option("-b, --base64", "encode the compressed output as base64")
+    .option("-o, --output <file>", "output file (defaults to stdout)")
+    .option("-i, --input <file>", "input file (defaults to stdin)")
+    .option("-v, --verbose", "enable verbose output")
+    .option("-q, --quiet", "suppress all non-error output")
+    .option("-d, --debug", "show detailed error information")
+    .action(processCompressCommand)
+}
+
+/**
+ * Process the compress command
+ * @param {Object} options - Command options
+ */
+async function processCompressCommand(options) {
+  try {
+    const input = options.input ? createReadStream(options.input) : process.stdin
+    const output = options.output ? createWriteStream(options.output) : process.stdout
+
+    await pipeline(input, createCompressTransform(options), output)
+
+    if (options.output) {
+      logVerbose(`Output written to ${options.output}`, options)
+    }
+  } catch (error) {
+    logError("Error in compression:", error.message)
+    if (options.debug) {
+      logDebug(error.stack, options)
+    }
+    process.exit(exitCodeForError(error))
+  }
+}
+
+export default { setupCompressCommand }
@@ -0,0 +1,157 @@
+import { createWriteStream, promises as fsPromises } from "fs"
+import path from "path"
+import { once } from "events"
+import { compressData } from "../lib/compressor.js"
+import { describeFormatOption } from "../lib/codecs/index.js"
+import { logVerbose, logError, logDebug, logIfNotQuiet } from "../lib/logger.js"
+import { EXIT_CODES, exitCodeForError, exitCodeForRun } from "../lib/exitCodes.js"
+import { createErrorBudget, parseMaxErrors } from "../lib/errorBudget.js"
+
+/**
+ * Setup the encode-batch command
+ * @param {Object} program - Commander program instance
+ */
+export function setupEncodeBatchCommand(program) {
+  program
+    .command("encode-batch")
+    .description("Compress a directory of files into a base64 batch file (one entry per line)")
+    .requiredOption("-i, --input-dir <dir>", "directory containing the files to encode")
+    .option("-o, --output <file>", "output batch file (use '-' for stdout)", "-")
+    .option("-f, --format <format>", describeFormatOption({ encodable: true }), "deflate")
+    .option("-l, --level <level>", "compression level (0-9, 0-11 for brotli)", parseInt)
+    .option("-v, --verbose", "enable verbose output")
+    .option("-q, --quiet", "suppress all non-error output")
+    .option("-d, --debug", "show detailed error information")
+    .option("-s, --summary", "show summary statistics after processing")
+    .option("--fail-fast", "stop at the first file that fails")
+    .option("--max-errors <n|pct>", "stop once more than n (or pct% of) files fail", parseMaxErrors)
+    .action(processEncodeBatchCommand)
+}
+
+/**
+ * Process the encode-batch command
+ * @param {Object} options - Command options
+ */
+async function processEncodeBatchCommand(options) {
+  try {
+    const inputDirectory = options.inputDir || options["input-dir"]
+    const useStdout = !options.output || options.output === "-"
+
+    logVerbose(`Encoding files from: ${inputDirectory}`, options)
+
+    const fileNames = await listInputFiles(inputDirectory)
+
+    if (fileNames.length === 0) {
+      throw new Error("No files found in input directory")
+    }
+
+    logVerbose(`Found ${fileNames.length} files to encode`, options)
+
+    const output = useStdout ? process.stdout : createWriteStream(options.output)
+
+    const stats = {
+      totalProcessed: 0,
+      totalInputBytes: 0,
+      totalOutputBytes: 0,
+      successCount: 0,
+      errorCount: 0,
+    }
+
+    const budget = createErrorBudget(options)
+    let stoppedByBudget = false
+
+    // Entries are written in file name order so line N maps to the Nth file;
+    // a file that cannot be encoded leaves an empty line, which batch skips
+    for (const fileName of fileNames) {
+      let line = ""
+
+      try {
+        const data = await fsPromises.readFile(path.join(inputDirectory, fileName))
+        line = await compressData(data, { ...options, base64: true, verbose: false })
+
+        logVerbose(`Line ${stats.totalProcessed + 1}: ${fileName}`, options)
+
+        stats.totalInputBytes += data.length
+        stats.totalOutputBytes += line.length
+        stats.successCount++
+      } catch (error) {
+        stats.errorCount++
+        logError(`Error encoding ${fileName}:`, error.message)
+        if (options.debug) {
+          logDebug(error.stack, options)
+        }
+      }
+
+      if (!output.write(line + "\n")) {
+        await once(output, "drain")
+      }
+      stats.totalProcessed++
+
+      if (budget && budget.exceeded(stats)) {
+        stoppedByBudget = true
+        logError(`Batch encoding stopped by ${budget.option} after ${stats.totalProcessed} files`)
+        break
+      }
+    }
+
+    if (!useStdout) {
+      output.end()
+      await once(output, "finish")
+    }
+
+    // A percentage budget is checked again over the whole of a short run
+    const budgetExceeded = Boolean(budget && budget.exceeded(stats, true))
+    if (budgetExceeded && !stoppedByBudget) {
+      logError(
+        `Error budget exceeded: ${stats.errorCount} of ${stats.totalProcessed} files failed ` +
+          `(${budget.option})`,
+      )
+    }
+
+    if (options.summary || options.verbose || stoppedByBudget) {
+      logIfNotQuiet("\nEncode Batch Summary:", options)
+      logIfNotQuiet(`Total files encoded: ${stats.successCount}`, options)
+      if (stats.errorCount > 0) {
+        logIfNotQuiet(`Errors: ${stats.errorCount}`, options)
+      }
+      logIfNotQuiet(`Total input size: ${stats.totalInputBytes} bytes`, options)
+      logIfNotQuiet(`Total base64 output size: ${stats.totalOutputBytes} bytes`, options)
+    }
+
+    if (stoppedByBudget) {
+      process.exitCode = EXIT_CODES.failure
+      return
+    }
+
+    if (!options.quiet) {
+      logIfNotQuiet(
+        `Batch encoding complete: ${stats.successCount} files, ${stats.errorCount} errors (output to ${useStdout ? "stdout" : options.output})`,
+        options,
+      )
+    }
+
+    process.exitCode = exitCodeForRun(stats, budgetExceeded)
+  } catch (error) {
+    logError("Error in batch encoding:", error.message)
+    if (options.debug) {
+      logDebug(error.stack, options)
+    }
+    process.exit(exitCodeForError(error))
+  }
+}
+
+/**
+ * List the regular files in a directory, sorted by name
+ * @param {string} directory - Directory to list
+ * @returns {Promise<string[]>} Sorted file names
+ */
+async function listInputFiles(directory) {
+  const entries = await fsPromises.readdir(directory, { withFileTypes: true })
+
+  return entries
+    .filter((entry) => entry.isFile())
+    .map((entry) => entry.name)
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+}
+
+export default { setupEncodeBatchCommand }
@@ -0,0 +1,229 @@
+import { createReadStream } from "fs"
+import { createInterface } from "readline"
+import { detectCodec } from "../lib/codecs/index.js"
+import { unmarshallItem } from "../lib/dynamodb.js"
+import { productField, readJsonItems } from "../lib/jsonItems.js"
+import { logError, logDebug, logInfo, logVerbose } from "../lib/logger.js"
+import { decodePayload, parseEncoding, ENCODINGS } from "../lib/encoding.js"
+import { formatDictionaryId } from "../lib/dictionary.js"
+import { UsageError } from "../lib/errors.js"
+import { exitCodeForError } from "../lib/exitCodes.js"
+
+/**
+ * Setup the inspect command
+ * @param {Object} program - Commander program instance
+ */
+export function setupInspectCommand(program) {
+  program
+    .command("inspect")
+    .description("Analyze the compression header of a file, batch line or JSON item")
+    .option("-i, --input <file>", "input file (defaults to stdin)")
+    .option("-l, --line <number>", "inspect a line of a base64 batch file", parseInt)
+    .option("--item <number>", "inspect the rawHtml of an item in a JSON file", parseInt)
+    .option(
+      "--encoding <encoding>",
+      `text encoding of the line or item (${ENCODINGS.join(", ")})`,
+      parseEncoding,
+      "base64",
+    )
+    .option("--probe-bytes <bytes>", "number of input bytes to trial-decompress", parseInt, 4096)
+    .option("--json", "print the analysis as JSON")
+    .option("-v, --verbose", "enable verbose output")
+    .option("-d, --debug", "show detailed error information")
+    .action(processInspectCommand)
+}
+
+/**
+ * Process the inspect command
+ * @param {Object} options - Command options
+ */
+async function processInspectCommand(options) {
+  try {
+    const source = describeSource(options)
+    const input = await readInspectInput(options)
+
+    logVerbose(`Inspecting ${source} (${input.length} bytes read)`, options)
+
+    const { codec, analysis } = detectCodec(input)
+    const probe = probeInput(codec, input, analysis, options.probeBytes)
+
+    if (options.json) {
+      logInfo(JSON.stringify({ source, ...analysis, probe }, null, 2))
+    } else {
+      printAnalysis(source, analysis, probe)
+    }
+  } catch (error) {
+    logError("Error in inspection:", error.message)
+    if (options.debug) {
+      logDebug(error.stack, options)
+    }
+    process.exit(exitCodeForError(error))
+  }
+}
+
+/**
+ * Trial-decompress the first bytes of the input with the detected codec
+ * @param {Object|null} codec - Detected codec
+ * @param {Buffer} input - The compressed data
+ * @param {Object} analysis - Result of codec detection
+ * @param {number} probeLength - Maximum number of input bytes to decode
+ * @returns {Object} Probe result
+ */
+function probeInput(codec, input, analysis, probeLength) {
+  if (!codec) {
+    return { ok: false, error: "Unrecognised compression format" }
+  }
+
+  if (typeof codec.probe !== "function") {
+    return { ok: false, error: `probing is not supported for ${codec.name}` }
+  }
+
+  return codec.probe(input, analysis, probeLength)
+}
+
+/**
+ * Print a human-readable analysis
+ * @param {string} source - Description of the inspected data
+ * @param {Object} analysis - Result of codec detection
+ * @param {Object} probe - Result of probeInput
+ */
+function printAnalysis(source, analysis, probe) {
+  logInfo(`Source: ${source}`)
+  logInfo(`Format: ${analysis.format}`)
+  logInfo(`Reason: ${analysis.reason}`)
+  logInfo(`Window size: ${analysis.windowSize ? `${analysis.windowSize} bytes` : "unknown"}`)
+  logInfo(`Level hint: ${analysis.levelHint || "unknown"}`)
+
+  if (analysis.needsDictionary) {
+    const id =
+      analysis.dictionaryId === null ? "unknown id" : `id ${formatDictionaryId(analysis.dictionaryId)}`
+    logInfo(`Dictionary required: yes (${id})`)
+  } else {
+    logInfo("Dictionary required: no")
+  }
+
+  if (analysis.firstBlock) {
+    logInfo(`First block: ${analysis.firstBlock}`)
+  }
+
+  if (probe.ok) {
+    logInfo(
+      `Probe: ok, ${probe.inputBytes} input bytes -> ${probe.outputBytes} output bytes` +
+        (probe.complete ? " (stream complete)" : ""),
+    )
+  } else {
+    logInfo(`Probe: failed (${probe.error})`)
+  }
+}
+
+/**
+ * Describe where the inspected data comes from
+ * @param {Object} options - Command options
+ * @returns {string} Description
+ */
+function describeSource(options) {
+  const name = options.input || "stdin"
+
+  if (options.line) return `${name} line ${options.line}`
+  if (options.item) return `${name} item ${options.item}`
+  return name
+}
+
+/**
+ * Read the bytes to inspect from a file, a batch line or a JSON item
+ * @param {Object} options - Command options
+ * @returns {Promise<Buffer>} The compressed bytes
+ */
+async function readInspectInput(options) {
+  if (options.line && options.item) {
+    throw new UsageError("Use either --line or --item, not both")
+  }
+
+  if (options.line) {
+    return decodePayload(await readBatchLine(options), options.encoding).data
+  }
+
+  if (options.item) {
+    // A binary attribute already holds the compressed bytes
+    const rawHtml = await readJsonItem(options)
+    return Buffer.isBuffer(rawHtml) ? rawHtml : decodePayload(rawHtml, options.encoding).data
+  }
+
+  // A plain file only needs the bytes covered by the probe
+  return readHead(openInput(options), options.probeBytes)
+}
+
+/**
+ * Open the input file or stdin
+ * @param {Object} options - Command options
+ * @returns {import("stream").Readable} The input stream
+ */
+function openInput(options) {
+  return options.input && options.input !== "-" ? createReadStream(options.input) : process.stdin
+}
+
+/**
+ * Read up to a number of bytes from the start of a stream
+ * @param {import("stream").Readable} stream - Input stream
+ * @param {number} length - Number of bytes wanted
+ * @returns {Promise<Buffer>} The leading bytes
+ */
+async function readHead(stream, length) {
+  const chunks = []
+  let size = 0
+
+  for await (const chunk of stream) {
+    chunks.push(chunk)
+    size += chunk.length
+    if (size >= length) break
+  }
+
+  return Buffer.concat(chunks).subarray(0, length)
+}
+
+/**
+ * Read a single line from a batch file
+ * @param {Object} options - Command options
+ * @returns {Promise<string>} The trimmed base64 line
+ */
+async function readBatchLine(options) {
+  const rl = createInterface({ input: openInput(options), crlfDelay: Infinity })
+
+  let lineNumber = 0
+  for await (const line of rl) {
+    lineNumber++
+    if (lineNumber === options.line) {
+      rl.close()
+      return line.trim()
+    }
+  }
+
+  throw new Error(`Batch input has only ${lineNumber} lines`)
+}
+
+/**
+ * Read the rawHtml field of a single item from a JSON file
+ *
+ * Items are read as parse-json reads them: DynamoDB attribute values and
+ * { Value: ... } wrappers are unmarshalled, and rawHtml may sit in the
+ * product. Only the items up to the wanted one are parsed.
+ *
+ * @param {Object} options - Command options
+ * @returns {Promise<string|Buffer>} The encoded rawHtml value, or the bytes of a binary attribute
+ */
+async function readJsonItem(options) {
+  let count = 0
+  for await (const { item } of readJsonItems(options.input)) {
+    if (++count < options.item) continue
+
+    const rawHtml = productField(unmarshallItem(item), "rawHtml")
+    if (!rawHtml) {
+      throw new Error("Item missing required rawHtml field")
+    }
+    return rawHtml
+  }
+
+  throw new Error(`JSON input has no item ${options.item}`)
+}
+
+export default { setupInspectCommand }
@@ -2,11 +2,55 @@ import { promises as fsPromises } from "fs"
 import path from "path"
 import { pipeline } from "stream/promises"
 import { createWriteStream } from "fs"
-import { decompressData } from "../lib/decompressor.js"
+import { once } from "events"
+import { decompressWithInfo } from "../lib/decompressor.js"
 import { logVerbose, logError, logDebug, logIfNotQuiet } from "../lib/logger.js"
-import { decodeBase64 } from "../lib/encoding.js"
+import { decodePayload, parseEncoding, ENCODINGS } from "../lib/encoding.js"
+import {
+  checkOutputLimits,
+  createOutputLimits,
+  parseRatio,
+  parseSize,
+  recordOutput,
+} from "../lib/limits.js"
+import { openCheckpoint, watchInterrupt } from "../lib/checkpoint.js"
+import { LimitExceededError, UsageError } from "../lib/errors.js"
+import { EXIT_CODES, exitCodeForError, exitCodeForRun } from "../lib/exitCodes.js"
+import { createErrorBudget, parseMaxErrors } from "../lib/errorBudget.js"
+import { collectDictionary, loadDictionaries } from "../lib/dictionary.js"
+import { describeFormatOption } from "../lib/codecs/index.js"
+import { archiveFormatOf, createArchiveWriter } from "../lib/archiveWriter.js"
+import { createManifest, parseManifestFormat, sha256, MANIFEST_FORMATS } from "../lib/manifest.js"
+import { sniffContentType } from "../lib/contentSniffer.js"
+import { unmarshallItem } from "../lib/dynamodb.js"
+import { productField, readJsonItems } from "../lib/jsonItems.js"
+import {
+  collectFieldPath,
+  collectRename,
+  getPath,
+  loadFieldMapping,
+  parseFieldList,
+  renameFields,
+  selectFields,
+  setPath,
+} from "../lib/fieldMapping.js"
 import { dump } from "js-yaml"
 
+// Fields of each --manifest record
+const MANIFEST_COLUMNS = [
+  "item",
+  "id",
+  "status",
+  "path",
+  "duplicateOf",
+  "sha256",
+  "compressedSize",
+  "decompressedSize",
+  "format",
+  "contentType",
+  "error",
+]
+
 /**
  * Setup the parse-json command
  * @param {Object} program - Commander program instance
@@ -16,13 +60,53 @@ export function setupParseJsonCommand(program) {
     .command("parse-json")
     .description("Process a JSON file with items containing base64-encoded rawHtml")
     .option("-i, --input <file>", "input JSON file (use '-' for stdin)")
-    .option("-o, --output <output>", "output file or directory (use '-' for stdout)", "-")
-    .option("-f, --format <format>", "compression format (auto, deflate, raw, gzip)", "auto")
+    .option(
+      "-o, --output <output>",
+      "output file or directory ('-' for stdout, or a .tar, .tar.gz or .zip file)",
+      "-",
+    )
+    .option("-f, --format <format>", describeFormatOption(), "auto")
+    .option(
+      "--encoding <encoding>",
+      `text encoding of each payload (${ENCODINGS.join(", ")})`,
+      parseEncoding,
+      "base64",
+    )
     .option("-v, --verbose", "enable verbose output")
     .option("-q, --quiet", "suppress all non-error output")
     .option("-d, --debug", "show detailed error information")
     .option("-s, --summary", "show summary statistics after processing")
     .option("--sample <count>", "process only a random sample of items", parseInt)
+    .option(
+      "--dictionary <file>",
+      "preset dictionary for deflate/raw data (repeatable, matched by id)",
+      collectDictionary,
+    )
+    .option("--recover", "keep partial output for truncated or corrupt items")
+    .option("--strict", "reject trailing bytes after the end of the compressed data")
+    .option("--ignore-trailing", "do not warn about trailing bytes after the compressed data")
+    .option("--max-output <size>", "maximum decompressed size per entry (e.g. 50MB)", parseSize)
+    .option("--max-ratio <ratio>", "maximum expansion ratio per entry", parseRatio)
+    .option("--max-total-output <size>", "maximum decompressed size for the whole run", parseSize)
+    .option("--checkpoint <file>", "record progress in a file so an interrupted run can resume")
+    .option("--resume", "skip the items completed by the run recorded in --checkpoint")
+    .option(
+      "--manifest <format>",
+      `list every item in a manifest file next to the output (${MANIFEST_FORMATS.join(", ")})`,
+      parseManifestFormat,
+    )
+    .option("--dedup", "write identical rawHtml once; duplicates point to the first item")
+    .option(
+      "--payload <path>",
+      "path of a compressed field, e.g. body or snapshot.html (repeatable, default rawHtml)",
+      collectFieldPath,
+    )
+    .option("--keep <paths>", "keep only these fields (comma-separated paths)", parseFieldList)
+    .option("--drop <paths>", "leave these fields out (comma-separated paths)", parseFieldList)
+    .option("--rename <from=to>", "rename a field in the output (repeatable)", collectRename)
+    .option("--mapping <file>", "field mapping file (JSON or YAML): payload, keep, drop, rename")
+    .option("--fail-fast", "stop at the first item that fails")
+    .option("--max-errors <n|pct>", "stop once more than n (or pct% of) items fail", parseMaxErrors)
     .action(processJsonCommand)
 }
 
@@ -35,9 +119,21 @@ async function processJsonCommand(options) {
     // Check if output is stdout or a file/directory
     const useStdout = options.output === "-"
     let outputFile = options.output
+    const archiveFormat = useStdout ? null : archiveFormatOf(outputFile)
+    const isYamlFile = outputFile.endsWith(".yml") || outputFile.endsWith(".yaml")
 
-    // If output is not stdout and not ending with .yml or .yaml, treat as directory
-    if (!useStdout && !outputFile.endsWith(".yml") && !outputFile.endsWith(".yaml")) {
+    if (archiveFormat && options.checkpoint) {
+      throw new UsageError("--checkpoint cannot resume into an archive; use a file or directory")
+    }
+    if ((options.manifest || options.dedup) && useStdout) {
+      throw new UsageError("--manifest and --dedup need an output file, directory or archive")
+    }
+
+    // If output is not stdout, an archive or a .yml/.yaml file, treat as directory
+    if (archiveFormat) {
+      await fsPromises.mkdir(path.dirname(outputFile), { recursive: true })
+      logVerbose(`Output archive: ${outputFile} (${archiveFormat})`, options)
+    } else if (!useStdout && !isYamlFile) {
       await fsPromises.mkdir(outputFile, { recursive: true })
       logVerbose(`Output directory: ${outputFile}`, options)
     } else if (!useStdout) {
@@ -49,138 +145,81 @@ async function processJsonCommand(options) {
       logVerbose(`Output: stdout`, options)
     }
 
-    // Get JSON content - either from file or stdin
-    let jsonContent
+    // With a field mapping, items keep their own fields instead of the product schema
+    const mapping = await loadFieldMapping(options)
+    if (mapping) {
+      const payloads = mapping.payloads.map((payload) => payload.name).join(", ")
+      logVerbose(`Field mapping: payload ${payloads}`, options)
+    }
+
+    if (options.sample && options.checkpoint) {
+      throw new UsageError("--sample picks items at random, so it cannot be used with --checkpoint")
+    }
+
+    // Items are read one at a time as the input arrives, so memory use does
+    // not grow with the size of the export
     if (!options.input || options.input === "-") {
       logVerbose(`Reading JSON from stdin`, options)
-      // Read from stdin
-      const chunks = []
-      for await (const chunk of process.stdin) {
-        chunks.push(chunk)
-      }
-      jsonContent = Buffer.concat(chunks).toString("utf8")
     } else {
       logVerbose(`Processing JSON file: ${options.input}`, options)
-      // Read the input file
-      jsonContent = await fsPromises.readFile(options.input, "utf8")
     }
+    const items = readItems(options.input, mapping, options)
 
-    let jsonData
-    try {
-      jsonData = JSON.parse(jsonContent)
-    } catch (error) {
-      throw new Error(`Failed to parse JSON: ${error.message}`)
-    }
-
-    // Handle both the new nested structure and the old flat array structure
-    let itemsToProcess = []
+    // Nothing is written before the first item, so that an input with empty
+    // or null Items gets an empty response instead
+    const first = await items.next()
+    if (first.done) {
+      logVerbose(`Input contains empty Items array or null Items`, options)
 
-    if (jsonData.Items && Array.isArray(jsonData.Items) && jsonData.Items.length > 0) {
-      // New structure: { Items: [ ... ] }
-      logVerbose(`Found new nested JSON structure with Items array`, options)
-      itemsToProcess = jsonData.Items.map((item) => {
-        const extractValue = (obj) => {
-          if (!obj) return null
-          return obj.Value !== undefined ? obj.Value : obj
-        }
-
-        // Extract all relevant fields from the nested structure
-        const category = extractValue(item.category)
-        const domain = extractValue(item.domain)
-        const entityType = extractValue(item.entity_type)
-        const id = extractValue(item.id)
-        const imageUrl = extractValue(item.imageUrl)
-        const isSponsored = extractValue(item.isSponsored)
-        const name = extractValue(item.name)
-        const originalPrice = extractValue(item.originalPrice)
-        const price = extractValue(item.price)
-        const rawHtml = extractValue(item.rawHtml)
-        const rawTextContent = extractValue(item.rawTextContent)
-        const shipping = extractValue(item.shipping)
-        const timestamp = extractValue(item.timestamp)
-        const ttl = extractValue(item.ttl)
-        const url = extractValue(item.url)
-
-        return {
-          type: "nested",
-          data: {
-            id,
-            name,
-            category,
-            domain,
-            entityType,
-            imageUrl,
-            isSponsored,
-            originalPrice,
-            price,
-            rawHtml,
-            rawTextContent,
-            shipping,
-            timestamp,
-            ttl,
-            url,
-          },
-        }
-      })
-    } else if (Array.isArray(jsonData) && jsonData.length > 0) {
-      // Old structure: [ ... ]
-      logVerbose(`Found old flat JSON array structure`, options)
-      itemsToProcess = jsonData.map((item) => ({
-        type: "flat",
-        data: item,
-      }))
-    } else {
-      // Handle empty arrays or null Items
-      if (
-        jsonData.Items === null ||
-        (Array.isArray(jsonData.Items) && jsonData.Items.length === 0) ||
-        (Array.isArray(jsonData) && jsonData.length === 0)
-      ) {
-        logVerbose(`Input contains empty Items array or null Items`, options)
-
-        // Create a YAML output that reflects the empty input
-        const emptyYaml = dump([])
-
-        if (useStdout) {
-          process.stdout.write(emptyYaml)
-        } else if (outputFile.endsWith(".yml") || outputFile.endsWith(".yaml")) {
-          await fsPromises.writeFile(outputFile, emptyYaml)
-          logVerbose(`Written empty YAML to ${outputFile}`, options)
-        } else {
-          const emptyFilePath = path.join(outputFile, "empty-response.yaml")
-          await fsPromises.writeFile(emptyFilePath, emptyYaml)
-          logVerbose(`Written empty YAML to ${emptyFilePath}`, options)
-        }
+      // Create a YAML output that reflects the empty input
+      const emptyYaml = dump([])
 
-        // Show summary
-        if (options.summary || options.verbose) {
-          logIfNotQuiet("\nJSON Processing Summary:", options)
-          logIfNotQuiet("No items found to process", options)
-          logIfNotQuiet(`Output: ${useStdout ? "stdout" : options.output}`, options)
-        }
+      if (useStdout) {
+        process.stdout.write(emptyYaml)
+      } else if (archiveFormat) {
+        const archive = await createArchiveWriter(outputFile)
+        await archive.addEntry("empty-response.yaml", emptyYaml)
+        await archive.close()
+        logVerbose(`Written empty YAML to ${outputFile}`, options)
+      } else if (isYamlFile) {
+        await fsPromises.writeFile(outputFile, emptyYaml)
+        logVerbose(`Written empty YAML to ${outputFile}`, options)
+      } else {
+        const emptyFilePath = path.join(outputFile, "empty-response.yaml")
+        await fsPromises.writeFile(emptyFilePath, emptyYaml)
+        logVerbose(`Written empty YAML to ${emptyFilePath}`, options)
+      }
 
-        if (!options.quiet) {
-          logIfNotQuiet("JSON processing complete: No items to process", options)
-        }
+      // Show summary
+      if (options.summary || options.verbose) {
+        logIfNotQuiet("\nJSON Processing Summary:", options)
+        logIfNotQuiet("No items found to process", options)
+        logIfNotQuiet(`Output: ${useStdout ? "stdout" : options.output}`, options)
+      }
 
-        return
+      if (!options.quiet) {
+        logIfNotQuiet("JSON processing complete: No items to process", options)
       }
 
-      throw new Error("Input JSON must be an array or contain an Items array")
+      return
     }
 
-    logVerbose(`Found ${itemsToProcess.length} items to process`, options)
+    let itemsToProcess = prependItem(first.value, items)
 
     // Apply sampling if requested
-    if (options.sample && options.sample > 0 && options.sample < itemsToProcess.length) {
-      logVerbose(
-        `Sampling ${options.sample} items from ${itemsToProcess.length} total items`,
-        options,
-      )
-      itemsToProcess = sampleItems(itemsToProcess, options.sample)
-      logVerbose(`Selected ${itemsToProcess.length} items for processing`, options)
+    if (options.sample && options.sample > 0) {
+      const { sampledItems, total } = await sampleItems(itemsToProcess, options.sample)
+      if (sampledItems.length < total) {
+        logVerbose(`Sampled ${sampledItems.length} items from ${total} total items`, options)
+      }
+      itemsToProcess = sampledItems
     }
 
+    options.dictionaries = await loadDictionaries(options.dictionary, options)
+
+    // Output limits are shared by every item so the run total can be enforced
+    options.limits = createOutputLimits(options)
+
     // Statistics for summary report
     const stats = {
       totalProcessed: 0,
@@ -188,115 +227,129 @@ async function processJsonCommand(options) {
       totalOutputBytes: 0,
       successCount: 0,
       errorCount: 0,
+      limitExceededCount: 0,
+      partialCount: 0,
+      duplicateCount: 0,
     }
 
-    // Process each item and collect the results
-    const processedItems = []
-
-    for (let i = 0; i < itemsToProcess.length; i++) {
-      const item = itemsToProcess[i]
-
-      try {
-        const { type, data } = item
-
-        // Extract the relevant data based on the item type
-        let rawHtml, processedItem
-
-        if (type === "flat") {
-          // Direct access for old format
-          if (!data.rawHtml) {
-            throw new Error("Item missing required rawHtml field")
-          }
-
-          rawHtml = data.rawHtml
-
-          processedItem = {
-            id: data.id || formatFilename(data.name || "Unknown"),
-            name: data.name || "Unknown",
-            category: data.category || null,
-            url: data.url || null,
-            imageUrl: data.imageUrl || null,
-          }
-        } else if (type === "nested") {
-          // New structure with direct field access
-          if (!data.rawHtml) {
-            throw new Error("Item missing required rawHtml field")
-          }
-
-          rawHtml = data.rawHtml
-
-          processedItem = {
-            id: data.id || formatFilename(data.name || "Unknown"),
-            name: data.name || "Unknown",
-            category: data.category || null,
-            domain: data.domain || null,
-            entityType: data.entityType || null,
-            url: data.url || (data.domain ? `https://${data.domain}` : null),
-            imageUrl: data.imageUrl || null,
-            price: data.price || null,
-            originalPrice: data.originalPrice || null,
-            shipping: data.shipping || null,
-            isSponsored: data.isSponsored !== undefined ? data.isSponsored : null,
-            timestamp: data.timestamp || null,
-            ttl: data.ttl || null,
-            rawTextContent: data.rawTextContent || null,
-          }
-        } else {
-          throw new Error("Unknown item type")
-        }
+    // A resumed run carries on from the checkpoint, with its statistics and output total
+    const checkpoint = await openCheckpoint(options, "parse-json", stats)
+    const resumed = Boolean(checkpoint && checkpoint.resumed)
+    if (resumed) {
+      recordOutput(options.limits, stats.totalOutputBytes)
+    }
 
-        // Decode base64
-        const decodedData = decodeBase64(rawHtml)
-        logVerbose(
-          `Decoded ${rawHtml.length} base64 characters to ${decodedData.length} bytes`,
-          options,
+    // Items are appended to the YAML list as they are processed
+    const outputPath = useStdout
+      ? null
+      : archiveFormat || isYamlFile
+        ? outputFile
+        : path.join(outputFile, "items.yaml")
+    // An archive gets the list and manifest once the run ends, so both are
+    // spooled next to it rather than held in memory
+    const archive = archiveFormat ? await createArchiveWriter(outputFile) : null
+    const output = await openYamlOutput(
+      archive ? archive.spoolPath("items.yaml") : outputPath,
+      resumed ? checkpoint.state.output : null,
+    )
+
+    // The manifest sits next to the YAML list (inside an archive, in it);
+    // --dedup needs one to point duplicates at
+    const manifestFormat = options.manifest || (options.dedup ? "json" : null)
+    const yamlName = archive ? "items.yaml" : outputPath && path.basename(outputPath)
+    const manifestName = isYamlFile
+      ? `${yamlName.replace(/\.ya?ml$/, "")}.manifest.${manifestFormat}`
+      : `manifest.${manifestFormat}`
+    const manifest = manifestFormat
+      ? await createManifest(
+          archive
+            ? archive.spoolPath(manifestName)
+            : path.join(path.dirname(outputPath), manifestName),
+          manifestFormat,
+          MANIFEST_COLUMNS,
+          resumed ? checkpoint.state.manifest : null,
+          { index: Boolean(options.dedup) },
         )
+      : null
+
+    if (checkpoint) {
+      checkpoint.onSave(() => ({
+        output: output.position(),
+        manifest: manifest ? manifest.position() : null,
+      }))
+    }
+
+    const target = { yaml: output, yamlName, manifest }
 
-        // Decompress the data
-        const decompressed = await decompressData(decodedData, options)
-
-        // Add decompressed HTML to the processed item
-        processedItem.rawHtml =
-          typeof decompressed === "string" ? decompressed : decompressed.toString("utf8")
-
-        // Add to processed items
-        processedItems.push(processedItem)
-
-        // Update statistics
-        stats.totalProcessed++
-        stats.totalInputBytes += decodedData.length
-        stats.totalOutputBytes +=
-          typeof decompressed === "string" ? decompressed.length : decompressed.length
-        stats.successCount++
-      } catch (error) {
-        stats.totalProcessed++
-        stats.errorCount++
-
-        logError(`Error processing item ${i + 1}:`, error.message)
-        if (options.debug) {
-          logDebug(error.stack, options)
+    // Ctrl-C, or going over the error budget, stops after the current item,
+    // keeping the checkpoint and summary
+    const interrupt = watchInterrupt()
+    const budget = createErrorBudget(options)
+    let stoppedByBudget = false
+    let skippedCount = 0
+
+    let i = 0
+    try {
+      for await (const item of itemsToProcess) {
+        if (interrupt.interrupted) break
+        if (checkpoint && checkpoint.skip(i)) {
+          skippedCount++
+          i++
+          continue
+        }
+
+        await processItem(item, i, target, mapping, stats, options)
+        if (checkpoint) await checkpoint.progress(i)
+        i++
+
+        if (budget && budget.exceeded(stats)) {
+          stoppedByBudget = true
+          break
         }
       }
+    } finally {
+      interrupt.dispose()
+      await output.close()
+      if (manifest) await manifest.close()
+      if (archive) {
+        await archive.addSpooled("items.yaml")
+        if (manifest) await archive.addSpooled(manifestName)
+        await archive.close()
+      }
     }
 
-    // Convert items to YAML as a single list
-    const yamlContent = dump(processedItems)
+    if (checkpoint) {
+      checkpoint.state.complete = !interrupt.interrupted && !stoppedByBudget
+      await checkpoint.flush()
+    }
 
-    // Output the YAML content
-    if (useStdout) {
-      // Write to stdout
-      process.stdout.write(yamlContent)
-    } else if (outputFile.endsWith(".yml") || outputFile.endsWith(".yaml")) {
-      // Write to a single YAML file
-      await fsPromises.writeFile(outputFile, yamlContent)
-      logVerbose(`Written to ${outputFile}`, options)
-    } else {
-      // Write to a single file in the output directory
-      const outputPath = path.join(outputFile, "items.yaml")
-      await fsPromises.writeFile(outputPath, yamlContent)
+    if (skippedCount > 0) {
+      logVerbose(`Skipped ${skippedCount} items completed by an earlier run`, options)
+    }
+    if (outputPath) {
       logVerbose(`Written to ${outputPath}`, options)
     }
 
+    if (interrupt.interrupted || stoppedByBudget) {
+      const reason = interrupt.interrupted ? "interrupted" : `stopped by ${budget.option}`
+      logError(
+        `JSON processing ${reason} after ${stats.totalProcessed} items` +
+          (checkpoint ? `; continue with --resume --checkpoint ${options.checkpoint}` : ""),
+      )
+      displaySummary(stats, options, useStdout)
+      process.exitCode = interrupt.interrupted ? EXIT_CODES.interrupted : EXIT_CODES.failure
+      return
+    }
+
+    // A percentage budget is checked again over the whole of a short run
+    const budgetExceeded = Boolean(budget && budget.exceeded(stats, true))
+    if (budgetExceeded) {
+      logError(
+        `Error budget exceeded: ${stats.errorCount} of ${stats.totalProcessed} items failed ` +
+          `(${budget.option})`,
+      )
+    }
+
     // Show summary if requested or in verbose mode
     if (options.summary || options.verbose) {
       displaySummary(stats, options, useStdout)
@@ -309,7 +362,7 @@ async function processJsonCommand(options) {
           `JSON processing complete: ${stats.successCount} successful, ${stats.errorCount} errors (output to stdout)`,
           options,
         )
-      } else if (outputFile.endsWith(".yml") || outputFile.endsWith(".yaml")) {
+      } else if (archiveFormat || isYamlFile) {
         logIfNotQuiet(
           `JSON processing complete: ${stats.successCount} successful, ${stats.errorCount} errors (output to: ${outputFile})`,
           options,
@@ -321,12 +374,374 @@ async function processJsonCommand(options) {
         )
       }
     }
+
+    process.exitCode = exitCodeForRun(stats, budgetExceeded)
   } catch (error) {
     logError("Error in JSON processing:", error.message)
     if (options.debug) {
       logDebug(error.stack, options)
     }
-    process.exit(1)
+    process.exit(exitCodeForError(error))
+  }
+}
+
+/**
+ * Read the items of the input JSON as they arrive
+ * @param {string} [filePath] - Input file; stdin when omitted or "-"
+ * @param {Object|null} mapping - Field mapping from loadFieldMapping, if any
+ * @param {Object} options - Command line options
+ * @yields {Object} Each item with its type (flat, nested or mapped) and data
+ */
+async function* readItems(filePath, mapping, options) {
+  let source = null
+  for await (const entry of readJsonItems(filePath)) {
+    if (source === null) {
+      source = entry.source
+      logVerbose(
+        source === "Items"
+          ? `Found new nested JSON structure with Items array`
+          : `Found old flat JSON array structure`,
+        options,
+      )
+    }
+    yield toItem(entry, mapping)
+  }
+}
+
+/**
+ * Give an item read from the input its type and the data to process
+ *
+ * Items from either source are unmarshalled first. Items of a top-level array
+ * are then taken as they are (old flat structure); items of an Items array
+ * have their product fields picked out (new nested structure). With a field
+ * mapping, both keep all their fields.
+ *
+ * @param {Object} entry - Item and its source, from readJsonItems
+ * @param {Object|null} mapping - Field mapping from loadFieldMapping, if any
+ * @returns {Object} Item with its type (flat, nested or mapped) and data
+ */
+function toItem(entry, mapping) {
+  // Typed AttributeValues ({ "S": ... }, { "N": ... }, ...) and
+  // { "Value": ... } wrappers become plain values
+  const item = unmarshallItem(entry.item)
+  if (mapping) {
+    return { type: "mapped", data: item }
+  }
+  if (entry.source === "array") {
+    return { type: "flat", data: item }
+  }
+
+  const field = (name) => productField(item, name)
+
+  // Extract all relevant fields from the nested structure
+  const category = field("category")
+  const domain = field("domain")
+  const entityType = field("entity_type")
+  const id = field("id")
+  const imageUrl = field("imageUrl")
+  const isSponsored = field("isSponsored")
+  const name = field("name")
+  const originalPrice = field("originalPrice")
+  const price = field("price")
+  const rawHtml = field("rawHtml")
+  const rawTextContent = field("rawTextContent")
+  const shipping = field("shipping")
+  const timestamp = field("timestamp")
+  const ttl = field("ttl")
+  const url = field("url")
+  const compressed = field("compressed")
+
+  return {
+    type: "nested",
+    data: {
+      id,
+      name,
+      category,
+      domain,
+      entityType,
+      imageUrl,
+      isSponsored,
+      originalPrice,
+      price,
+      rawHtml,
+      rawTextContent,
+      shipping,
+      timestamp,
+      ttl,
+      url,
+      compressed,
+    },
+  }
+}
+
+/**
+ * Put an item that has already been read back in front of the rest
+ * @param {Object} first - First item
+ * @param {AsyncIterable} rest - The items after it
+ * @yields {Object} Every item
+ */
+async function* prependItem(first, rest) {
+  yield first
+  yield* rest
+}
+
+/**
+ * Decompress one item and append it to the output
+ *
+ * With a field mapping, the item's payload fields are decompressed in place
+ * and its other fields are kept, dropped and renamed as the mapping says;
+ * otherwise rawHtml is decompressed and the product fields are picked out.
+ *
+ * With a manifest, the item is listed with the SHA-256 of its first payload;
+ * with --dedup, a payload already written for an earlier item is left out and
+ * the item gets duplicateOf, the id of that earlier item, instead.
+ *
+ * @param {Object} item - Item with its type (flat, nested or mapped) and data
+ * @param {number} i - Item index
+ * @param {Object} output - YAML output from openYamlOutput (yaml), the YAML file name
+ *   (yamlName) and the manifest, if any
+ * @param {Object|null} mapping - Field mapping from loadFieldMapping, if any
+ * @param {Object} stats - Statistics to update
+ * @param {Object} options - Command line options
+ */
+async function processItem(item, i, output, mapping, stats, options) {
+  const { manifest } = output
+  try {
+    const { type, data } = item
+
+    // Extract the payload fields and the other fields to write based on the item type
+    let payloads, processedItem
+
+    if (type === "mapped") {
+      payloads = mapping.payloads.map((payload) => ({
+        ...payload,
+        value: getPath(data, payload.path),
+      }))
+      processedItem = selectFields(data, mapping)
+    } else if (type === "flat") {
+      // Direct access for old format
+      payloads = [{ name: "rawHtml", path: ["rawHtml"], value: data.rawHtml }]
+
+      processedItem = {
+        id: data.id || formatFilename(data.name || "Unknown"),
+        name: data.name || "Unknown",
+        category: data.category || null,
+        url: data.url || null,
+        imageUrl: data.imageUrl || null,
+      }
+    } else if (type === "nested") {
+      // New structure with direct field access
+      payloads = [{ name: "rawHtml", path: ["rawHtml"], value: data.rawHtml }]
+
+      processedItem = {
+        id: data.id || formatFilename(data.name || "Unknown"),
+        name: data.name || "Unknown",
+        category: data.category || null,
+        domain: data.domain || null,
+        entityType: data.entityType || null,
+        url: data.url || (data.domain ? `https://${data.domain}` : null),
+        imageUrl: data.imageUrl || null,
+        price: data.price || null,
+        originalPrice: data.originalPrice || null,
+        shipping: data.shipping || null,
+        isSponsored: data.isSponsored !== undefined ? data.isSponsored : null,
+        timestamp: data.timestamp || null,
+        ttl: data.ttl || null,
+        rawTextContent: data.rawTextContent || null,
+      }
+    } else {
+      throw new Error("Unknown item type")
+    }
+
+    for (const payload of payloads) {
+      if (!payload.value) {
+        throw new Error(`Item missing required ${payload.name} field`)
+      }
+    }
+
+    // Decode and decompress each payload (plain text passes through)
+    const results = []
+    for (const payload of payloads) {
+      const result = await decodeRawHtml(payload.value, data.compressed, options)
+      results.push({ ...payload, ...result })
+    }
+
+    const primary = results[0]
+    const digest = manifest ? sha256(primary.data) : null
+    const original = options.dedup ? manifest.lookup(digest) : null
+
+    // Add the decompressed payloads to the processed item, leaving out the
+    // first one if an earlier item has it
+    for (const result of results) {
+      const text = typeof result.data === "string" ? result.data : result.data.toString("utf8")
+      setPath(processedItem, result.path, result === primary && original ? null : text)
+    }
+    if (type === "mapped") {
+      renameFields(processedItem, mapping)
+    }
+
+    if (original) {
+      processedItem.duplicateOf = original.id
+      stats.duplicateCount++
+      logVerbose(
+        `Item ${i + 1} duplicates item ${original.item}; ${primary.name} left out`,
+        options,
+      )
+    }
+
+    // Flag salvaged content so it is not mistaken for a complete document
+    const partials = results.filter((result) => result.partial)
+    const partialErrors = partials.map(
+      (result) =>
+        (results.length > 1 ? `${result.name}: ` : "") +
+        `${result.errorMessage} at input byte ${result.errorOffset}`,
+    )
+    if (partials.length > 0) {
+      processedItem.partial = true
+      processedItem.partialError = partialErrors.join("; ")
+      stats.partialCount++
+      logError(`Partial output for item ${i + 1}: ${processedItem.partialError}`)
+    }
+
+    // Append to the YAML list
+    await output.yaml.write(processedItem)
+
+    if (manifest) {
+      await manifest.add({
+        item: i + 1,
+        id: type === "mapped" ? (data.id ?? null) : processedItem.id,
+        status: partials.length > 0 ? "partial" : "ok",
+        path: output.yamlName,
+        duplicateOf: original ? original.item : null,
+        sha256: digest,
+        compressedSize: primary.input.length,
+        decompressedSize: primary.data.length,
+        format: primary.format,
+        contentType: sniffContentType(primary.data).mimeType,
+        error: partials.length > 0 ? partialErrors.join("; ") : null,
+      })
+    }
+
+    // Update statistics
+    stats.totalProcessed++
+    for (const result of results) {
+      stats.totalInputBytes += result.input.length
+      stats.totalOutputBytes += result.data.length
+    }
+    stats.successCount++
+  } catch (error) {
+    stats.totalProcessed++
+    stats.errorCount++
+
+    if (manifest) {
+      const id = (item.data && item.data.id) || null
+      await manifest.add({ item: i + 1, id, status: "error", error: error.message })
+    }
+
+    if (error instanceof LimitExceededError) {
+      stats.limitExceededCount++
+      logError(`Limit exceeded on item ${i + 1}:`, error.message)
+      return
+    }
+
+    logError(`Error processing item ${i + 1}:`, error.message)
+    if (options.debug) {
+      logDebug(error.stack, options)
+    }
+  }
+}
+
+/**
+ * Turn an item's rawHtml (or other payload field) into its content
+ *
+ * Items flagged with compressed: false carry plain text, which is passed
+ * through as is (still subject to the output limits); everything else is
+ * decoded and decompressed.
+ *
+ * @param {string|Buffer} rawHtml - The item's rawHtml value (a Buffer for a binary attribute)
+ * @param {*} compressed - The item's compressed flag, if it has one
+ * @param {Object} options - Command line options
+ * @returns {Promise<Object>} The decompressWithInfo result plus input, the decoded bytes
+ */
+async function decodeRawHtml(rawHtml, compressed, options) {
+  if (compressed === false) {
+    const text = Buffer.isBuffer(rawHtml) ? rawHtml : Buffer.from(rawHtml)
+    checkOutputLimits(options.limits, text.length, text.length)
+    recordOutput(options.limits, text.length)
+    logVerbose(`Item is not compressed; passing ${text.length} bytes through`, options)
+    return { input: text, data: text, format: "none", partial: false }
+  }
+
+  // Binary attributes are already bytes; text is decoded (base64 unless
+  // --encoding says otherwise)
+  let decodedData = rawHtml
+  if (Buffer.isBuffer(rawHtml)) {
+    logVerbose(`Read ${rawHtml.length} bytes from a binary attribute`, options)
+  } else {
+    const { data, encoding } = decodePayload(rawHtml, options.encoding)
+    logVerbose(`Decoded ${rawHtml.length} ${encoding} characters to ${data.length} bytes`, options)
+    decodedData = data
+  }
+
+  const result = await decompressWithInfo(decodedData, options)
+  return { ...result, input: decodedData }
+}
+
+/**
+ * Open the YAML output that items are appended to one at a time
+ *
+ * Each item is dumped as a one-element list, and consecutive dumps make up a
+ * single YAML list. An output with no items is closed as an empty list; that
+ * placeholder is not counted in position(), so a resumed run, which cuts the
+ * file back to the position saved in its checkpoint, drops it before
+ * appending.
+ *
+ * @param {string|null} outputPath - Output file, or null for stdout
+ * @param {Object} [resumeFrom] - Position from an earlier run's position()
+ * @returns {Promise<Object>} Output with write(item), position() and close()
+ */
+async function openYamlOutput(outputPath, resumeFrom = null) {
+  const start = resumeFrom || { items: 0, bytes: 0 }
+  let items = start.items
+  let bytes = start.bytes
+
+  let handle = null
+  if (outputPath) {
+    if (resumeFrom) {
+      await fsPromises.truncate(outputPath, bytes)
+    }
+    // Writes go straight to the file, so a saved position is always on disk
+    handle = await fsPromises.open(outputPath, resumeFrom ? "a" : "w")
+  }
+
+  const write = async (text) => {
+    if (handle) {
+      await handle.write(text)
+    } else if (!process.stdout.write(text)) {
+      await once(process.stdout, "drain")
+    }
+  }
+
+  return {
+    async write(item) {
+      const text = dump([item])
+      await write(text)
+      bytes += Buffer.byteLength(text)
+      items++
+    },
+
+    position() {
+      return { items, bytes }
+    },
+
+    async close() {
+      if (items === 0) {
+        await write(dump([]))
+      }
+      if (handle) {
+        await handle.close()
+      }
+    },
   }
 }
 
@@ -353,7 +768,16 @@ function displaySummary(stats, options, useStdout) {
   logIfNotQuiet("\nJSON Processing Summary:", options)
   logIfNotQuiet(`Total items processed: ${stats.totalProcessed}`, options)
   logIfNotQuiet(`  Success: ${stats.successCount}`, options)
+  if (stats.partialCount > 0) {
+    logIfNotQuiet(`    Partial: ${stats.partialCount}`, options)
+  }
+  if (stats.duplicateCount > 0) {
+    logIfNotQuiet(`    Duplicates: ${stats.duplicateCount} (rawHtml written once)`, options)
+  }
   logIfNotQuiet(`  Errors: ${stats.errorCount}`, options)
+  if (stats.limitExceededCount > 0) {
+    logIfNotQuiet(`    Limit exceeded: ${stats.limitExceededCount}`, options)
+  }
 
   if (!useStdout) {
     logIfNotQuiet(`  Output: ${options.output}`, options)
@@ -388,33 +812,32 @@ function formatBytes(bytes) {
 }
 
 /**
- * Sample a specified number of items from an array
- * @param {Array} items - Array of items to sample from
+ * Sample a specified number of items as they are read
+ *
+ * Reservoir sampling keeps only the sample in memory, however many items the
+ * input holds; with fewer items than the sample size, every item is kept.
+ *
+ * @param {AsyncIterable} items - Items to sample from
  * @param {number} sampleSize - Number of items to sample
- * @returns {Array} Sampled items
+ * @returns {Promise<Object>} The sampled items (sampledItems) and the number read (total)
  */
-function sampleItems(items, sampleSize) {
-  if (sampleSize >= items.length) {
-    return items
-  }
-
-  // Create a copy of the array to avoid modifying the original
-  const itemsCopy = [...items]
+async function sampleItems(items, sampleSize) {
   const sampledItems = []
+  let total = 0
 
-  // Fisher-Yates shuffle algorithm + take first n elements
-  for (let i = 0; i < sampleSize; i++) {
-    // Generate random index between i and array length - 1
-    const randomIndex = i + Math.floor(Math.random() * (itemsCopy.length - i))
-
-    // Swap elements at positions i and randomIndex
-    const temp = itemsCopy[i]
-    itemsCopy[i] = itemsCopy[randomIndex]
-    itemsCopy[randomIndex] = temp
+  for await (const item of items) {
+    total++
+    if (sampledItems.length < sampleSize) {
+      sampledItems.push(item)
+      continue
+    }
 
-    // Add the item at position i to our sampledItems
-    sampledItems.push(itemsCopy[i])
+    // Keep the new item with probability sampleSize / total, in place of a random one
+    const randomIndex = Math.floor(Math.random() * total)
+    if (randomIndex < sampleSize) {
+      sampledItems[randomIndex] = item
+    }
   }
 
-  return sampledItems
+  return { sampledItems, total }
 }
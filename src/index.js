@@ -4,33 +4,64 @@ import { program } from "commander"
 import { processFile } from "./lib/fileProcessor.js"
 import { setupBatchCommand } from "./commands/batch.js"
 import { setupParseJsonCommand } from "./commands/parse-json.js"
+import { setupCompressCommand } from "./commands/compress.js"
+import { setupEncodeBatchCommand } from "./commands/encode-batch.js"
+import { setupInspectCommand } from "./commands/inspect.js"
+import { parseRatio, parseSize } from "./lib/limits.js"
+import { collectDictionary } from "./lib/dictionary.js"
+import { describeFormatOption } from "./lib/codecs/index.js"
+import { EXIT_CODES, exitCodeForError } from "./lib/exitCodes.js"
 
 // Set up the CLI
 const cli = program
   .name("noblenewtonia")
-  .description("A CLI tool to decompress pako-compressed data")
+  .description("A CLI tool to decompress and compress pako-compressed data")
   .version("1.0.0")
+  // Unknown options, missing arguments and invalid values exit with the usage code
+  // (commands set up below inherit this); --help and --version still exit 0
+  .exitOverride((error) => {
+    process.exit(error.exitCode === 0 ? EXIT_CODES.success : EXIT_CODES.usage)
+  })
 
 // Set up the default command
 const defaultCommand = cli
   .command("decompress", { isDefault: true })
   .description("Decompress a single input stream")
-  .option("-f, --format <format>", "compression format (auto, deflate, raw, gzip)", "auto")
+  .option("-f, --format <format>", describeFormatOption(), "auto")
   .option("-o, --output <file>", "output file (defaults to stdout)")
   .option("-i, --input <file>", "input file (defaults to stdin)")
   .option("-v, --verbose", "enable verbose output")
   .option("-q, --quiet", "suppress all non-error output")
   .option("-d, --debug", "show detailed error information")
   .option("-s, --string", "output as string (UTF-8 to UTF-16 conversion)")
+  .option(
+    "--dictionary <file>",
+    "preset dictionary for deflate/raw data (repeatable, matched by id)",
+    collectDictionary,
+  )
+  .option("--recover", "keep partial output from a truncated or corrupt stream")
+  .option("--strict", "reject trailing bytes after the end of the compressed data")
+  .option("--ignore-trailing", "do not warn about trailing bytes after the compressed data")
+  .option("--max-output <size>", "maximum decompressed size (e.g. 50MB)", parseSize)
+  .option("--max-ratio <ratio>", "maximum expansion ratio", parseRatio)
+  .option("--peel", "keep removing base64/hex/gzip/zlib/raw layers until plain content remains")
+  .option("--max-depth <depth>", "maximum number of layers to peel", parseInt, 10)
   .action((options) => {
-    // Execute the main process
-    processFile(options).catch((error) => {
-      console.error("Fatal error:", error.message)
-      if (options.debug && error.stack) {
-        console.error(error.stack)
-      }
-      process.exit(1)
-    })
+    // Ctrl-C stops the stream at once, with the same code as the other commands
+    process.once("SIGINT", () => process.exit(EXIT_CODES.interrupted))
+
+    // Execute the main process; output kept by --recover is a partial result
+    processFile(options)
+      .then(({ partial }) => {
+        if (partial) process.exitCode = EXIT_CODES.partial
+      })
+      .catch((error) => {
+        console.error("Fatal error:", error.message)
+        if (options.debug && error.stack) {
+          console.error(error.stack)
+        }
+        process.exit(exitCodeForError(error))
+      })
   })
 
 // Set up the batch command
@@ -39,5 +70,14 @@ setupBatchCommand(cli)
 // Set up the parse-json command
 setupParseJsonCommand(cli)
 
+// Set up the compress command
+setupCompressCommand(cli)
+
+// Set up the encode-batch command
+setupEncodeBatchCommand(cli)
+
+// Set up the inspect command
+setupInspectCommand(cli)
+
 // Parse arguments and execute
 cli.parse(process.argv)
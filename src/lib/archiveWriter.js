@@ -0,0 +1,465 @@
+import { createReadStream, createWriteStream, promises as fsPromises } from "fs"
+import { once } from "events"
+import path from "path"
+import { pipeline } from "stream/promises"
+import zlib from "zlib"
+import { crc32 } from "./checksums.js"
+
+// Archive formats accepted as output targets, by file name ending
+const ARCHIVE_EXTENSIONS = [
+  [".tar.gz", "tar.gz"],
+  [".tgz", "tar.gz"],
+  [".tar", "tar"],
+  [".zip", "zip"],
+]
+
+const TAR_BLOCK = 512
+
+// ZIP record signatures (APPNOTE.TXT, section 4.3)
+const ZIP_LOCAL_HEADER = 0x04034b50
+const ZIP_CENTRAL_HEADER = 0x02014b50
+const ZIP64_END_OF_DIRECTORY = 0x06064b50
+const ZIP64_END_LOCATOR = 0x07064b50
+const ZIP_END_OF_DIRECTORY = 0x06054b50
+
+// General purpose flag bit 11: file names are UTF-8
+const ZIP_UTF8_NAMES = 0x0800
+
+/**
+ * Find the archive format an output path asks for
+ * @param {string} filePath - Output path
+ * @returns {string|null} "tar", "tar.gz" or "zip", or null for a plain path
+ */
+export function archiveFormatOf(filePath) {
+  const lower = String(filePath).toLowerCase()
+  const match = ARCHIVE_EXTENSIONS.find(([extension]) => lower.endsWith(extension))
+  return match ? match[1] : null
+}
+
+/**
+ * Open an archive for writing
+ *
+ * Entries are appended one at a time as they are added. An entry too large
+ * to hold in memory, such as a list that grows through a run, is written to
+ * its spoolPath() next to the archive and then streamed in with addSpooled(),
+ * which removes the spooled file. close() must be called to finish the
+ * archive (the tar end blocks or the zip central directory).
+ *
+ * @param {string} filePath - Archive path; the format comes from its extension
+ * @returns {Promise<Object>} Writer with format, count, addEntry(name, data, options),
+ *   addFile(name, sourcePath, options), spoolPath(name), addSpooled(name, options) and close()
+ */
+export async function createArchiveWriter(filePath) {
+  const format = archiveFormatOf(filePath)
+  if (!format) {
+    throw new Error(`Not an archive path: ${filePath} (expected .tar, .tar.gz, .tgz or .zip)`)
+  }
+
+  const file = createWriteStream(filePath)
+  await once(file, "open")
+
+  let output = file
+  if (format === "tar.gz") {
+    output = zlib.createGzip()
+    output.pipe(file)
+  }
+
+  const write = async (chunk) => {
+    if (!output.write(chunk)) {
+      await once(output, "drain")
+    }
+  }
+
+  const finish = async () => {
+    const finished = once(file, "finish")
+    output.end()
+    await finished
+  }
+
+  const writer = format === "zip" ? createZipWriter(write) : createTarWriter(write)
+
+  return {
+    format,
+    count: 0,
+
+    /**
+     * Add a file to the archive
+     * @param {string} name - File name inside the archive
+     * @param {Buffer|string} data - File contents
+     * @param {Object} [options] - Entry options
+     * @param {Date} [options.mtime] - Modification time (defaults to now)
+     */
+    async addEntry(name, data, options = {}) {
+      const contents = typeof data === "string" ? Buffer.from(data) : data
+      await writer.addEntry(name, contents, options.mtime || new Date())
+      this.count++
+    },
+
+    /**
+     * Add a file from disk to the archive, streaming its contents
+     * @param {string} name - File name inside the archive
+     * @param {string} sourcePath - File to add
+     * @param {Object} [options] - Entry options, as for addEntry
+     */
+    async addFile(name, sourcePath, options = {}) {
+      await writer.addFile(name, sourcePath, options.mtime || new Date())
+      this.count++
+    },
+
+    /**
+     * Where to write an entry before it is added with addSpooled()
+     * @param {string} name - File name inside the archive
+     * @returns {string} Temporary path next to the archive
+     */
+    spoolPath(name) {
+      return `${filePath}.${process.pid}.${path.basename(name)}.tmp`
+    },
+
+    /**
+     * Add an entry written to its spoolPath(), then remove the spooled file
+     * @param {string} name - File name inside the archive
+     * @param {Object} [options] - Entry options, as for addEntry
+     */
+    async addSpooled(name, options = {}) {
+      const sourcePath = this.spoolPath(name)
+      try {
+        await this.addFile(name, sourcePath, options)
+      } finally {
+        await fsPromises.rm(sourcePath, { force: true })
+      }
+    },
+
+    async close() {
+      await writer.finish()
+      await finish()
+    },
+  }
+}
+
+/**
+ * Create the entry writer for a POSIX ustar archive
+ *
+ * Names longer than the 100 bytes a ustar header holds are stored in a pax
+ * extended header (POSIX.1-2001) in front of the entry.
+ *
+ * @param {Function} write - Appends a chunk to the archive
+ * @returns {Object} Writer with addEntry(name, data, mtime), addFile(name, sourcePath, mtime)
+ *   and finish()
+ */
+function createTarWriter(write) {
+  const padding = (size) => Buffer.alloc((TAR_BLOCK - (size % TAR_BLOCK)) % TAR_BLOCK)
+
+  const writeFile = async (header, data) => {
+    await write(header)
+    await write(data)
+    await write(padding(data.length))
+  }
+
+  const writeHeaders = async (name, size, mtime) => {
+    const nameBytes = Buffer.from(name)
+
+    if (nameBytes.length > 100) {
+      const record = paxRecord("path", name)
+      const paxName = `PaxHeader/${nameBytes.subarray(0, 80).toString("latin1")}`
+      await writeFile(tarHeader(paxName, record.length, mtime, "x"), record)
+    }
+
+    await write(tarHeader(name, size, mtime, "0"))
+  }
+
+  return {
+    async addEntry(name, data, mtime) {
+      await writeHeaders(name, data.length, mtime)
+      await write(data)
+      await write(padding(data.length))
+    },
+
+    async addFile(name, sourcePath, mtime) {
+      // The header needs the size up front, so the file must not change while it is read
+      const { size } = await fsPromises.stat(sourcePath)
+      await writeHeaders(name, size, mtime)
+
+      let written = 0
+      await pipeline(createReadStream(sourcePath), async (chunks) => {
+        for await (const chunk of chunks) {
+          await write(chunk)
+          written += chunk.length
+        }
+      })
+      if (written !== size) {
+        throw new Error(`${sourcePath} changed while it was added to the archive`)
+      }
+      await write(padding(size))
+    },
+
+    async finish() {
+      // Two empty blocks mark the end of the archive
+      await write(Buffer.alloc(TAR_BLOCK * 2))
+    },
+  }
+}
+
+/**
+ * Build a ustar header block
+ * @param {string} name - Entry name (truncated to 100 bytes; longer names use a pax header)
+ * @param {number} size - Entry size in bytes
+ * @param {Date} mtime - Modification time
+ * @param {string} type - Type flag ("0" for a file, "x" for a pax header)
+ * @returns {Buffer} The 512-byte header
+ */
+function tarHeader(name, size, mtime, type) {
+  const header = Buffer.alloc(TAR_BLOCK)
+  const octal = (value, length) => value.toString(8).padStart(length - 1, "0") + "\0"
+
+  Buffer.from(name).copy(header, 0, 0, 100)
+  header.write(octal(0o644, 8), 100, "latin1") // mode
+  header.write(octal(0, 8), 108, "latin1") // uid
+  header.write(octal(0, 8), 116, "latin1") // gid
+  header.write(octal(size, 12), 124, "latin1")
+  header.write(octal(Math.floor(mtime.getTime() / 1000), 12), 136, "latin1")
+  header.write(type, 156, "latin1")
+  header.write("ustar\0" + "00", 257, "latin1")
+
+  // The checksum is computed with its own field filled with spaces
+  header.fill(" ", 148, 156)
+  const checksum = header.reduce((sum, byte) => sum + byte, 0)
+  header.write(octal(checksum, 7) + " ", 148, "latin1")
+
+  return header
+}
+
+/**
+ * Build a pax extended header record ("<length> <key>=<value>\n")
+ * @param {string} key - Record key
+ * @param {string} value - Record value
+ * @returns {Buffer} The record
+ */
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`
+  const bodyLength = Buffer.byteLength(body)
+
+  // The length counts its own digits
+  let length = bodyLength + String(bodyLength).length
+  if (String(length).length !== String(bodyLength).length) {
+    length = bodyLength + String(length).length
+  }
+  return Buffer.from(`${length}${body}`)
+}
+
+/**
+ * Create the entry writer for a zip archive
+ *
+ * Each entry is deflated, or stored when deflate does not make it smaller.
+ * Sizes and checksums are known before an entry is written, so every local
+ * header is complete and no data descriptors are needed: a file from disk is
+ * read twice, once to measure it and once to write it. ZIP64 records are
+ * added when the archive passes 65535 entries or 4 GiB of offsets.
+ *
+ * @param {Function} write - Appends a chunk to the archive
+ * @returns {Object} Writer with addEntry(name, data, mtime), addFile(name, sourcePath, mtime)
+ *   and finish()
+ */
+function createZipWriter(write) {
+  const entries = []
+  let offset = 0
+
+  const append = async (chunk) => {
+    await write(chunk)
+    offset += chunk.length
+  }
+
+  return {
+    async addEntry(name, data, mtime) {
+      const deflated = zlib.deflateRawSync(data)
+      const method = deflated.length < data.length ? 8 : 0
+      const stored = method === 8 ? deflated : data
+
+      const entry = {
+        name: Buffer.from(name),
+        method,
+        crc: crc32(data),
+        compressedSize: stored.length,
+        size: data.length,
+        ...dosDateTime(mtime),
+        offset,
+      }
+      entries.push(entry)
+
+      await append(zipLocalHeader(entry))
+      await append(stored)
+    },
+
+    async addFile(name, sourcePath, mtime) {
+      let crc = 0
+      let size = 0
+      let compressedSize = 0
+      await pipeline(
+        createReadStream(sourcePath),
+        async function* (chunks) {
+          for await (const chunk of chunks) {
+            crc = crc32(chunk, crc)
+            size += chunk.length
+            yield chunk
+          }
+        },
+        zlib.createDeflateRaw(),
+        async (chunks) => {
+          for await (const chunk of chunks) {
+            compressedSize += chunk.length
+          }
+        },
+      )
+
+      const method = compressedSize < size ? 8 : 0
+      const entry = {
+        name: Buffer.from(name),
+        method,
+        crc,
+        compressedSize: method === 8 ? compressedSize : size,
+        size,
+        ...dosDateTime(mtime),
+        offset,
+      }
+      entries.push(entry)
+
+      await append(zipLocalHeader(entry))
+      const start = offset
+      await pipeline(
+        createReadStream(sourcePath),
+        ...(method === 8 ? [zlib.createDeflateRaw()] : []),
+        async (chunks) => {
+          for await (const chunk of chunks) {
+            await append(chunk)
+          }
+        },
+      )
+      if (offset - start !== entry.compressedSize) {
+        throw new Error(`${sourcePath} changed while it was added to the archive`)
+      }
+    },
+
+    async finish() {
+      const directoryOffset = offset
+      for (const entry of entries) {
+        await append(zipCentralHeader(entry))
+      }
+      const directorySize = offset - directoryOffset
+
+      const needsZip64 = entries.length > 0xffff || directoryOffset > 0xffffffff
+      if (needsZip64) {
+        const zip64EndOffset = offset
+        await append(zip64EndOfDirectory(entries.length, directorySize, directoryOffset))
+        await append(zip64EndLocator(zip64EndOffset))
+      }
+
+      const end = Buffer.alloc(22)
+      end.writeUInt32LE(ZIP_END_OF_DIRECTORY, 0)
+      end.writeUInt16LE(Math.min(entries.length, 0xffff), 8)
+      end.writeUInt16LE(Math.min(entries.length, 0xffff), 10)
+      end.writeUInt32LE(Math.min(directorySize, 0xffffffff), 12)
+      end.writeUInt32LE(Math.min(directoryOffset, 0xffffffff), 16)
+      await append(end)
+    },
+  }
+}
+
+/**
+ * Build a zip local file header
+ * @param {Object} entry - Entry from createZipWriter
+ * @returns {Buffer} The header, followed by the file name
+ */
+function zipLocalHeader(entry) {
+  const header = Buffer.alloc(30)
+  header.writeUInt32LE(ZIP_LOCAL_HEADER, 0)
+  header.writeUInt16LE(20, 4) // version needed: 2.0
+  header.writeUInt16LE(ZIP_UTF8_NAMES, 6)
+  header.writeUInt16LE(entry.method, 8)
+  header.writeUInt16LE(entry.time, 10)
+  header.writeUInt16LE(entry.date, 12)
+  header.writeUInt32LE(entry.crc, 14)
+  header.writeUInt32LE(entry.compressedSize, 18)
+  header.writeUInt32LE(entry.size, 22)
+  header.writeUInt16LE(entry.name.length, 26)
+  return Buffer.concat([header, entry.name])
+}
+
+/**
+ * Build a zip central directory header
+ *
+ * Entries that start beyond 4 GiB keep their offset in a ZIP64 extra field.
+ *
+ * @param {Object} entry - Entry from createZipWriter
+ * @returns {Buffer} The header, followed by the file name and any extra field
+ */
+function zipCentralHeader(entry) {
+  const largeOffset = entry.offset > 0xffffffff
+  const extra = Buffer.alloc(largeOffset ? 12 : 0)
+  if (largeOffset) {
+    extra.writeUInt16LE(0x0001, 0) // ZIP64 extended information
+    extra.writeUInt16LE(8, 2)
+    extra.writeBigUInt64LE(BigInt(entry.offset), 4)
+  }
+
+  const header = Buffer.alloc(46)
+  header.writeUInt32LE(ZIP_CENTRAL_HEADER, 0)
+  header.writeUInt16LE(0x0300 | (largeOffset ? 45 : 20), 4) // made by: Unix
+  header.writeUInt16LE(largeOffset ? 45 : 20, 6)
+  header.writeUInt16LE(ZIP_UTF8_NAMES, 8)
+  header.writeUInt16LE(entry.method, 10)
+  header.writeUInt16LE(entry.time, 12)
+  header.writeUInt16LE(entry.date, 14)
+  header.writeUInt32LE(entry.crc, 16)
+  header.writeUInt32LE(entry.compressedSize, 20)
+  header.writeUInt32LE(entry.size, 24)
+  header.writeUInt16LE(entry.name.length, 28)
+  header.writeUInt16LE(extra.length, 30)
+  header.writeUInt32LE((0o100644 << 16) >>> 0, 38) // external attributes: regular file, rw-r--r--
+  header.writeUInt32LE(largeOffset ? 0xffffffff : entry.offset, 42)
+  return Buffer.concat([header, entry.name, extra])
+}
+
+/**
+ * Build a ZIP64 end of central directory record
+ * @param {number} count - Number of entries
+ * @param {number} size - Size of the central directory
+ * @param {number} offset - Offset of the central directory
+ * @returns {Buffer} The record
+ */
+function zip64EndOfDirectory(count, size, offset) {
+  const record = Buffer.alloc(56)
+  record.writeUInt32LE(ZIP64_END_OF_DIRECTORY, 0)
+  record.writeBigUInt64LE(44n, 4) // size of the rest of the record
+  record.writeUInt16LE(45, 12)
+  record.writeUInt16LE(45, 14)
+  record.writeBigUInt64LE(BigInt(count), 24)
+  record.writeBigUInt64LE(BigInt(count), 32)
+  record.writeBigUInt64LE(BigInt(size), 40)
+  record.writeBigUInt64LE(BigInt(offset), 48)
+  return record
+}
+
+/**
+ * Build the ZIP64 end of central directory locator
+ * @param {number} offset - Offset of the ZIP64 end of central directory record
+ * @returns {Buffer} The locator
+ */
+function zip64EndLocator(offset) {
+  const locator = Buffer.alloc(20)
+  locator.writeUInt32LE(ZIP64_END_LOCATOR, 0)
+  locator.writeBigUInt64LE(BigInt(offset), 8)
+  locator.writeUInt32LE(1, 16) // total number of disks
+  return locator
+}
+
+/**
+ * Convert a date to MS-DOS date and time fields (local time, 2-second resolution)
+ * @param {Date} date - The date
+ * @returns {Object} Object with the 16-bit date and time values
+ */
+function dosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear())
+  return {
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  }
+}
@@ -0,0 +1,18 @@
+import { parentPort, workerData } from "worker_threads"
+import { decodeEntry } from "./entryDecoder.js"
+import { createOutputLimits } from "./limits.js"
+import { serializeError } from "./errors.js"
+
+// Worker thread for batch --concurrency: decodes and decompresses one entry
+// per message. The run-wide output total is enforced by the main thread.
+const options = { ...workerData.options, dictionaries: workerData.dictionaries }
+
+parentPort.on("message", async ({ id, task }) => {
+  try {
+    const limits = createOutputLimits({ ...options, maxTotalOutput: undefined })
+    const result = await decodeEntry(task, { ...options, limits })
+    parentPort.postMessage({ id, result })
+  } catch (error) {
+    parentPort.postMessage({ id, error: serializeError(error) })
+  }
+})
@@ -0,0 +1,188 @@
+import { promises as fsPromises } from "fs"
+import path from "path"
+import { logError, logVerbose } from "./logger.js"
+import { UsageError } from "./errors.js"
+import { EXIT_CODES } from "./exitCodes.js"
+
+const CHECKPOINT_VERSION = 1
+
+// Progress is saved at most this often while a run is going
+const SAVE_INTERVAL_MS = 1000
+
+/**
+ * Open the checkpoint for a batch or parse-json run
+ *
+ * The checkpoint records how far the run got (every entry up to and including
+ * completedThrough has been handled, successfully or not), the statistics so
+ * far and any command-specific state. It is rewritten atomically, by renaming
+ * a temporary file over it, at most once a second and whenever flush() is
+ * called. With resume, an existing checkpoint for the same command and input
+ * is picked up; a checkpoint for a different run is an error.
+ *
+ * Command-specific state comes from the collect function set with
+ * onSave(), which is only called when the checkpoint is actually written.
+ *
+ * @param {Object} options - Command line options (checkpoint, resume)
+ * @param {string} command - Command name, stored to catch mix-ups
+ * @param {Object} stats - The run's statistics; a resumed run's saved counts are copied in
+ * @returns {Promise<Object|null>} Checkpoint with state, resumed, skip(index),
+ *   progress(index), onSave(collect) and flush(), or null when no checkpoint
+ *   file is configured
+ */
+export async function openCheckpoint(options, command, stats) {
+  if (!options.checkpoint) {
+    if (options.resume) {
+      throw new UsageError("--resume needs --checkpoint <file>")
+    }
+    return null
+  }
+
+  const filePath = options.checkpoint
+  const input = options.input && options.input !== "-" ? path.resolve(options.input) : "stdin"
+  const saved = options.resume ? await readCheckpoint(filePath) : null
+
+  if (saved && (saved.command !== command || saved.input !== input)) {
+    throw new Error(
+      `Checkpoint ${filePath} belongs to "${saved.command}" on ${saved.input}, not this run`,
+    )
+  }
+
+  if (options.resume && !saved) {
+    logVerbose(`No checkpoint at ${filePath}; starting from the beginning`, options)
+  }
+
+  // The caller keeps updating its own statistics object
+  if (saved) {
+    saved.stats = Object.assign(stats, saved.stats)
+  }
+
+  const state = saved || {
+    version: CHECKPOINT_VERSION,
+    command,
+    input,
+    completedThrough: -1,
+    complete: false,
+    stats,
+  }
+  let lastSave = 0
+  let collect = () => ({})
+
+  const checkpoint = {
+    state,
+    resumed: Boolean(saved),
+
+    /**
+     * Check whether an entry was handled by an earlier run
+     * @param {number} index - Zero-based entry index
+     * @returns {boolean} True if the entry should be skipped
+     */
+    skip(index) {
+      return checkpoint.resumed && index <= state.completedThrough
+    },
+
+    /**
+     * Record that every entry up to an index has been handled, saving if the
+     * last save was long enough ago
+     * @param {number} index - Zero-based index of the last handled entry
+     */
+    async progress(index) {
+      state.completedThrough = index
+      if (Date.now() - lastSave >= SAVE_INTERVAL_MS) {
+        await checkpoint.flush()
+      }
+    },
+
+    /**
+     * Set the function that returns command-specific state to save
+     * @param {Function} collectState - Returns fields to merge into the state
+     */
+    onSave(collectState) {
+      collect = collectState
+    },
+
+    async flush() {
+      lastSave = Date.now()
+      Object.assign(state, collect())
+      await writeCheckpoint(filePath, { ...state, updatedAt: new Date().toISOString() })
+    },
+  }
+
+  if (saved) {
+    logVerbose(`Resuming after entry ${state.completedThrough + 1} from ${filePath}`, options)
+  }
+
+  return checkpoint
+}
+
+/**
+ * Read a checkpoint file
+ * @param {string} filePath - Checkpoint file
+ * @returns {Promise<Object|null>} The saved state, or null if there is no file
+ */
+export async function readCheckpoint(filePath) {
+  let content
+  try {
+    content = await fsPromises.readFile(filePath, "utf8")
+  } catch (error) {
+    if (error.code === "ENOENT") return null
+    throw error
+  }
+
+  let state
+  try {
+    state = JSON.parse(content)
+  } catch (error) {
+    throw new Error(`Invalid checkpoint ${filePath}: ${error.message}`)
+  }
+
+  if (state.version !== CHECKPOINT_VERSION) {
+    throw new Error(`Unsupported checkpoint version in ${filePath}: ${state.version}`)
+  }
+  return state
+}
+
+/**
+ * Write a checkpoint atomically
+ *
+ * The state is written to a temporary file next to the checkpoint and renamed
+ * over it, so a crash leaves either the old or the new checkpoint, never half
+ * of one.
+ *
+ * @param {string} filePath - Checkpoint file
+ * @param {Object} state - State to save
+ */
+export async function writeCheckpoint(filePath, state) {
+  const temporaryPath = `${filePath}.${process.pid}.tmp`
+  await fsPromises.mkdir(path.dirname(filePath), { recursive: true })
+  await fsPromises.writeFile(temporaryPath, `${JSON.stringify(state, null, 2)}\n`)
+  await fsPromises.rename(temporaryPath, filePath)
+}
+
+/**
+ * Watch for Ctrl-C while a run is going
+ *
+ * The first SIGINT only sets the interrupted flag, so the run can stop after
+ * the current entry, save its checkpoint and print a partial summary. A second
+ * SIGINT exits at once.
+ *
+ * @returns {Object} Watcher with the interrupted flag and dispose()
+ */
+export function watchInterrupt() {
+  const watcher = {
+    interrupted: false,
+    dispose() {
+      process.removeListener("SIGINT", onSignal)
+    },
+  }
+
+  function onSignal() {
+    if (watcher.interrupted) {
+      process.exit(EXIT_CODES.interrupted)
+    }
+    watcher.interrupted = true
+    logError("Interrupted; finishing the current entry (press Ctrl-C again to stop at once)")
+  }
+
+  process.on("SIGINT", onSignal)
+  return watcher
+}
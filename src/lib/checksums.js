@@ -0,0 +1,46 @@
+// CRC-32 lookup table for the reflected polynomial 0xedb88320
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  }
+  return c >>> 0
+})
+
+/**
+ * Compute the CRC-32 of some data (as used by zip and gzip)
+ * @param {Uint8Array} data - The data
+ * @param {number} [previous=0] - CRC-32 of the data before, to continue from
+ * @returns {number} Unsigned CRC-32
+ */
+export function crc32(data, previous = 0) {
+  let crc = (previous ^ 0xffffffff) >>> 0
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+/**
+ * Compute the Adler-32 checksum of some data (as used by zlib, and as its dictionary id)
+ * @param {Uint8Array} data - The data
+ * @param {number} [previous=1] - Adler-32 of the data before, to continue from
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function adler32(data, previous = 1) {
+  let a = previous & 0xffff
+  let b = previous >>> 16
+
+  // 5552 is the largest block that cannot overflow before the modulo
+  for (let offset = 0; offset < data.length; offset += 5552) {
+    const end = Math.min(offset + 5552, data.length)
+    for (let i = offset; i < end; i++) {
+      a += data[i]
+      b += a
+    }
+    a %= 65521
+    b %= 65521
+  }
+
+  return ((b << 16) | a) >>> 0
+}
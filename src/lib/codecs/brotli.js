@@ -0,0 +1,193 @@
+import zlib from "zlib"
+import { constants as bufferConstants } from "buffer"
+import { LimitExceededError, UsageError } from "../errors.js"
+import { checkOutputLimits, recordOutput } from "../limits.js"
+
+// Brotli has no magic bytes; detection trial-decodes this many leading bytes
+const DETECT_LENGTH = 1024
+
+/**
+ * Brotli codec backed by node:zlib
+ *
+ * Brotli has no magic bytes, and many raw deflate streams also pass a trial
+ * decode of their leading bytes, so it is only used with -f brotli; detect
+ * still describes the stream for that case.
+ */
+export const brotliCodec = {
+  name: "brotli",
+  description: "brotli (RFC 7932), only with -f brotli",
+  priority: 20,
+  autoDetect: false,
+  detect: (input) => {
+    if (input.length === 0) return null
+
+    // Valid deflate-family data fails this almost immediately
+    const result = probeBrotli(input, DETECT_LENGTH)
+    if (!result.ok) return null
+
+    return {
+      format: "brotli",
+      reason: "leading bytes decode as a brotli stream",
+      windowSize: brotliWindowSize(input),
+      levelHint: null,
+      needsDictionary: false,
+      dictionaryId: null,
+    }
+  },
+  decode: decodeBrotli,
+  decodeStream: async function* (source, options) {
+    const decoder = zlib.createBrotliDecompress()
+    let outputSize = 0
+    let inputSize = 0
+
+    // Feed the decoder from the source while reading its output
+    const feeding = (async () => {
+      for await (const chunk of source) {
+        inputSize += chunk.length
+        if (!decoder.write(chunk)) {
+          await new Promise((resolve) => decoder.once("drain", resolve))
+        }
+      }
+      decoder.end()
+    })()
+    feeding.catch((error) => decoder.destroy(error))
+
+    for await (const chunk of decoder) {
+      outputSize += chunk.length
+      checkOutputLimits(options.limits, outputSize, inputSize)
+      yield chunk
+    }
+
+    await feeding
+  },
+  encode: (input, options) => {
+    const params = {}
+    if (options.level !== undefined) {
+      if (!Number.isInteger(options.level) || options.level < 0 || options.level > 11) {
+        throw new UsageError(`Invalid compression level: ${options.level} (expected 0-11)`)
+      }
+      params[zlib.constants.BROTLI_PARAM_QUALITY] = options.level
+    }
+    return zlib.brotliCompressSync(input, { params })
+  },
+  probe: (input, analysis, probeLength) => probeBrotli(input, probeLength),
+}
+
+/**
+ * Decompress a whole brotli buffer, enforcing output limits
+ * @param {Uint8Array} input - The compressed data
+ * @param {Object} options - Command line options (options.limits holds the output limits)
+ * @returns {Object} Object with the decompressed data and, in recovery mode, the failure
+ */
+function decodeBrotli(input, options) {
+  const limits = options.limits
+  const maxOutputLength = Math.max(
+    1,
+    Math.floor(
+      limits
+        ? Math.min(
+            limits.maxOutput,
+            limits.maxRatio * input.length,
+            limits.maxTotalOutput - limits.totalOutput,
+            bufferConstants.MAX_LENGTH,
+          )
+        : bufferConstants.MAX_LENGTH,
+    ),
+  )
+
+  let data
+  let failure = null
+
+  try {
+    data = zlib.brotliDecompressSync(input, { maxOutputLength })
+  } catch (error) {
+    if (error.code === "ERR_BUFFER_TOO_LARGE") {
+      // Let checkOutputLimits name the limit that was crossed
+      checkOutputLimits(limits, maxOutputLength + 1, input.length)
+      throw new LimitExceededError(error.message, "maxOutput")
+    }
+
+    if (!options.recover) {
+      throw error
+    }
+
+    // Flushing instead of finishing returns whatever decoded before the failure
+    const salvaged = salvageBrotli(input, maxOutputLength)
+    failure = { message: error.message, offset: salvaged.inputBytes }
+    data = salvaged.data
+  }
+
+  checkOutputLimits(limits, data.length, input.length)
+  recordOutput(limits, data.length)
+
+  return { data, failure }
+}
+
+/**
+ * Decode as much of a damaged brotli stream as possible
+ * @param {Uint8Array} input - The compressed data
+ * @param {number} maxOutputLength - Output limit in bytes
+ * @returns {Object} The recovered data and the number of input bytes it came from
+ */
+function salvageBrotli(input, maxOutputLength) {
+  // Back off until a prefix decodes without hitting the damaged region
+  for (let length = input.length; length > 0; length = Math.floor(length / 2)) {
+    try {
+      const data = zlib.brotliDecompressSync(input.subarray(0, length), {
+        finishFlush: zlib.constants.BROTLI_OPERATION_FLUSH,
+        maxOutputLength,
+      })
+      return { data, inputBytes: length }
+    } catch {
+      // Try a shorter prefix
+    }
+  }
+  return { data: Buffer.alloc(0), inputBytes: 0 }
+}
+
+/**
+ * Trial-decode the first bytes of the input as brotli
+ * @param {Uint8Array} input - The compressed data
+ * @param {number} probeLength - Maximum number of input bytes to decode
+ * @returns {Object} Probe result with ok, inputBytes, outputBytes, complete and error
+ */
+function probeBrotli(input, probeLength) {
+  const slice = input.subarray(0, probeLength)
+  const complete = slice.length === input.length
+
+  try {
+    const output = zlib.brotliDecompressSync(slice, {
+      finishFlush: zlib.constants.BROTLI_OPERATION_FLUSH,
+      maxOutputLength: 16 * 1024 * 1024,
+    })
+    return { ok: true, inputBytes: slice.length, outputBytes: output.length, complete, error: null }
+  } catch (error) {
+    // Hitting the output cap still means the bytes decode as brotli
+    if (error.code === "ERR_BUFFER_TOO_LARGE") {
+      return { ok: true, inputBytes: slice.length, outputBytes: 0, complete: false, error: null }
+    }
+    return { ok: false, inputBytes: slice.length, outputBytes: 0, complete, error: error.message }
+  }
+}
+
+/**
+ * Read the window size from the WBITS field of a brotli stream header (RFC 7932, 9.1)
+ * @param {Uint8Array} input - The compressed data
+ * @returns {number|null} Window size in bytes
+ */
+function brotliWindowSize(input) {
+  const byte = input[0]
+  let wbits
+
+  if ((byte & 0x01) === 0) {
+    wbits = 16
+  } else if (((byte >> 1) & 0x07) !== 0) {
+    wbits = 17 + ((byte >> 1) & 0x07)
+  } else {
+    const value = (byte >> 4) & 0x07
+    if (value === 1) return null // Large-window brotli
+    wbits = value === 0 ? 17 : 8 + value
+  }
+
+  return (1 << wbits) - 16
+}
@@ -0,0 +1,132 @@
+import { logVerbose } from "../logger.js"
+import { gzipCodec, deflateCodec, rawCodec } from "./pako.js"
+import { brotliCodec } from "./brotli.js"
+import { lzStringCodecs } from "./lzString.js"
+
+/**
+ * A codec is a plain object registered under a format name:
+ *
+ *   name          format name used with -f
+ *   description   short description for help output
+ *   priority      detection order, higher first (codecs without detect are never auto-selected)
+ *   autoDetect    optional; false keeps the codec out of -f auto, so it is only used with -f
+ *   detect        (input) => analysis or null, given the leading bytes of the data
+ *   decode        (input, options, analysis) => { data, failure }
+ *   decodeStream  optional async generator (source, options, analysis) yielding output chunks
+ *   encode        optional (input, options) => Buffer
+ *   probe         optional (input, analysis, probeLength) => probe result for inspect
+ */
+const codecs = new Map()
+
+/**
+ * Register a codec, replacing any codec with the same name
+ * @param {Object} codec - Codec definition
+ */
+export function registerCodec(codec) {
+  if (!codec || typeof codec.name !== "string" || typeof codec.decode !== "function") {
+    throw new Error("A codec needs a name and a decode function")
+  }
+  codecs.set(codec.name, codec)
+}
+
+/**
+ * Look up a registered codec by format name
+ * @param {string} name - Format name
+ * @returns {Object} The codec
+ */
+export function getCodec(name) {
+  const codec = codecs.get(name)
+  if (!codec) {
+    throw new Error(`Unsupported format: ${name} (available: ${listFormats().join(", ")})`)
+  }
+  return codec
+}
+
+/**
+ * List registered format names
+ * @param {Object} [filter] - Filter options
+ * @param {boolean} [filter.encodable] - Only list codecs that can encode
+ * @returns {string[]} Format names in registration order
+ */
+export function listFormats({ encodable = false } = {}) {
+  return [...codecs.values()]
+    .filter((codec) => !encodable || typeof codec.encode === "function")
+    .map((codec) => codec.name)
+}
+
+/**
+ * Describe the -f option with the registered formats
+ * @param {Object} [filter] - Filter options passed to listFormats
+ * @returns {string} Option description
+ */
+export function describeFormatOption(filter = {}) {
+  const formats = listFormats(filter)
+  return `compression format (${(filter.encodable ? formats : ["auto", ...formats]).join(", ")})`
+}
+
+/**
+ * Detect the codec for some data by asking each codec in priority order
+ * @param {Uint8Array} input - The compressed data (or its leading bytes)
+ * @returns {Object} Object with codec (null when nothing matched) and analysis
+ */
+export function detectCodec(input) {
+  const candidates = [...codecs.values()]
+    .filter((codec) => typeof codec.detect === "function" && codec.autoDetect !== false)
+    .sort((a, b) => b.priority - a.priority)
+
+  for (const codec of candidates) {
+    const analysis = codec.detect(input)
+    if (analysis) {
+      return { codec, analysis }
+    }
+  }
+
+  return {
+    codec: null,
+    analysis: {
+      format: "unknown",
+      reason: input.length === 0 ? "empty input" : "no registered format matches",
+      windowSize: null,
+      levelHint: null,
+      needsDictionary: false,
+      dictionaryId: null,
+    },
+  }
+}
+
+/**
+ * Pick the codec for an entry from options.format, detecting it for auto
+ * @param {Uint8Array} input - The compressed data (or its leading bytes)
+ * @param {Object} options - Command line options
+ * @returns {Object} Object with codec and analysis
+ */
+export function resolveCodec(input, options) {
+  if (!options.format || options.format === "auto") {
+    const detected = detectCodec(input)
+    logVerbose(`Detected format: ${detected.analysis.format} (${detected.analysis.reason})`, options)
+
+    if (!detected.codec) {
+      throw new Error(`Unrecognised compression format: ${detected.analysis.reason}`)
+    }
+    return detected
+  }
+
+  const codec = getCodec(options.format)
+  logVerbose(`Using format: ${codec.name}`, options)
+
+  const analysis = (codec.detect && codec.detect(input)) || {
+    format: codec.name,
+    reason: "format given with -f",
+    windowSize: null,
+    levelHint: null,
+    needsDictionary: false,
+    dictionaryId: null,
+  }
+
+  return { codec, analysis }
+}
+
+// Built-in codecs
+for (const codec of [gzipCodec, deflateCodec, rawCodec, brotliCodec, ...lzStringCodecs]) {
+  registerCodec(codec)
+}
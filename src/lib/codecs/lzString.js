@@ -0,0 +1,104 @@
+import LZString from "lz-string"
+import { checkOutputLimits, recordOutput } from "../limits.js"
+
+// Only this many leading bytes are checked when detecting a text variant
+const DETECT_LENGTH = 256
+
+const BASE64_ALPHABET = /^[A-Za-z0-9+/]+=*$/
+const URI_ALPHABET = /^[A-Za-z0-9+\-$]+$/
+
+/**
+ * Create a codec for one LZ-String variant
+ *
+ * The text variants' alphabets also cover plain base64 and other text, so
+ * none of the variants is auto-detected; they are only used with -f.
+ *
+ * @param {Object} variant - Variant definition
+ * @param {string} variant.name - Format name
+ * @param {string} variant.description - Short description for help output
+ * @param {number} variant.priority - Detection order (higher is tried first)
+ * @param {RegExp} [variant.alphabet] - Character set of a text variant, used for detection
+ * @param {Function} variant.decompress - Decompress the variant's input (bytes or text)
+ * @param {Function} variant.compress - Compress a string into the variant's output bytes
+ * @param {boolean} [variant.text] - Whether the input is text rather than raw bytes
+ * @returns {Object} Codec for the registry
+ */
+function createLzStringCodec(variant) {
+  return {
+    name: variant.name,
+    description: variant.description,
+    priority: variant.priority,
+    autoDetect: false,
+    detect: (input) => {
+      if (!variant.alphabet) return null
+
+      const prefix = Buffer.from(input.subarray(0, DETECT_LENGTH)).toString("latin1").trimEnd()
+      if (prefix.length < 4 || !variant.alphabet.test(prefix)) return null
+
+      return {
+        format: variant.name,
+        reason: `input is text in the ${variant.name} alphabet`,
+        windowSize: null,
+        levelHint: null,
+        needsDictionary: false,
+        dictionaryId: null,
+      }
+    },
+    decode: (input, options) => {
+      const source = variant.text ? Buffer.from(input).toString("utf8").trim() : input
+      const decompressed = variant.decompress(source)
+
+      // LZ-String signals corrupt input with null or an empty result
+      if (decompressed === null || (decompressed === "" && input.length > 0)) {
+        throw new Error(`Invalid ${variant.name} data`)
+      }
+
+      const data = Buffer.from(decompressed, "utf8")
+      checkOutputLimits(options.limits, data.length, input.length)
+      recordOutput(options.limits, data.length)
+
+      return { data, failure: null }
+    },
+    encode: (input) => Buffer.from(variant.compress(Buffer.from(input).toString("utf8"))),
+  }
+}
+
+export const lzStringCodecs = [
+  createLzStringCodec({
+    name: "lz-string",
+    description: "LZ-String bit stream (compressToUint8Array, or base64 batch lines)",
+    priority: 0,
+    decompress: (bytes) => {
+      // The bit stream is read as 16-bit units, so pad odd lengths
+      const padded = bytes.length % 2 === 0 ? bytes : Buffer.concat([bytes, Buffer.alloc(1)])
+      return LZString.decompressFromUint8Array(new Uint8Array(padded))
+    },
+    compress: (text) => LZString.compressToUint8Array(text),
+  }),
+  createLzStringCodec({
+    name: "lz-string-base64",
+    description: "LZ-String compressToBase64 text",
+    priority: 50,
+    alphabet: BASE64_ALPHABET,
+    text: true,
+    decompress: (text) => LZString.decompressFromBase64(text),
+    compress: (text) => LZString.compressToBase64(text),
+  }),
+  createLzStringCodec({
+    name: "lz-string-uri",
+    description: "LZ-String compressToEncodedURIComponent text",
+    priority: 45,
+    alphabet: URI_ALPHABET,
+    text: true,
+    decompress: (text) => LZString.decompressFromEncodedURIComponent(text),
+    compress: (text) => LZString.compressToEncodedURIComponent(text),
+  }),
+  createLzStringCodec({
+    name: "lz-string-utf16",
+    description: "LZ-String compressToUTF16 text",
+    priority: 0,
+    text: true,
+    decompress: (text) => LZString.decompressFromUTF16(text),
+    compress: (text) => LZString.compressToUTF16(text),
+  }),
+]
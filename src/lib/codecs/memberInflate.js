@@ -0,0 +1,297 @@
+import { Inflate } from "pako"
+import { adler32, crc32 } from "../checksums.js"
+
+// zlib status codes, as pako reports them in inflator.err
+const Z_NEED_DICT = 2
+const Z_DATA_ERROR = -3
+
+// Gzip header flags (RFC 1952, section 2.3.1)
+const FTEXT = 0x01
+const FHCRC = 0x02
+const FEXTRA = 0x04
+const FNAME = 0x08
+const FCOMMENT = 0x10
+
+// Bytes after the deflate data: CRC-32 and size for gzip, Adler-32 for zlib
+const TRAILER_LENGTHS = { gzip: 8, deflate: 4, raw: 0 }
+
+/**
+ * Inflate a single gzip member, zlib stream or raw deflate stream
+ *
+ * pako's Inflate restarts in place when more input follows a finished gzip or
+ * zlib stream, which fails on trailing garbage. Here pako only ever sees the
+ * raw deflate data: the gzip or zlib header and trailer are read and checked
+ * around it, so the inflator ends with the stream and the bytes after it are
+ * left over (leftover) for the next member.
+ *
+ * Like pako's Inflate, output goes to onData and a failure sets err and msg
+ * (using zlib's messages) and ends the stream. Output is always bytes.
+ *
+ * This depends on pako 2.x internals that its public API does not expose:
+ * strm.next_in, to find where the deflate data ended in the input, and
+ * strm.output and strm.next_out, to take output pako has not yet passed to
+ * onData (it only does so when its buffer is full or the stream ends). Check
+ * both when upgrading pako.
+ */
+export class MemberInflate {
+  /**
+   * @param {string} format - One of gzip, deflate or raw
+   * @param {Object} [options] - pako Inflate options; only dictionary and chunkSize are used
+   */
+  constructor(format, options = {}) {
+    this.format = format
+    this.options = options
+    this.onData = () => {}
+    this.ended = false
+    this.err = 0
+    this.msg = ""
+    this.header = { done: false } // Gzip header, in the shape of pako's GZheader
+    this.totalIn = 0 // Input bytes of this stream read so far
+    this.leftover = 0 // Bytes of the last push after the end of the stream
+
+    this.phase = format === "raw" ? "body" : "header"
+    this.pending = Buffer.alloc(0) // Header or trailer bytes read so far
+    this.check = format === "gzip" ? 0 : 1
+    this.outputSize = 0
+    this.inflator = format === "raw" ? this.createInflator(options.dictionary) : null
+  }
+
+  /**
+   * Feed input to the inflator
+   * @param {Uint8Array} data - Compressed input
+   * @param {boolean} finish - Whether this is the last input
+   * @returns {boolean} False once the stream has failed or had already ended
+   */
+  push(data, finish) {
+    if (this.ended) return false
+
+    let offset = 0
+    while (!this.ended && offset < data.length) {
+      const rest = data.subarray(offset)
+      const used =
+        this.phase === "header"
+          ? this.readHeader(rest)
+          : this.phase === "body"
+            ? this.readBody(rest, finish)
+            : this.readTrailer(rest)
+      offset += used
+      this.totalIn += used
+    }
+
+    // Flushes the output of a stream that was cut short
+    if (!this.ended && this.phase === "body" && data.length === 0 && finish) {
+      this.readBody(data, true)
+    }
+
+    this.leftover = this.ended && !this.err ? data.length - offset : 0
+    return !this.err
+  }
+
+  /**
+   * Take the output the inflator produced but has not yet passed to onData
+   * @returns {Buffer} The unflushed bytes
+   */
+  takeUnflushed() {
+    const strm = this.inflator && this.inflator.strm
+    if (!strm || !strm.output || !strm.next_out) return Buffer.alloc(0)
+
+    const unflushed = Buffer.from(strm.output.subarray(0, strm.next_out))
+    strm.next_out = 0
+    return unflushed
+  }
+
+  /**
+   * Create the pako inflator for the deflate data
+   * @param {Uint8Array} [dictionary] - Preset dictionary
+   * @returns {Inflate} Raw pako inflator passing its output on
+   */
+  createInflator(dictionary) {
+    const inflateOptions = { raw: true }
+    if (dictionary) inflateOptions.dictionary = dictionary
+    if (this.options.chunkSize) inflateOptions.chunkSize = this.options.chunkSize
+
+    const inflator = new Inflate(inflateOptions)
+    inflator.onData = (chunk) => {
+      this.outputSize += chunk.length
+      if (this.format === "gzip") this.check = crc32(chunk, this.check)
+      if (this.format === "deflate") this.check = adler32(chunk, this.check)
+      this.onData(chunk)
+    }
+    return inflator
+  }
+
+  /**
+   * Read the gzip or zlib header, once all of it has arrived
+   * @param {Uint8Array} data - Input
+   * @returns {number} Number of bytes used
+   */
+  readHeader(data) {
+    const input = this.pending.length
+      ? Buffer.concat([this.pending, data])
+      : Buffer.from(data.buffer, data.byteOffset, data.length)
+    const parsed = this.format === "gzip" ? parseGzipHeader(input) : parseZlibHeader(input)
+
+    if (!parsed) {
+      this.pending = Buffer.from(input)
+      return data.length
+    }
+    if (parsed.error) {
+      this.fail(Z_DATA_ERROR, parsed.error)
+      return 0
+    }
+
+    const used = parsed.length - this.pending.length
+    this.pending = Buffer.alloc(0)
+
+    if (this.format === "gzip") {
+      this.header = parsed.header
+    } else if (parsed.dictionaryId !== null) {
+      const dictionary = this.options.dictionary
+      if (!dictionary || adler32(dictionary) !== parsed.dictionaryId) {
+        this.fail(Z_NEED_DICT, "need dictionary")
+        return used
+      }
+    }
+
+    this.inflator = this.createInflator(parsed.dictionaryId ? this.options.dictionary : null)
+    this.phase = "body"
+    return used
+  }
+
+  /**
+   * Inflate deflate data until it ends
+   * @param {Uint8Array} data - Input
+   * @param {boolean} finish - Whether this is the last input
+   * @returns {number} Number of bytes used
+   */
+  readBody(data, finish) {
+    const inflator = this.inflator
+    inflator.push(data, finish)
+
+    if (inflator.err) {
+      this.fail(inflator.err, inflator.msg || `Decompression failed with status ${inflator.err}`)
+      return inflator.strm.next_in
+    }
+    if (!inflator.ended) return data.length
+
+    this.phase = "trailer"
+    if (this.format === "raw") this.ended = true
+    return inflator.strm.next_in
+  }
+
+  /**
+   * Read and check the gzip or zlib trailer
+   * @param {Uint8Array} data - Input
+   * @returns {number} Number of bytes used
+   */
+  readTrailer(data) {
+    const length = TRAILER_LENGTHS[this.format]
+    const used = Math.min(length - this.pending.length, data.length)
+    this.pending = Buffer.concat([this.pending, data.subarray(0, used)])
+    if (this.pending.length < length) return used
+
+    const trailer = this.pending
+    if (this.format === "gzip") {
+      if (trailer.readUInt32LE(0) !== this.check) {
+        this.fail(Z_DATA_ERROR, "incorrect data check")
+      } else if (trailer.readUInt32LE(4) !== this.outputSize % 2 ** 32) {
+        this.fail(Z_DATA_ERROR, "incorrect length check")
+      }
+    } else if (trailer.readUInt32BE(0) !== this.check) {
+      this.fail(Z_DATA_ERROR, "incorrect data check")
+    }
+
+    this.ended = true
+    return used
+  }
+
+  /**
+   * End the stream with an error
+   * @param {number} status - zlib status code
+   * @param {string} message - Error message
+   */
+  fail(status, message) {
+    this.err = status
+    this.msg = message
+    this.ended = true
+  }
+}
+
+/**
+ * Parse a gzip member header (RFC 1952)
+ * @param {Buffer} input - Input from the start of the member
+ * @returns {Object|null} { length, header } or { error }, or null if more input is needed
+ */
+function parseGzipHeader(input) {
+  if (input.length < 10) return null
+  if (input[0] !== 0x1f || input[1] !== 0x8b) return { error: "incorrect header check" }
+  if (input[2] !== 8) return { error: "unknown compression method" }
+
+  const flags = input[3]
+  if (flags & 0xe0) return { error: "unknown header flags set" }
+
+  let position = 10
+  let extra = null
+  if (flags & FEXTRA) {
+    if (input.length < position + 2) return null
+    const length = input.readUInt16LE(position)
+    if (input.length < position + 2 + length) return null
+    extra = new Uint8Array(input.subarray(position + 2, position + 2 + length))
+    position += 2 + length
+  }
+
+  // Name and comment are zero-terminated ISO 8859-1
+  const readText = () => {
+    const end = input.indexOf(0, position)
+    if (end === -1) return null
+    const text = input.toString("latin1", position, end)
+    position = end + 1
+    return text
+  }
+  const name = flags & FNAME ? readText() : ""
+  if (name === null) return null
+  const comment = flags & FCOMMENT ? readText() : ""
+  if (comment === null) return null
+
+  if (flags & FHCRC) {
+    if (input.length < position + 2) return null
+    if ((crc32(input.subarray(0, position)) & 0xffff) !== input.readUInt16LE(position)) {
+      return { error: "header crc mismatch" }
+    }
+    position += 2
+  }
+
+  return {
+    length: position,
+    header: {
+      done: true,
+      text: flags & FTEXT ? 1 : 0,
+      time: input.readUInt32LE(4),
+      xflags: input[8],
+      os: input[9],
+      extra,
+      name,
+      comment,
+      hcrc: flags & FHCRC ? 1 : 0,
+    },
+  }
+}
+
+/**
+ * Parse a zlib stream header (RFC 1950)
+ * @param {Buffer} input - Input from the start of the stream
+ * @returns {Object|null} { length, dictionaryId } or { error }, or null if more input is needed
+ */
+function parseZlibHeader(input) {
+  if (input.length < 2) return null
+
+  const cmf = input[0]
+  const flg = input[1]
+  if ((cmf * 256 + flg) % 31 !== 0) return { error: "incorrect header check" }
+  if ((cmf & 0x0f) !== 8) return { error: "unknown compression method" }
+  if ((cmf >> 4) + 8 > 15) return { error: "invalid window size" }
+
+  if (!(flg & 0x20)) return { length: 2, dictionaryId: null }
+  if (input.length < 6) return null
+  return { length: 6, dictionaryId: input.readUInt32BE(2) }
+}
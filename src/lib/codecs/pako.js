@@ -0,0 +1,397 @@
+import { StringDecoder } from "string_decoder"
+import { Deflate } from "pako"
+import { logVerbose, logError } from "../logger.js"
+import { UsageError } from "../errors.js"
+import {
+  detectFormat,
+  getInflateOptions,
+  isGzipHeader,
+  probeDecompression,
+} from "../formatDetector.js"
+import { checkOutputLimits, recordOutput } from "../limits.js"
+import { selectDictionary } from "../dictionary.js"
+import { readGzipHeader, logGzipHeader } from "../gzipHeader.js"
+import { MemberInflate } from "./memberInflate.js"
+
+// Input is fed to pako in slices of this size so that a single highly
+// compressed chunk cannot expand into an unbounded amount of output at once
+const PUSH_SLICE_SIZE = 16 * 1024
+
+/**
+ * Create a codec for one of the formats pako handles
+ * @param {string} format - One of gzip, deflate or raw
+ * @param {string} description - Short description for help output
+ * @param {number} priority - Detection order (higher is tried first)
+ * @returns {Object} Codec for the registry
+ */
+function createPakoCodec(format, description, priority) {
+  return {
+    name: format,
+    description,
+    priority,
+    detect: (input) => {
+      const analysis = detectFormat(input)
+      return analysis.format === format ? analysis : null
+    },
+    decode: (input, options, analysis) => inflateInput(input, format, analysis, options),
+    decodeStream: (source, options, analysis) => inflateStream(source, format, analysis, options),
+    encode: (input, options) => deflateInput(input, format, options),
+    probe: probeDecompression,
+  }
+}
+
+export const gzipCodec = createPakoCodec("gzip", "gzip (RFC 1952)", 100)
+export const deflateCodec = createPakoCodec("deflate", "zlib-wrapped deflate (RFC 1950)", 90)
+export const rawCodec = createPakoCodec("raw", "raw deflate without header (RFC 1951)", 10)
+
+/**
+ * Build pako Deflate options for a format and compression level
+ * @param {string} format - One of gzip, deflate or raw
+ * @param {Object} options - Command line options
+ * @returns {Object} Options for pako's Deflate class
+ */
+export function getDeflateOptions(format, options) {
+  const deflateOptions = {}
+
+  if (options.level !== undefined) {
+    if (!Number.isInteger(options.level) || options.level < 0 || options.level > 9) {
+      throw new UsageError(`Invalid compression level: ${options.level} (expected 0-9)`)
+    }
+    deflateOptions.level = options.level
+  }
+
+  if (format === "gzip") deflateOptions.gzip = true
+  if (format === "raw") deflateOptions.raw = true
+
+  return deflateOptions
+}
+
+/**
+ * Compress the whole input with pako's Deflate class
+ * @param {Uint8Array} input - The data to compress
+ * @param {string} format - One of gzip, deflate or raw
+ * @param {Object} options - Command line options
+ * @returns {Buffer} The compressed data
+ */
+function deflateInput(input, format, options) {
+  const deflator = new Deflate(getDeflateOptions(format, options))
+  deflator.push(input, true)
+
+  if (deflator.err) {
+    throw new Error(deflator.msg || `Compression failed with status ${deflator.err}`)
+  }
+
+  return Buffer.from(deflator.result)
+}
+
+/**
+ * Build the pako Inflate options for an entry
+ * @param {string} format - One of gzip, deflate or raw
+ * @param {Object} analysis - Header analysis from detectFormat
+ * @param {Object} options - Command line options
+ * @returns {Object} Options for pako's Inflate class
+ */
+function buildInflateOptions(format, analysis, options) {
+  const inflateOptions = getInflateOptions(format)
+
+  // Preset dictionary, matched by the id in the zlib header (options.dictionaries)
+  const dictionary = selectDictionary(options.dictionaries, format, analysis)
+  if (dictionary) {
+    inflateOptions.dictionary = dictionary
+  }
+
+  return inflateOptions
+}
+
+/**
+ * Inflate the whole input, enforcing output limits
+ *
+ * Concatenated gzip members are decoded one after another. Bytes after the
+ * end of the last stream are reported (see reportTrailingBytes).
+ *
+ * @param {Uint8Array} input - The compressed data
+ * @param {string} format - One of gzip, deflate or raw
+ * @param {Object} analysis - Header analysis from detectFormat
+ * @param {Object} options - Command line options (options.limits holds the output limits)
+ * @returns {Object} Object with the decompressed data, the gzip header, members,
+ *   trailingBytes and, in recovery mode, the failure
+ */
+function inflateInput(input, format, analysis, options) {
+  const inflateOptions = buildInflateOptions(format, analysis, options)
+  const chunks = []
+  let outputSize = 0
+  let offset = 0
+  let members = 0
+  let header = null
+  let failure = null
+
+  for (;;) {
+    const inflator = new MemberInflate(format, inflateOptions)
+
+    // Check limits on every chunk so that a bomb is aborted as early as possible
+    inflator.onData = (chunk) => {
+      outputSize += chunk.length
+      checkOutputLimits(options.limits, outputSize, input.length)
+      chunks.push(Buffer.from(chunk))
+    }
+
+    inflator.push(input.subarray(offset), true)
+    members++
+
+    if (format === "gzip" && !header) {
+      header = readGzipHeader(inflator.header)
+    }
+
+    if (inflator.err || !inflator.ended) {
+      failure = {
+        message: inflator.err
+          ? inflator.msg || `Decompression failed with status ${inflator.err}`
+          : "Unexpected end of compressed stream",
+        offset: offset + inflator.totalIn,
+      }
+
+      if (!options.recover) {
+        throw new Error(failure.message)
+      }
+
+      // Output produced since the last onData call is still in pako's buffer
+      const unflushed = inflator.takeUnflushed()
+      if (unflushed.length > 0) {
+        inflator.onData(unflushed)
+      }
+      break
+    }
+
+    offset += inflator.totalIn
+
+    // Another gzip member follows
+    if (format !== "gzip" || !isGzipHeader(input.subarray(offset))) break
+  }
+
+  const trailingBytes = failure ? 0 : input.length - offset
+  if (trailingBytes > 0) {
+    reportTrailingBytes(trailingBytes, offset, options)
+  }
+  if (members > 1) {
+    logVerbose(`Decoded ${members} gzip members`, options)
+  }
+
+  recordOutput(options.limits, outputSize)
+
+  const data = Buffer.concat(chunks)
+  return {
+    data: options.string ? data.toString("utf8") : data,
+    failure,
+    header,
+    members,
+    trailingBytes,
+  }
+}
+
+/**
+ * Report bytes found after the end of the compressed data
+ *
+ * A warning by default, verbose-only with options.ignoreTrailing and an
+ * error with options.strict.
+ *
+ * @param {number} size - Number of trailing bytes
+ * @param {number} offset - Input offset of the first trailing byte
+ * @param {Object} options - Command line options
+ */
+function reportTrailingBytes(size, offset, options) {
+  const message = `${size} trailing bytes after end of compressed stream at input byte ${offset}`
+
+  if (options.strict) {
+    throw new Error(`Unexpected ${message}`)
+  }
+
+  if (options.ignoreTrailing) {
+    logVerbose(`Ignoring ${message}`, options)
+  } else {
+    logError(`Warning: ignoring ${message}`)
+  }
+}
+
+/**
+ * Inflate a stream of chunks, yielding output as it is produced
+ *
+ * Concatenated gzip members are decoded in turn. With options.recover, a
+ * corrupt or truncated stream ends the output early with a warning instead
+ * of an error, and the failure is recorded as options.failure.
+ *
+ * @param {AsyncIterable<Buffer>} source - Compressed chunks
+ * @param {string} format - One of gzip, deflate or raw
+ * @param {Object} analysis - Header analysis from detectFormat
+ * @param {Object} options - Command line options (options.limits holds the output limits)
+ */
+async function* inflateStream(source, format, analysis, options) {
+  const pending = []
+  const inflateOptions = buildInflateOptions(format, analysis, options)
+  const decoder = options.string ? new StringDecoder("utf8") : null
+  const stats = {
+    inputSize: 0,
+    outputSize: 0,
+    members: 0,
+    trailingOffset: null,
+    headerLogged: false,
+  }
+  let carry = Buffer.alloc(0)
+
+  // Collect output as it is produced instead of letting pako accumulate it
+  const onData = (chunk) => {
+    stats.outputSize += chunk.length
+    checkOutputLimits(options.limits, stats.outputSize, stats.inputSize)
+    const output = decoder ? decoder.write(Buffer.from(chunk)) : Buffer.from(chunk)
+    if (output.length > 0) pending.push(output)
+  }
+
+  const startMember = (inputOffset) => {
+    const inflator = new MemberInflate(format, inflateOptions)
+    inflator.onData = onData
+    inflator.inputOffset = inputOffset
+    stats.members++
+    return inflator
+  }
+
+  let inflator = startMember(0)
+
+  for await (const data of source) {
+    stats.inputSize += data.length
+
+    // Input after a failure or after the trailing bytes started is ignored
+    if (inflator.failure || stats.trailingOffset !== null) continue
+
+    let rest = carry.length > 0 ? Buffer.concat([carry, data]) : data
+    carry = Buffer.alloc(0)
+
+    while (rest.length > 0) {
+      if (inflator.ended) {
+        // Two bytes are needed to tell another gzip member from trailing bytes
+        if (format === "gzip" && rest.length < 2) {
+          carry = rest
+          break
+        }
+
+        const restOffset = stats.inputSize - rest.length
+        if (format !== "gzip" || !isGzipHeader(rest)) {
+          stats.trailingOffset = restOffset
+          break
+        }
+
+        inflator = startMember(restOffset)
+      }
+
+      const leftover = yield* pushInput(inflator, rest, pending, options)
+      if (inflator.failure) break
+
+      // Only the first member's header is reported
+      if (format === "gzip" && !stats.headerLogged && inflator.header.done) {
+        logGzipHeader(readGzipHeader(inflator.header), options)
+        stats.headerLogged = true
+      }
+
+      rest = rest.subarray(rest.length - leftover)
+    }
+  }
+
+  if (carry.length > 0) {
+    stats.trailingOffset = stats.inputSize - carry.length
+  }
+
+  if (!inflator.ended) {
+    inflator.push(new Uint8Array(0), true)
+    checkInflator(inflator, options, pending)
+  }
+
+  if (!inflator.ended) {
+    recoverOrThrow(inflator, "Unexpected end of compressed stream", options, pending)
+  }
+
+  const tail = decoder ? decoder.end() : ""
+  if (tail) pending.push(tail)
+
+  yield* drain(pending)
+
+  if (inflator.failure) {
+    logError(
+      `Warning: output is partial, decompression failed at input byte ${inflator.failure.offset}: ${inflator.failure.message}`,
+    )
+    options.failure = inflator.failure
+    return
+  }
+
+  if (stats.members > 1) {
+    logVerbose(`Decoded ${stats.members} gzip members`, options)
+  }
+  if (stats.trailingOffset !== null) {
+    reportTrailingBytes(stats.inputSize - stats.trailingOffset, stats.trailingOffset, options)
+  }
+}
+
+/**
+ * Feed input to the inflator in bounded slices, yielding output between slices
+ * @param {MemberInflate} inflator - The pako inflator
+ * @param {Buffer} data - Compressed input
+ * @param {Array} pending - Array receiving decompressed chunks
+ * @param {Object} options - Command line options
+ * @returns {number} Number of input bytes left over after the end of the stream
+ */
+function* pushInput(inflator, data, pending, options) {
+  let offset = 0
+
+  while (offset < data.length && !inflator.ended) {
+    const slice = data.subarray(offset, offset + PUSH_SLICE_SIZE)
+    offset += slice.length
+
+    inflator.push(slice, false)
+    checkInflator(inflator, options, pending)
+    yield* drain(pending)
+  }
+
+  return inflator.ended ? inflator.leftover + (data.length - offset) : 0
+}
+
+/**
+ * Handle an error reported by the inflator
+ * @param {MemberInflate} inflator - The pako inflator
+ * @param {Object} options - Command line options
+ * @param {Array} pending - Array receiving decompressed chunks
+ */
+function checkInflator(inflator, options, pending) {
+  if (inflator.err) {
+    const message = inflator.msg || `Decompression failed with status ${inflator.err}`
+    recoverOrThrow(inflator, message, options, pending)
+  }
+}
+
+/**
+ * Throw a decompression failure, or in recovery mode keep the output so far
+ * @param {MemberInflate} inflator - The pako inflator
+ * @param {string} message - Failure message
+ * @param {Object} options - Command line options
+ * @param {Array} pending - Array receiving decompressed chunks
+ */
+function recoverOrThrow(inflator, message, options, pending) {
+  if (!options.recover) {
+    throw new Error(message)
+  }
+
+  const unflushed = inflator.takeUnflushed()
+  if (unflushed.length > 0) {
+    inflator.onData(unflushed)
+  }
+
+  // Any further input is ignored once the stream has failed
+  inflator.failure = { message, offset: inflator.inputOffset + inflator.totalIn }
+  inflator.ended = true
+}
+
+/**
+ * Yield and clear all pending output chunks
+ * @param {Array} pending - Array of decompressed chunks
+ */
+function* drain(pending) {
+  while (pending.length > 0) {
+    yield pending.shift()
+  }
+}
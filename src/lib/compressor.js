@@ -0,0 +1,105 @@
+import { Deflate } from "pako"
+import { logVerbose } from "./logger.js"
+import { UsageError } from "./errors.js"
+import { encodeBase64 } from "./encoding.js"
+import { getCodec } from "./codecs/index.js"
+import { getDeflateOptions } from "./codecs/pako.js"
+
+// Formats compressed incrementally with pako; other codecs encode the whole input
+const STREAMING_FORMATS = ["deflate", "raw", "gzip"]
+
+/**
+ * Compress data using the specified format
+ * @param {Buffer|Uint8Array|string} inputData - The data to compress
+ * @param {Object} options - Command line options
+ * @returns {Promise<Buffer|string>} The compressed data, or a base64 string with options.base64
+ */
+export async function compressData(inputData, options) {
+  const format = options.format || "deflate"
+  const input = typeof inputData === "string" ? Buffer.from(inputData) : inputData
+
+  logVerbose(`Using format: ${format}`, options)
+  logVerbose(`Input data size: ${input.length} bytes`, options)
+
+  const codec = getCodec(format)
+  if (typeof codec.encode !== "function") {
+    throw new UsageError(`Format ${format} does not support compression`)
+  }
+
+  const compressed = Buffer.from(codec.encode(input, options))
+
+  logVerbose(`Compressed data size: ${compressed.length} bytes`, options)
+
+  return options.base64 ? encodeBase64(compressed) : compressed
+}
+
+/**
+ * Create a streaming compression step for use with stream.pipeline
+ * @param {Object} options - Command line options
+ * @returns {Function} Async generator function transforming plain chunks
+ */
+export function createCompressTransform(options) {
+  const format = options.format || "deflate"
+
+  if (!STREAMING_FORMATS.includes(format)) {
+    return async function* compressBuffered(source) {
+      const chunks = []
+      for await (const chunk of source) {
+        chunks.push(typeof chunk === "string" ? Buffer.from(chunk) : chunk)
+      }
+      yield await compressData(Buffer.concat(chunks), options)
+    }
+  }
+
+  return async function* compressTransform(source) {
+    const pending = []
+    const stats = { inputSize: 0, outputSize: 0 }
+    const deflator = new Deflate(getDeflateOptions(format, options))
+
+    // Collect output as it is produced instead of letting pako accumulate it
+    deflator.onData = (chunk) => {
+      stats.outputSize += chunk.length
+      pending.push(Buffer.from(chunk))
+    }
+
+    // Base64 output is emitted in multiples of 3 bytes so chunks join cleanly
+    let carry = Buffer.alloc(0)
+    const encode = function* (final) {
+      if (!options.base64) {
+        yield* pending.splice(0)
+        return
+      }
+
+      const data = Buffer.concat([carry, ...pending.splice(0)])
+      const usable = final ? data.length : data.length - (data.length % 3)
+      carry = data.subarray(usable)
+      if (usable > 0) yield encodeBase64(data.subarray(0, usable))
+    }
+
+    for await (const chunk of source) {
+      const data = typeof chunk === "string" ? Buffer.from(chunk) : chunk
+      stats.inputSize += data.length
+
+      deflator.push(data, false)
+      checkDeflator(deflator)
+      yield* encode(false)
+    }
+
+    deflator.push(new Uint8Array(0), true)
+    checkDeflator(deflator)
+    yield* encode(true)
+
+    logVerbose(`Input data size: ${stats.inputSize} bytes`, options)
+    logVerbose(`Compressed data size: ${stats.outputSize} bytes`, options)
+  }
+}
+
+/**
+ * Throw if the deflator reported an error
+ * @param {Deflate} deflator - The pako deflator
+ */
+function checkDeflator(deflator) {
+  if (deflator.err) {
+    throw new Error(deflator.msg || `Compression failed with status ${deflator.err}`)
+  }
+}
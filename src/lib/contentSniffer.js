@@ -0,0 +1,204 @@
+import { isUtf8 } from "buffer"
+
+// Only the start of the output is examined
+const SAMPLE_LENGTH = 8192
+
+// Whole-document JSON parsing is skipped above this size; larger documents
+// get a structural check of their start and end instead
+const MAX_JSON_PARSE = 64 * 1024
+
+// File signatures as [type, extension, MIME type, hex bytes, offset], checked in order
+const MAGIC_NUMBERS = [
+  ["png", ".png", "image/png", "89504e47"],
+  ["jpeg", ".jpg", "image/jpeg", "ffd8ff"],
+  ["gif", ".gif", "image/gif", "47494638"],
+  ["pdf", ".pdf", "application/pdf", "25504446"],
+  ["zip", ".zip", "application/zip", "504b0304"],
+  ["gzip", ".gz", "application/gzip", "1f8b"],
+  ["bzip2", ".bz2", "application/x-bzip2", "425a68"],
+  ["xz", ".xz", "application/x-xz", "fd377a585a00"],
+  ["7z", ".7z", "application/x-7z-compressed", "377abcaf271c"],
+  ["zstd", ".zst", "application/zstd", "28b52ffd"],
+  ["tar", ".tar", "application/x-tar", "7573746172", 257], // "ustar"
+  ["sqlite", ".sqlite", "application/vnd.sqlite3", "53514c69746520666f726d6174203300"],
+  ["elf", ".elf", "application/x-elf", "7f454c46"],
+  ["wasm", ".wasm", "application/wasm", "0061736d"],
+  ["ogg", ".ogg", "audio/ogg", "4f676753"],
+].map(([type, extension, mimeType, hex, offset = 0]) => ({
+  type,
+  extension,
+  mimeType,
+  bytes: Buffer.from(hex, "hex"),
+  offset,
+}))
+
+// Elements that open an HTML document or a fragment of one; XML rarely starts with these
+const HTML_TAGS =
+  "html|head|body|meta|link|title|style|script|noscript|base|div|p|h[1-6]|table|ul|ol|form|" +
+  "iframe|section|article|header|footer|nav|main|aside"
+const HTML_START = new RegExp(`^(<!--[\\s\\S]*?-->\\s*)*<(${HTML_TAGS})[\\s/>]`, "i")
+
+// RIFF containers carry their real type at offset 8
+const RIFF_TYPES = {
+  WEBP: { type: "webp", extension: ".webp", mimeType: "image/webp" },
+  WAVE: { type: "wav", extension: ".wav", mimeType: "audio/wav" },
+  AVI: { type: "avi", extension: ".avi", mimeType: "video/x-msvideo" },
+}
+
+const MP3 = { type: "mp3", extension: ".mp3", mimeType: "audio/mpeg" }
+
+const TEXT = { type: "text", extension: ".txt", mimeType: "text/plain" }
+const BINARY = { type: "binary", extension: ".bin", mimeType: "application/octet-stream" }
+
+/**
+ * Work out what kind of content decompressed data holds
+ *
+ * Binary formats are recognised by their magic numbers. Text is classified
+ * as JSON (if it parses, or for large documents, if its start and end look
+ * like it), HTML or XML by its opening markup, and plain text otherwise.
+ * Anything else that is not UTF-8 text is binary.
+ *
+ * @param {Buffer|string} data - Decompressed data
+ * @returns {Object} Content type with type, extension, mimeType and binary
+ */
+export function sniffContentType(data) {
+  const bytes = typeof data === "string" ? Buffer.from(data) : data
+
+  const signature = matchMagicNumber(bytes)
+  if (signature) {
+    return { ...signature, binary: true }
+  }
+
+  const sample = bytes.subarray(0, SAMPLE_LENGTH)
+  if (!isTextSample(sample, sample.length < bytes.length)) {
+    return { ...BINARY, binary: true }
+  }
+
+  return { ...classifyText(bytes, sample), binary: false }
+}
+
+/**
+ * Find the file signature at the start of the data
+ * @param {Buffer} bytes - Data to check
+ * @returns {Object|null} Matching type, or null
+ */
+function matchMagicNumber(bytes) {
+  for (const entry of MAGIC_NUMBERS) {
+    const { type, extension, mimeType, bytes: magic, offset } = entry
+    if (bytes.length < offset + magic.length) continue
+
+    if (magic.equals(bytes.subarray(offset, offset + magic.length))) {
+      return { type, extension, mimeType }
+    }
+  }
+
+  if (bytes.length >= 12 && bytes.toString("latin1", 0, 4) === "RIFF") {
+    return RIFF_TYPES[bytes.toString("latin1", 8, 12).trim()] || null
+  }
+
+  if (isId3Header(bytes)) {
+    return MP3
+  }
+
+  return null
+}
+
+/**
+ * Check for an ID3v2 tag header, which starts most MP3 files
+ *
+ * "ID3" alone is also how plain text can start, so the version, the unused
+ * flag bits and the size (four 7-bit bytes) must be valid too.
+ *
+ * @param {Buffer} bytes - Data to check
+ * @returns {boolean} True if the data starts with an ID3v2 header
+ */
+function isId3Header(bytes) {
+  if (bytes.length < 10 || bytes.toString("latin1", 0, 3) !== "ID3") return false
+
+  const [version, revision, flags] = bytes.subarray(3, 6)
+  const size = bytes.subarray(6, 10)
+  return (
+    version >= 2 &&
+    version <= 4 &&
+    revision !== 0xff &&
+    (flags & 0x0f) === 0 &&
+    size.every((byte) => byte < 0x80)
+  )
+}
+
+/**
+ * Check whether a sample is UTF-8 text without control characters
+ * @param {Buffer} sample - Start of the data
+ * @param {boolean} truncated - Whether the sample was cut from longer data
+ * @returns {boolean} True for text
+ */
+function isTextSample(sample, truncated) {
+  // A cut may split a multi-byte character; drop its leading bytes
+  let end = sample.length
+  if (truncated) {
+    while (end > 0 && sample.length - end < 3 && (sample[end - 1] & 0xc0) === 0x80) end--
+    if (end > 0 && sample[end - 1] >= 0xc0) end--
+  }
+
+  const text = sample.subarray(0, end)
+  return isUtf8(text) && !/[\x00-\x08\x0e-\x1a\x1c-\x1f\x7f]/.test(text.toString("utf8"))
+}
+
+/**
+ * Classify text content as JSON, HTML, XML or plain text
+ * @param {Buffer} bytes - Whole data
+ * @param {Buffer} sample - Start of the data
+ * @returns {Object} Type with extension and MIME type
+ */
+function classifyText(bytes, sample) {
+  const head = sample.toString("utf8").replace(/^\uFEFF/, "").trimStart()
+
+  if (/^[[{]/.test(head) && looksLikeJson(bytes, head)) {
+    return { type: "json", extension: ".json", mimeType: "application/json" }
+  }
+
+  // A doctype, or a page or fragment that starts with an HTML element
+  if (/^<!doctype html/i.test(head) || HTML_START.test(head)) {
+    return { type: "html", extension: ".html", mimeType: "text/html" }
+  }
+
+  // An XML declaration, or a document that opens and closes with a tag
+  const tail = bytes.subarray(-64).toString("latin1").trimEnd()
+  const looksXml =
+    /^<\?xml[\s?]/.test(head) || (/^<[A-Za-z_][\w:.-]*[\s/>]/.test(head) && tail.endsWith(">"))
+  if (looksXml) {
+    return /^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<svg[\s>]/i.test(head)
+      ? { type: "svg", extension: ".svg", mimeType: "image/svg+xml" }
+      : { type: "xml", extension: ".xml", mimeType: "application/xml" }
+  }
+
+  return TEXT
+}
+
+/**
+ * Check whether text that opens with [ or { is a single JSON document
+ *
+ * Small documents are parsed. Larger ones are only checked to open with a
+ * key or value and to close with the bracket they opened with, so that a
+ * large output is never parsed just to name its file.
+ *
+ * @param {Buffer} bytes - Whole data
+ * @param {string} head - Start of the text, without a BOM or leading whitespace
+ * @returns {boolean} True for JSON
+ */
+function looksLikeJson(bytes, head) {
+  if (bytes.length <= MAX_JSON_PARSE) {
+    try {
+      JSON.parse(bytes.toString("utf8").replace(/^\uFEFF/, ""))
+      return true
+    } catch {
+      // Not a single JSON document
+      return false
+    }
+  }
+
+  const tail = bytes.subarray(-64).toString("latin1").trimEnd()
+  return head[0] === "{"
+    ? /^\{\s*["}]/.test(head) && tail.endsWith("}")
+    : /^\[\s*([[{"\]\d-]|true|false|null)/.test(head) && tail.endsWith("]")
+}
@@ -0,0 +1,118 @@
+import { promises as fsPromises } from "fs"
+import { readLines } from "./fileReader.js"
+
+/**
+ * Path of the sidecar file that describes each dead-letter entry
+ * @param {string} filePath - Dead-letter file
+ * @returns {string} Sidecar path (the dead-letter path plus .errors.jsonl)
+ */
+export function deadLetterSidecarPath(filePath) {
+  return `${filePath}.errors.jsonl`
+}
+
+/**
+ * Open a dead-letter file for entries that failed
+ *
+ * Failed lines are copied verbatim, so the file is in the same line format as
+ * the input (with the header row first, when there is one). For every line,
+ * the sidecar gets a JSON line with the original line number, key, error
+ * category and message. Both files are created, empty, when the run starts;
+ * a resumed run cuts them back to the position saved in its checkpoint and
+ * carries on from there.
+ *
+ * @param {string} filePath - Dead-letter file
+ * @param {Object} [resumeFrom] - Position from an earlier run's position()
+ * @returns {Promise<Object>} Writer with write(line, details, headerLine), position(),
+ *   close() and count
+ */
+export async function createDeadLetter(filePath, resumeFrom = null) {
+  const sidecarPath = deadLetterSidecarPath(filePath)
+  const start = resumeFrom || { count: 0, linesBytes: 0, sidecarBytes: 0 }
+
+  if (resumeFrom) {
+    await Promise.all([
+      truncateIfPresent(filePath, start.linesBytes),
+      truncateIfPresent(sidecarPath, start.sidecarBytes),
+    ])
+  }
+
+  // Writes go straight to the file, so a saved position is always on disk
+  const flags = resumeFrom ? "a" : "w"
+  const [lines, sidecar] = await Promise.all([
+    fsPromises.open(filePath, flags),
+    fsPromises.open(sidecarPath, flags),
+  ])
+  let linesBytes = start.linesBytes
+  let sidecarBytes = start.sidecarBytes
+
+  return {
+    count: start.count,
+
+    /**
+     * Record a failed entry
+     * @param {string} line - The input line, as read
+     * @param {Object} details - Original line number, key, error category and message
+     * @param {string|null} headerLine - Header row of the input, if it has one
+     */
+    async write(line, details, headerLine) {
+      const header = this.count === 0 && headerLine !== null ? `${headerLine}\n` : ""
+      const text = `${header}${line}\n`
+      const record = `${JSON.stringify(details)}\n`
+      this.count++
+
+      await lines.write(text)
+      await sidecar.write(record)
+      linesBytes += Buffer.byteLength(text)
+      sidecarBytes += Buffer.byteLength(record)
+    },
+
+    /**
+     * Where the files end, for a checkpoint
+     * @returns {Object} Entry count and file sizes
+     */
+    position() {
+      return { count: this.count, linesBytes, sidecarBytes }
+    },
+
+    async close() {
+      await Promise.all([lines.close(), sidecar.close()])
+    },
+  }
+}
+
+/**
+ * Cut a file back to a given size, if it exists
+ * @param {string} filePath - File to truncate
+ * @param {number} size - Size in bytes
+ */
+async function truncateIfPresent(filePath, size) {
+  try {
+    await fsPromises.truncate(filePath, size)
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error
+  }
+}
+
+/**
+ * Read the original line numbers of a dead-letter file from its sidecar
+ * @param {string} filePath - Dead-letter file
+ * @returns {Promise<number[]>} 1-based line numbers, in dead-letter order
+ */
+export async function readDeadLetterLineNumbers(filePath) {
+  const sidecarPath = deadLetterSidecarPath(filePath)
+  const lineNumbers = []
+
+  try {
+    for await (const text of readLines(sidecarPath)) {
+      if (!text.trim()) continue
+      lineNumbers.push(JSON.parse(text).line)
+    }
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new Error(`Dead-letter sidecar not found: ${sidecarPath}`)
+    }
+    throw new Error(`Invalid dead-letter sidecar ${sidecarPath}: ${error.message}`)
+  }
+
+  return lineNumbers
+}
@@ -1,5 +1,6 @@
-import { inflate, inflateRaw, ungzip } from "pako"
 import { logVerbose, logDebug } from "./logger.js"
+import { resolveCodec } from "./codecs/index.js"
+import { logGzipHeader } from "./gzipHeader.js"
 
 /**
  * Decompress data using the specified or automatic format
@@ -8,8 +9,28 @@ import { logVerbose, logDebug } from "./logger.js"
  * @returns {Promise<Buffer|string>} The decompressed data
  */
 export async function decompressData(inputData, options) {
+  const { data } = await decompressWithInfo(inputData, options)
+  return data
+}
+
+/**
+ * Decompress data and report how it was decoded
+ *
+ * With options.recover, a truncated or corrupt stream does not throw; the
+ * bytes inflated before the failure are returned with partial set to true.
+ * For gzip input, header holds the original name, mtime, OS, comment and
+ * extra field (see readGzipHeader); it is null for other formats.
+ * Concatenated gzip members are all decoded (members counts them), and bytes
+ * after the end of the stream are reported in trailingBytes, or rejected with
+ * options.strict.
+ *
+ * @param {Buffer|Uint8Array} inputData - The compressed data
+ * @param {Object} options - Command line options
+ * @returns {Promise<Object>} Object with data, format, analysis, header, members,
+ *   trailingBytes, partial, errorOffset and errorMessage
+ */
+export async function decompressWithInfo(inputData, options) {
   try {
-    logVerbose(`Using format: ${options.format}`, options)
     logVerbose(`Input data size: ${inputData.length} bytes`, options)
 
     if (options.debug) {
@@ -25,31 +46,43 @@ export async function decompressData(inputData, options) {
     // Always convert to Uint8Array as expected by pako
     const input = Buffer.isBuffer(inputData) ? new Uint8Array(inputData) : inputData
 
-    // Common inflate options
-    const inflateOptions = options.string ? { to: "string" } : {}
-
-    let decompressed
-
-    switch (options.format) {
-      case "raw":
-        decompressed = tryDecompressRaw(input, inflateOptions, options)
-        break
-      case "gzip":
-        decompressed = ungzip(input, inflateOptions)
-        break
-      case "deflate":
-        decompressed = inflate(input, inflateOptions)
-        break
-      case "auto":
-      default:
-        decompressed = await tryAllFormats(input, inflateOptions, options)
-        break
-    }
+    const { codec, analysis } = resolveCodec(input, options)
+    const format = codec.name
+
+    const decoded = codec.decode(input, options, analysis)
+    const failure = decoded.failure
+    const header = decoded.header || null
+
+    logGzipHeader(header, options)
 
-    logDecompressionStats(decompressed, input.length, options)
+    // Codecs other than pako's always produce bytes
+    const data =
+      options.string && typeof decoded.data !== "string"
+        ? decoded.data.toString("utf8")
+        : decoded.data
 
-    // Convert to Buffer for output, unless we already have a string
-    return typeof decompressed === "string" ? decompressed : Buffer.from(decompressed)
+    if (failure) {
+      logVerbose(
+        `Recovered ${data.length} bytes before failure at input byte ${failure.offset}: ${failure.message}`,
+        options,
+      )
+    } else {
+      logDebug(`Successfully decompressed with ${format} format`, options)
+    }
+
+    logDecompressionStats(data, input.length, options)
+
+    return {
+      data,
+      format,
+      analysis,
+      header,
+      members: decoded.members ?? 1,
+      trailingBytes: decoded.trailingBytes ?? 0,
+      partial: Boolean(failure),
+      errorOffset: failure ? failure.offset : null,
+      errorMessage: failure ? failure.message : null,
+    }
   } catch (error) {
     logDebug("Error decompressing data:", error.message, options)
     if (options.debug) {
@@ -59,66 +92,6 @@ export async function decompressData(inputData, options) {
   }
 }
 
-/**
- * Try decompression with raw format
- * @param {Uint8Array} input - The compressed data
- * @param {Object} inflateOptions - Options for inflation
- * @param {Object} options - Command line options
- * @returns {Buffer|string} The decompressed data
- */
-function tryDecompressRaw(input, inflateOptions, options) {
-  try {
-    const result = inflateRaw(input, inflateOptions)
-    logDebug("Successfully decompressed with inflateRaw", options)
-    return result
-  } catch (err) {
-    logDebug("Raw decompression error details:", err, options)
-    throw err
-  }
-}
-
-/**
- * Try all decompression formats until one works
- * @param {Uint8Array} input - The compressed data
- * @param {Object} inflateOptions - Options for inflation
- * @param {Object} options - Command line options
- * @returns {Promise<Buffer|string>} The decompressed data
- */
-async function tryAllFormats(input, inflateOptions, options) {
-  const errors = []
-
-  try {
-    const result = ungzip(input, inflateOptions)
-    logVerbose("Successfully decompressed with gzip format", options)
-    return result
-  } catch (gzipError) {
-    errors.push({ format: "gzip", error: gzipError.message })
-
-    try {
-      const result = inflate(input, inflateOptions)
-      logVerbose("Successfully decompressed with deflate format", options)
-      return result
-    } catch (inflateError) {
-      errors.push({ format: "deflate", error: inflateError.message })
-
-      try {
-        const result = inflateRaw(input, inflateOptions)
-        logVerbose("Successfully decompressed with raw deflate format", options)
-        return result
-      } catch (rawError) {
-        errors.push({ format: "raw", error: rawError.message })
-
-        if (options.debug) {
-          logDebug("All decompression attempts failed:", options)
-          errors.forEach((e) => logDebug(`- ${e.format}:`, e.error, options))
-        }
-
-        throw new Error("Failed to decompress with any format")
-      }
-    }
-  }
-}
-
 /**
  * Log information about the decompressed data
  * @param {Buffer|string} decompressed - The decompressed data
@@ -0,0 +1,79 @@
+import { promises as fsPromises } from "fs"
+import { logVerbose } from "./logger.js"
+import { adler32 } from "./checksums.js"
+
+/**
+ * Collect repeated --dictionary options into an array (option parser)
+ * @param {string} value - Dictionary file path
+ * @param {string[]} previous - Paths collected so far
+ * @returns {string[]} All collected paths
+ */
+export function collectDictionary(value, previous = []) {
+  return [...previous, value]
+}
+
+/**
+ * Format a dictionary id the way it appears in a zlib header
+ * @param {number} id - Adler-32 dictionary id
+ * @returns {string} Hex string such as 0x1a2b3c4d
+ */
+export function formatDictionaryId(id) {
+  return `0x${id.toString(16).padStart(8, "0")}`
+}
+
+/**
+ * Load dictionary files and index them by Adler-32 id
+ * @param {string[]} paths - Dictionary file paths
+ * @param {Object} options - Command line options
+ * @returns {Promise<Object[]>} Dictionaries with path, id and data, in the order given
+ */
+export async function loadDictionaries(paths, options = {}) {
+  const dictionaries = []
+
+  for (const filePath of paths || []) {
+    const data = await fsPromises.readFile(filePath)
+    const id = adler32(data)
+    dictionaries.push({ path: filePath, id, data })
+    logVerbose(`Loaded dictionary ${filePath} (id ${formatDictionaryId(id)})`, options)
+  }
+
+  return dictionaries
+}
+
+/**
+ * Pick the dictionary for an entry
+ *
+ * zlib streams name their dictionary by id in the header. Raw deflate streams
+ * carry no id, so the first dictionary given is used for them.
+ *
+ * @param {Object[]} dictionaries - Dictionaries from loadDictionaries (may be undefined)
+ * @param {string} format - Format the entry is decoded as
+ * @param {Object} analysis - Header analysis from detectFormat
+ * @returns {Uint8Array|undefined} The dictionary contents, if any applies
+ */
+export function selectDictionary(dictionaries, format, analysis) {
+  const available = dictionaries || []
+
+  if (format === "raw") {
+    return available.length > 0 ? available[0].data : undefined
+  }
+
+  if (format !== "deflate" || !analysis.needsDictionary) {
+    return undefined
+  }
+
+  if (analysis.dictionaryId === null) {
+    throw new Error("Preset dictionary required but the header is truncated")
+  }
+
+  const match = available.find((dictionary) => dictionary.id === analysis.dictionaryId)
+
+  if (!match) {
+    throw new Error(
+      `Preset dictionary ${formatDictionaryId(analysis.dictionaryId)} required; ` +
+        (available.length > 0 ? "no --dictionary file matches" : "pass it with --dictionary"),
+    )
+  }
+
+  return match.data
+}
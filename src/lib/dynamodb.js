@@ -0,0 +1,101 @@
+// Single-key type descriptors of DynamoDB AttributeValues
+const ATTRIBUTE_TYPES = new Set(["S", "N", "BOOL", "NULL", "M", "L", "SS", "NS", "B", "BS"])
+
+/**
+ * Convert a DynamoDB item into plain values
+ * @param {Object} item - Item from a scan or export, attribute name to AttributeValue
+ * @returns {Object} Item with plain values
+ */
+export function unmarshallItem(item) {
+  return Object.fromEntries(
+    Object.entries(item).map(([name, value]) => [name, unmarshallValue(value)]),
+  )
+}
+
+/**
+ * Convert a DynamoDB AttributeValue into a plain value
+ *
+ * Typed descriptors (S, N, BOOL, NULL, M, L, SS, NS, B and BS) are converted
+ * recursively: numbers become numbers, binary becomes a Buffer (B is base64 in
+ * DynamoDB JSON) and maps and lists are unmarshalled in turn. The { Value: ... }
+ * wrappers of older exports are unwrapped the same way. Other objects are
+ * treated as maps of attributes, and anything else is returned as it is.
+ *
+ * @param {*} value - AttributeValue
+ * @returns {*} Plain value
+ */
+export function unmarshallValue(value) {
+  if (value === null || typeof value !== "object" || Buffer.isBuffer(value)) {
+    return value
+  }
+  if (Array.isArray(value)) {
+    return value.map(unmarshallValue)
+  }
+
+  const keys = Object.keys(value)
+  if (keys.length === 1 && ATTRIBUTE_TYPES.has(keys[0])) {
+    return unmarshallTyped(keys[0], value[keys[0]])
+  }
+  if (keys.length === 1 && keys[0] === "Value") {
+    return unmarshallValue(value.Value)
+  }
+  return unmarshallItem(value)
+}
+
+/**
+ * Convert the contents of a typed descriptor
+ * @param {string} type - Descriptor type
+ * @param {*} contents - Descriptor contents
+ * @returns {*} Plain value
+ */
+function unmarshallTyped(type, contents) {
+  switch (type) {
+    case "S":
+      return contents
+    case "N":
+      return parseNumber(contents)
+    case "BOOL":
+      return contents === true || contents === "true"
+    case "NULL":
+      return null
+    case "M":
+      return unmarshallItem(contents)
+    case "L":
+      return contents.map(unmarshallValue)
+    case "SS":
+      return [...contents]
+    case "NS":
+      return contents.map(parseNumber)
+    case "B":
+      return toBuffer(contents)
+    case "BS":
+      return contents.map(toBuffer)
+  }
+}
+
+/**
+ * Parse a DynamoDB number (sent as a string)
+ *
+ * Integers beyond Number.MAX_SAFE_INTEGER would lose digits, so they are kept
+ * as strings.
+ *
+ * @param {string|number} text - Number
+ * @returns {number|string} The number, or the text if it cannot be held exactly
+ */
+function parseNumber(text) {
+  const number = Number(text)
+  const integer = /^-?\d+$/.test(String(text).trim())
+  if (!Number.isFinite(number) || (integer && !Number.isSafeInteger(number))) {
+    return String(text)
+  }
+  return number
+}
+
+/**
+ * Turn binary attribute contents into a Buffer
+ * @param {string|Uint8Array|number[]} contents - Base64 text or bytes
+ * @returns {Buffer} The bytes
+ */
+function toBuffer(contents) {
+  return typeof contents === "string" ? Buffer.from(contents, "base64") : Buffer.from(contents)
+}
@@ -1,12 +1,139 @@
+import { InvalidArgumentError } from "commander"
+import { EncodingError } from "./errors.js"
+
+// Text encodings accepted by --encoding
+export const ENCODINGS = ["auto", "base64", "base64url", "hex", "data-uri", "percent"]
+
+// Characters outside each alphabet. Base64 may be line-wrapped or padded with
+// whitespace, which is skipped as Buffer.from does.
+const BASE64_INVALID = /[^A-Za-z0-9+/\s]/
+const BASE64URL_INVALID = /[^A-Za-z0-9\-_\s]/
+const HEX_INVALID = /[^0-9A-Fa-f]/
+
+/**
+ * Validate an --encoding value (option parser)
+ * @param {string} value - Encoding name
+ * @returns {string} The encoding name
+ */
+export function parseEncoding(value) {
+  if (!ENCODINGS.includes(value)) {
+    throw new InvalidArgumentError(`Invalid encoding: ${value} (expected ${ENCODINGS.join(", ")})`)
+  }
+  return value
+}
+
+/**
+ * Decode a text payload into the compressed bytes it carries
+ * @param {string} text - Encoded payload (a batch line or JSON field)
+ * @param {string} [encoding] - One of ENCODINGS; auto picks one with detectEncoding
+ * @returns {Object} Object with the decoded data and the encoding that was used
+ */
+export function decodePayload(text, encoding = "base64") {
+  const used = encoding === "auto" ? detectEncoding(text) : encoding
+
+  switch (used) {
+    case "base64":
+      return { data: decodeBase64(text), encoding: used }
+    case "base64url":
+      return { data: decodeBase64Url(text), encoding: used }
+    case "hex":
+      return { data: decodeHex(text), encoding: used }
+    case "data-uri":
+      return { data: decodeDataUri(text), encoding: used }
+    case "percent":
+      return { data: decodePercentBase64(text), encoding: used }
+    default:
+      throw new Error(`Unsupported encoding: ${encoding}`)
+  }
+}
+
+/**
+ * Guess the encoding of a text payload
+ *
+ * Hex wins over base64 when every character is a hex digit; for payloads of
+ * any real length that is very unlikely to happen by chance with base64.
+ *
+ * @param {string} text - Encoded payload
+ * @returns {string} One of the ENCODINGS other than auto
+ */
+export function detectEncoding(text) {
+  if (/^data:/i.test(text)) return "data-uri"
+  if (/%[0-9A-Fa-f]{2}/.test(text)) return "percent"
+  if (/^[0-9A-Fa-f]+$/.test(text) && text.length % 2 === 0) return "hex"
+  if (/[-_]/.test(text) && !/[+/]/.test(text)) return "base64url"
+  return "base64"
+}
+
 /**
- * Decode base64 string to buffer
- * @param {string} base64String - Base64 encoded string
+ * Decode a base64 string, rejecting characters outside the alphabet
+ * @param {string} base64String - Base64 encoded string (padding is optional)
  * @returns {Buffer} Decoded data as Buffer
  */
 export function decodeBase64(base64String) {
+  validateBase64(base64String, BASE64_INVALID, "base64")
   return Buffer.from(base64String, "base64")
 }
 
+/**
+ * Decode a base64url string (RFC 4648, section 5)
+ * @param {string} base64UrlString - Base64url encoded string (padding is optional)
+ * @returns {Buffer} Decoded data as Buffer
+ */
+export function decodeBase64Url(base64UrlString) {
+  validateBase64(base64UrlString, BASE64URL_INVALID, "base64url")
+  return Buffer.from(base64UrlString, "base64url")
+}
+
+/**
+ * Decode a hex string
+ * @param {string} hexString - Hex digits, two per byte
+ * @returns {Buffer} Decoded data as Buffer
+ */
+export function decodeHex(hexString) {
+  const position = hexString.search(HEX_INVALID)
+  if (position !== -1) {
+    throw invalidCharacter(hexString, position, "hex")
+  }
+  if (hexString.length % 2 !== 0) {
+    throw new EncodingError(`Invalid hex length: ${hexString.length} digits is not whole bytes`)
+  }
+  return Buffer.from(hexString, "hex")
+}
+
+/**
+ * Decode a data: URI (RFC 2397), base64 or percent-encoded
+ * @param {string} uri - The data URI
+ * @returns {Buffer} Decoded data as Buffer
+ */
+export function decodeDataUri(uri) {
+  const comma = uri.indexOf(",")
+  if (!/^data:/i.test(uri) || comma === -1) {
+    throw new EncodingError("Invalid data URI: expected data:[<mediatype>][;base64],<data>")
+  }
+
+  const isBase64 = /;base64$/i.test(uri.slice(0, comma))
+  const payload = uri.slice(comma + 1)
+
+  try {
+    return isBase64 ? decodeBase64(payload) : decodePercent(payload)
+  } catch (error) {
+    // Report positions relative to the whole URI
+    if (error instanceof EncodingError && error.position !== null) {
+      throw invalidCharacter(uri, comma + 1 + error.position, error.encoding)
+    }
+    throw error
+  }
+}
+
+/**
+ * Decode percent-encoded base64, as found in URL query strings
+ * @param {string} text - Base64 with characters such as + / = written as %2B %2F %3D
+ * @returns {Buffer} Decoded data as Buffer
+ */
+export function decodePercentBase64(text) {
+  return decodeBase64(decodePercent(text).toString("latin1"))
+}
+
 /**
  * Encode buffer to base64 string
  * @param {Buffer} buffer - Data to encode
@@ -15,3 +142,71 @@ export function decodeBase64(base64String) {
 export function encodeBase64(buffer) {
   return buffer.toString("base64")
 }
+
+/**
+ * Decode %XX escapes into bytes, leaving other characters as they are
+ * @param {string} text - Percent-encoded text
+ * @returns {Buffer} Decoded bytes
+ */
+function decodePercent(text) {
+  const bytes = []
+
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] !== "%") {
+      bytes.push(text.charCodeAt(i) & 0xff)
+      continue
+    }
+
+    if (!/^[0-9A-Fa-f]{2}$/.test(text.slice(i + 1, i + 3))) {
+      throw new EncodingError(
+        `Invalid percent escape "${text.slice(i, i + 3)}" at position ${i + 1}`,
+        i,
+        "percent",
+      )
+    }
+    bytes.push(parseInt(text.slice(i + 1, i + 3), 16))
+    i += 2
+  }
+
+  return Buffer.from(bytes)
+}
+
+/**
+ * Check that a base64 or base64url string only uses its alphabet
+ * @param {string} text - Encoded string
+ * @param {RegExp} invalid - Pattern matching one character outside the alphabet
+ * @param {string} encoding - Encoding name for error messages
+ */
+function validateBase64(text, invalid, encoding) {
+  // Padding is only allowed at the end. LZ-String's compressToBase64 pads
+  // with up to three "=", so that is accepted as long as the length works out.
+  const body = text.replace(/(=\s*){1,3}$/, "")
+
+  const position = body.search(invalid)
+  if (position !== -1) {
+    throw invalidCharacter(text, position, encoding)
+  }
+
+  // Unpadded, a single leftover character cannot encode a whole byte
+  const length = text.replace(/\s+/g, "").length
+  const bodyLength = body.replace(/\s+/g, "").length
+  const padded = bodyLength !== length
+  if (padded ? length % 4 !== 0 : bodyLength % 4 === 1) {
+    throw new EncodingError(`Invalid ${encoding} length: ${length} characters`)
+  }
+}
+
+/**
+ * Build the error for an invalid character
+ * @param {string} text - The encoded text
+ * @param {number} position - Zero-based index of the character
+ * @param {string} encoding - Encoding name
+ * @returns {EncodingError} Error naming the character and its 1-based position
+ */
+function invalidCharacter(text, position, encoding) {
+  return new EncodingError(
+    `Invalid ${encoding} character ${JSON.stringify(text[position])} at position ${position + 1}`,
+    position,
+    encoding,
+  )
+}
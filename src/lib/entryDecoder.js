@@ -0,0 +1,19 @@
+import { logVerbose } from "./logger.js"
+import { decodePayload } from "./encoding.js"
+import { decompressWithInfo } from "./decompressor.js"
+
+/**
+ * Decode one text entry (a batch line) into its decompressed content
+ * @param {string} text - Encoded entry
+ * @param {Object} options - Command line options
+ * @returns {Promise<Object>} The decompressWithInfo result plus inputSize and encoding
+ */
+export async function decodeEntry(text, options) {
+  // Decode the text encoding (base64 unless --encoding says otherwise)
+  const { data, encoding } = decodePayload(text, options.encoding)
+
+  logVerbose(`Decoded ${text.length} ${encoding} characters to ${data.length} bytes`, options)
+
+  const result = await decompressWithInfo(data, options)
+  return { ...result, inputSize: data.length, encoding }
+}
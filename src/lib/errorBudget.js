@@ -0,0 +1,58 @@
+import { InvalidArgumentError } from "commander"
+
+/**
+ * Parse a --max-errors value: a count such as 10 or a percentage such as 5% (option parser)
+ * @param {string} value - Error budget
+ * @returns {Object} Budget with either count or percent
+ */
+export function parseMaxErrors(value) {
+  const match = /^(\d+(?:\.\d+)?)(%?)$/.exec(value.trim())
+
+  if (match && match[2]) {
+    const percent = Number(match[1])
+    if (percent > 0 && percent <= 100) {
+      return { percent }
+    }
+  } else if (match && Number.isInteger(Number(match[1]))) {
+    return { count: Number(match[1]) }
+  }
+
+  throw new InvalidArgumentError(
+    `Invalid error budget: ${value} (expected a whole number or a percentage such as 5%)`,
+  )
+}
+
+/**
+ * Create the error budget for a run from --fail-fast and --max-errors
+ *
+ * A count budget is exceeded once more entries than that have failed;
+ * --fail-fast is a budget of zero. A percentage budget is exceeded when more
+ * than that share of the entries handled so far have failed. It is only
+ * checked once enough entries have been handled for a single failure to fit
+ * in the budget (20 entries for 5%), so one early failure does not stop the
+ * run; a shorter run is checked when it finishes.
+ *
+ * @param {Object} options - Command line options (failFast, maxErrors)
+ * @returns {Object|null} Budget with exceeded(stats, finished) and the option that set
+ *   it, or null when every error is allowed
+ */
+export function createErrorBudget(options) {
+  const budget = options.failFast ? { count: 0 } : options.maxErrors
+
+  if (!budget) return null
+
+  if (budget.count !== undefined) {
+    return {
+      option: options.failFast ? "--fail-fast" : `--max-errors ${budget.count}`,
+      exceeded: (stats) => stats.errorCount > budget.count,
+    }
+  }
+
+  const minimumEntries = Math.ceil(100 / budget.percent)
+  return {
+    option: `--max-errors ${budget.percent}%`,
+    exceeded: (stats, finished = false) =>
+      (finished || stats.totalProcessed >= minimumEntries) &&
+      stats.errorCount * 100 > stats.totalProcessed * budget.percent,
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Error thrown when decompression is aborted because an output limit was crossed
+ */
+export class LimitExceededError extends Error {
+  /**
+   * @param {string} message - Description of the crossed limit
+   * @param {string} limit - Name of the limit (maxOutput, maxRatio or maxTotalOutput)
+   */
+  constructor(message, limit) {
+    super(message)
+    this.name = "LimitExceededError"
+    this.limit = limit
+  }
+}
+
+/**
+ * Error thrown when a text payload is not valid in its encoding
+ */
+export class EncodingError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {number|null} [position] - Zero-based index of the offending character
+   * @param {string|null} [encoding] - Name of the encoding being decoded
+   */
+  constructor(message, position = null, encoding = null) {
+    super(message)
+    this.name = "EncodingError"
+    this.position = position
+    this.encoding = encoding
+  }
+}
+
+/**
+ * Convert an error into a plain object that can be posted to another thread
+ * @param {Error} error - The error
+ * @returns {Object} Object with name, message, stack and the error's own fields
+ */
+export function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    stack: error.stack,
+    limit: error.limit,
+    position: error.position,
+    encoding: error.encoding,
+  }
+}
+
+/**
+ * Rebuild an error posted by serializeError, restoring its class
+ * @param {Object} data - Serialized error
+ * @returns {Error} The error
+ */
+export function deserializeError(data) {
+  let error
+  if (data.name === "LimitExceededError") {
+    error = new LimitExceededError(data.message, data.limit)
+  } else if (data.name === "EncodingError") {
+    error = new EncodingError(data.message, data.position, data.encoding)
+  } else {
+    error = new Error(data.message)
+    error.name = data.name
+  }
+  error.stack = data.stack
+  return error
+}
+
+/**
+ * Error thrown when command line options are missing or cannot be combined
+ */
+export class UsageError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   */
+  constructor(message) {
+    super(message)
+    this.name = "UsageError"
+  }
+}
@@ -0,0 +1,37 @@
+import { UsageError } from "./errors.js"
+
+// Process exit codes shared by every command. 64 is EX_USAGE from sysexits.h
+// and 130 is the shell's code for a run ended by SIGINT.
+export const EXIT_CODES = {
+  success: 0,
+  failure: 1,
+  partial: 2,
+  usage: 64,
+  interrupted: 130,
+}
+
+/**
+ * Choose the exit code for a finished run from its statistics
+ *
+ * A run with no failed entries succeeds, one where every entry failed (or
+ * that was stopped by its error budget) fails, and anything in between is a
+ * partial failure.
+ *
+ * @param {Object} stats - Run statistics with successCount and errorCount
+ * @param {boolean} [budgetExceeded] - Whether the error budget stopped the run
+ * @returns {number} One of EXIT_CODES
+ */
+export function exitCodeForRun(stats, budgetExceeded = false) {
+  if (budgetExceeded) return EXIT_CODES.failure
+  if (stats.errorCount === 0) return EXIT_CODES.success
+  return stats.successCount === 0 ? EXIT_CODES.failure : EXIT_CODES.partial
+}
+
+/**
+ * Choose the exit code for an error that ended a command
+ * @param {Error} error - The error
+ * @returns {number} EXIT_CODES.usage for usage errors, otherwise EXIT_CODES.failure
+ */
+export function exitCodeForError(error) {
+  return error instanceof UsageError ? EXIT_CODES.usage : EXIT_CODES.failure
+}
@@ -0,0 +1,260 @@
+import { promises as fsPromises } from "fs"
+import { InvalidArgumentError } from "commander"
+import { load } from "js-yaml"
+import { UsageError } from "./errors.js"
+
+/**
+ * Split a field path into its segments
+ *
+ * Paths use dot notation ("snapshot.html"); a JSONPath-style "$." prefix and
+ * bracketed indexes or names ("pages[0]", "meta['content-type']") are
+ * accepted too.
+ *
+ * @param {string} text - Field path
+ * @returns {string[]} Path segments
+ */
+export function parseFieldPath(text) {
+  const normalized = String(text)
+    .trim()
+    .replace(/^\$\.?/, "")
+    .replace(/\[(\d+)\]/g, ".$1")
+    .replace(/\[(['"])(.*?)\1\]/g, ".$2")
+    .replace(/^\./, "")
+
+  const segments = normalized.split(".")
+  if (!normalized || segments.some((segment) => segment === "")) {
+    throw new InvalidArgumentError(`Invalid field path: ${text}`)
+  }
+  return segments
+}
+
+/**
+ * Collect repeated --payload options into an array (option parser)
+ * @param {string} value - Field path
+ * @param {string[]} previous - Paths collected so far
+ * @returns {string[]} All collected paths
+ */
+export function collectFieldPath(value, previous = []) {
+  parseFieldPath(value)
+  return [...previous, value]
+}
+
+/**
+ * Parse a comma-separated list of field paths (option parser)
+ * @param {string} value - Field paths, separated by commas
+ * @returns {string[]} The paths
+ */
+export function parseFieldList(value) {
+  const paths = value.split(",").map((path) => path.trim())
+  paths.forEach(parseFieldPath)
+  return paths
+}
+
+/**
+ * Collect repeated --rename options into an object (option parser)
+ * @param {string} value - Rename as from=to
+ * @param {Object} previous - Renames collected so far
+ * @returns {Object} All collected renames, from path to new path
+ */
+export function collectRename(value, previous = {}) {
+  const separator = value.indexOf("=")
+  if (separator === -1) {
+    throw new InvalidArgumentError(`Invalid rename: ${value} (expected from=to)`)
+  }
+
+  const from = value.slice(0, separator).trim()
+  const to = value.slice(separator + 1).trim()
+  parseFieldPath(from)
+  parseFieldPath(to)
+  return { ...previous, [from]: to }
+}
+
+/**
+ * Work out the field mapping for parse-json from a mapping file and options
+ *
+ * The mapping names the compressed payload fields and which other fields to
+ * keep, drop or rename. A mapping file (JSON or YAML) may hold payload,
+ * keep, drop and rename; --payload, --keep, --drop and --rename add to it or,
+ * for keep, replace it.
+ *
+ * @param {Object} options - Command line options (mapping, payload, keep, drop, rename)
+ * @returns {Promise<Object|null>} Mapping with payloads, keep (null to keep
+ *   everything), drop and rename as parsed paths, or null when none is configured
+ */
+export async function loadFieldMapping(options) {
+  const configured = [options.mapping, options.payload, options.keep, options.drop, options.rename]
+  if (configured.every((value) => value === undefined)) {
+    return null
+  }
+
+  const fromFile = options.mapping
+    ? await readMappingFile(options.mapping)
+    : { payload: [], keep: null, drop: [], rename: {} }
+
+  const payload = [...fromFile.payload, ...(options.payload || [])]
+  const keep = options.keep || fromFile.keep
+  const drop = [...fromFile.drop, ...(options.drop || [])]
+  const rename = { ...fromFile.rename, ...options.rename }
+
+  return {
+    payloads: (payload.length > 0 ? payload : ["rawHtml"]).map((path) => ({
+      name: path,
+      path: parseFieldPath(path),
+    })),
+    keep: keep ? keep.map(parseFieldPath) : null,
+    drop: drop.map(parseFieldPath),
+    rename: Object.entries(rename).map(([from, to]) => [parseFieldPath(from), parseFieldPath(to)]),
+  }
+}
+
+/**
+ * Read and check a field mapping file
+ * @param {string} filePath - JSON or YAML file
+ * @returns {Promise<Object>} payload, keep (or null), drop and rename
+ */
+async function readMappingFile(filePath) {
+  let mapping
+  try {
+    mapping = load(await fsPromises.readFile(filePath, "utf8")) || {}
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new UsageError(`Field mapping file not found: ${filePath}`)
+    }
+    throw new UsageError(`Invalid field mapping ${filePath}: ${error.message}`)
+  }
+
+  const invalid = (message) => new UsageError(`Invalid field mapping ${filePath}: ${message}`)
+  const asList = (value, name) => {
+    if (value === undefined || value === null) return []
+    const list = Array.isArray(value) ? value : [value]
+    if (!list.every((path) => typeof path === "string")) {
+      throw invalid(`${name} must be a field path or a list of them`)
+    }
+    return list
+  }
+
+  if (typeof mapping !== "object" || Array.isArray(mapping)) {
+    throw invalid("expected an object with payload, keep, drop and rename")
+  }
+  const unknown = Object.keys(mapping).filter(
+    (key) => !["payload", "keep", "drop", "rename"].includes(key),
+  )
+  if (unknown.length > 0) {
+    throw invalid(`unknown key ${unknown.join(", ")}`)
+  }
+
+  const rename = mapping.rename || {}
+  if (typeof rename !== "object" || Array.isArray(rename)) {
+    throw invalid("rename must map field paths to new paths")
+  }
+
+  try {
+    const result = {
+      payload: asList(mapping.payload, "payload"),
+      keep:
+        mapping.keep === undefined || mapping.keep === null ? null : asList(mapping.keep, "keep"),
+      drop: asList(mapping.drop, "drop"),
+      rename,
+    }
+
+    // Check that every path parses
+    const paths = [...result.payload, ...(result.keep || []), ...result.drop]
+    for (const [from, to] of Object.entries(rename)) {
+      paths.push(from, to)
+    }
+    for (const path of paths) {
+      parseFieldPath(path)
+    }
+    return result
+  } catch (error) {
+    if (error instanceof UsageError) throw error
+    throw invalid(error.message)
+  }
+}
+
+/**
+ * Read the value at a path
+ * @param {Object} object - Object to read from
+ * @param {string[]} path - Path segments
+ * @returns {*} The value, or undefined if the path does not exist
+ */
+export function getPath(object, path) {
+  let value = object
+  for (const segment of path) {
+    if (value === null || typeof value !== "object") return undefined
+    value = value[segment]
+  }
+  return value
+}
+
+/**
+ * Set the value at a path, creating objects along the way
+ * @param {Object} object - Object to change
+ * @param {string[]} path - Path segments
+ * @param {*} value - Value to set
+ */
+export function setPath(object, path, value) {
+  let target = object
+  for (const segment of path.slice(0, -1)) {
+    if (target[segment] === null || typeof target[segment] !== "object") {
+      target[segment] = {}
+    }
+    target = target[segment]
+  }
+  target[path[path.length - 1]] = value
+}
+
+/**
+ * Remove the value at a path
+ * @param {Object} object - Object to change
+ * @param {string[]} path - Path segments
+ * @returns {*} The removed value, or undefined if there was none
+ */
+export function deletePath(object, path) {
+  const parent = getPath(object, path.slice(0, -1))
+  if (parent === null || typeof parent !== "object") return undefined
+
+  const key = path[path.length - 1]
+  const value = parent[key]
+  delete parent[key]
+  return value
+}
+
+/**
+ * Select the fields of an item that the mapping keeps
+ *
+ * Payload fields are left out here; they are added once decompressed.
+ *
+ * @param {Object} item - Source item
+ * @param {Object} mapping - Mapping from loadFieldMapping
+ * @returns {Object} New object with the kept fields
+ */
+export function selectFields(item, mapping) {
+  let selected
+  if (mapping.keep) {
+    selected = {}
+    for (const path of mapping.keep) {
+      const value = getPath(item, path)
+      if (value !== undefined) setPath(selected, path, structuredClone(value))
+    }
+  } else {
+    selected = structuredClone(item)
+  }
+
+  for (const path of [...mapping.payloads.map((payload) => payload.path), ...mapping.drop]) {
+    deletePath(selected, path)
+  }
+  return selected
+}
+
+/**
+ * Apply the mapping's renames to a processed item
+ * @param {Object} item - Processed item, changed in place
+ * @param {Object} mapping - Mapping from loadFieldMapping
+ */
+export function renameFields(item, mapping) {
+  for (const [from, to] of mapping.rename) {
+    const value = deletePath(item, from)
+    if (value !== undefined) setPath(item, to, value)
+  }
+}
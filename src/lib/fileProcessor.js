@@ -1,27 +1,32 @@
 import { createReadStream, createWriteStream } from "fs"
 import { pipeline } from "stream/promises"
-import { decompressData } from "./decompressor.js"
-import { logVerbose, logError, logDebug } from "./logger.js"
+import { createDecompressTransform } from "./streamDecompressor.js"
+import { logVerbose, logError, logIfNotQuiet } from "./logger.js"
+import { loadDictionaries } from "./dictionary.js"
+import { createOutputLimits } from "./limits.js"
+import { peelLayers, formatLayerChain } from "./peeler.js"
 
 /**
  * Process an input file or stream and output the decompressed result
  * @param {Object} options - Command line options
- * @returns {Promise<void>}
+ * @returns {Promise<Object>} Result with partial: whether --recover kept output from a
+ *   corrupt or truncated stream
  */
 export async function processFile(options) {
   try {
-    // Read input
-    const inputData = await readInput(options)
+    options.dictionaries = await loadDictionaries(options.dictionary, options)
 
-    if (inputData.length === 0) {
-      throw new Error("No input data received")
+    if (options.peel) {
+      await peelFile(options)
+    } else {
+      // Stream input through the decompressor so memory use stays flat
+      await pipeline(openInput(options), createDecompressTransform(options), openOutput(options))
     }
 
-    // Process the data
-    const decompressed = await decompressData(inputData, options)
-
-    // Write output
-    await writeOutput(decompressed, options)
+    if (options.output) {
+      logVerbose(`Output written to ${options.output}`, options)
+    }
+    return { partial: Boolean(options.failure) }
   } catch (error) {
     logError("Error:", error.message)
     if (options.debug && error.stack) {
@@ -32,55 +37,52 @@ export async function processFile(options) {
 }
 
 /**
- * Read input from file or stdin
+ * Remove every encoding and compression layer from the input (peel mode)
+ *
+ * Each layer needs the whole of the previous one, so the input is read into
+ * memory instead of being streamed.
+ *
  * @param {Object} options - Command line options
- * @returns {Promise<Buffer>} The input data
+ * @returns {Promise<void>}
  */
-async function readInput(options) {
-  let inputData
+async function peelFile(options) {
+  const chunks = []
+  for await (const chunk of openInput(options)) {
+    chunks.push(typeof chunk === "string" ? Buffer.from(chunk) : chunk)
+  }
 
-  if (options.input) {
-    const chunks = []
-    for await (const chunk of createReadStream(options.input)) {
-      chunks.push(chunk)
-    }
-    inputData = Buffer.concat(chunks)
-  } else {
-    // Read from stdin
-    const chunks = []
-    for await (const chunk of process.stdin) {
-      chunks.push(chunk)
-    }
+  const input = Buffer.concat(chunks)
+  if (input.length === 0) {
+    throw new Error("No input data received")
+  }
 
-    if (chunks.length === 0) {
-      throw new Error("No input data received")
-    }
+  options.limits = createOutputLimits(options)
+  const { data, layers, maxDepthReached } = peelLayers(input, options)
 
-    inputData = Buffer.concat(chunks)
+  logIfNotQuiet(`Layers: ${formatLayerChain(layers)}`, options)
+  if (maxDepthReached) {
+    logError(`Warning: stopped at maximum depth ${options.maxDepth}; more layers remain`)
   }
 
-  return inputData
+  await pipeline(async function* () {
+    yield data
+  }, openOutput(options))
 }
 
 /**
- * Write output to file or stdout
- * @param {Buffer|string} decompressed - The decompressed data
+ * Open the input file or stdin as a readable stream
  * @param {Object} options - Command line options
- * @returns {Promise<void>}
+ * @returns {import("stream").Readable} The input stream
  */
-async function writeOutput(decompressed, options) {
-  if (options.output) {
-    const outputData = typeof decompressed === "string" ? Buffer.from(decompressed) : decompressed
-
-    await pipeline(async function* () {
-      yield outputData
-    }, createWriteStream(options.output))
+function openInput(options) {
+  return options.input ? createReadStream(options.input) : process.stdin
+}
 
-    if (options.verbose) {
-      logVerbose(`Output written to ${options.output}`)
-    }
-  } else {
-    // Write to stdout
-    process.stdout.write(typeof decompressed === "string" ? decompressed : decompressed)
-  }
+/**
+ * Open the output file or stdout as a writable stream
+ * @param {Object} options - Command line options
+ * @returns {import("stream").Writable} The output stream
+ */
+function openOutput(options) {
+  return options.output ? createWriteStream(options.output) : process.stdout
 }
@@ -1,6 +1,29 @@
 import { createReadStream } from "fs"
 import { createInterface } from "readline"
 
+/**
+ * Read lines from a file or stdin as they arrive
+ *
+ * Lines are yielded one at a time and the input is paused while the consumer
+ * is busy, so memory use does not grow with the size of the input.
+ *
+ * @param {string} [filePath] - Path to the file; stdin when omitted or "-"
+ * @yields {string} Each line, without its line ending
+ */
+export async function* readLines(filePath) {
+  const input = !filePath || filePath === "-" ? process.stdin : createReadStream(filePath)
+  const rl = createInterface({
+    input,
+    crlfDelay: Infinity,
+  })
+
+  try {
+    yield* rl
+  } finally {
+    rl.close()
+  }
+}
+
 /**
  * Read a file line by line
  * @param {string} filePath - Path to the file
@@ -9,13 +32,7 @@ import { createInterface } from "readline"
 export async function readLineByLine(filePath) {
   const lines = []
 
-  const fileStream = createReadStream(filePath)
-  const rl = createInterface({
-    input: fileStream,
-    crlfDelay: Infinity,
-  })
-
-  for await (const line of rl) {
+  for await (const line of readLines(filePath)) {
     lines.push(line)
   }
 
@@ -0,0 +1,203 @@
+import { Inflate } from "pako"
+
+// zlib FLEVEL values (RFC 1950, section 2.2)
+const ZLIB_LEVEL_HINTS = ["fastest", "fast", "default", "maximum"]
+
+// gzip XFL values for deflate (RFC 1952, section 2.3.1)
+const GZIP_LEVEL_HINTS = { 2: "maximum", 4: "fastest" }
+
+// Deflate block types (RFC 1951, section 3.2.3)
+const BLOCK_TYPES = ["stored", "fixed", "dynamic", "reserved"]
+
+/**
+ * Analyze the header of compressed data to determine its format
+ * @param {Buffer|Uint8Array} input - The compressed data (only the first bytes are read)
+ * @returns {Object} Analysis with format, reason, windowSize, levelHint, needsDictionary
+ */
+export function detectFormat(input) {
+  if (isGzipHeader(input)) {
+    return analyzeGzip(input)
+  }
+
+  if (input.length >= 2 && isZlibHeader(input[0], input[1])) {
+    return analyzeZlib(input)
+  }
+
+  return analyzeRaw(input)
+}
+
+/**
+ * Check whether data starts with the gzip magic bytes
+ * @param {Uint8Array} input - The data to check
+ * @returns {boolean} True if the first two bytes are 1f 8b
+ */
+export function isGzipHeader(input) {
+  return input.length >= 2 && input[0] === 0x1f && input[1] === 0x8b
+}
+
+/**
+ * Check whether two bytes form a valid zlib CMF/FLG header
+ * @param {number} cmf - Compression method and flags byte
+ * @param {number} flg - Flags byte
+ * @returns {boolean} True for a deflate zlib header with a valid check value
+ */
+export function isZlibHeader(cmf, flg) {
+  return (cmf & 0x0f) === 8 && cmf >> 4 <= 7 && ((cmf << 8) | flg) % 31 === 0
+}
+
+/**
+ * Inflate only the first bytes of the input to check that it decodes
+ * @param {Buffer|Uint8Array} input - The compressed data
+ * @param {Object} analysis - Result of detectFormat
+ * @param {number} probeLength - Maximum number of input bytes to inflate
+ * @returns {Object} Probe result with ok, inputBytes, outputBytes, complete and error
+ */
+export function probeDecompression(input, analysis, probeLength = 4096) {
+  const result = { ok: true, inputBytes: 0, outputBytes: 0, complete: false, error: null }
+
+  if (analysis.format === "unknown") {
+    return { ...result, ok: false, error: "Unrecognised compression format" }
+  }
+
+  if (analysis.needsDictionary) {
+    return { ...result, ok: false, error: "Preset dictionary required" }
+  }
+
+  const inflator = new Inflate(getInflateOptions(analysis.format))
+  inflator.onData = (chunk) => {
+    result.outputBytes += chunk.length
+  }
+
+  const slice = input.subarray(0, probeLength)
+  result.inputBytes = slice.length
+  inflator.push(slice, slice.length === input.length)
+
+  if (inflator.err) {
+    return { ...result, ok: false, error: inflator.msg || `status ${inflator.err}` }
+  }
+
+  result.complete = inflator.ended
+  return result
+}
+
+/**
+ * Get pako Inflate options for a detected format
+ * @param {string} format - One of gzip, deflate or raw
+ * @returns {Object} Options for pako's Inflate class
+ */
+export function getInflateOptions(format) {
+  switch (format) {
+    case "gzip":
+      return { windowBits: 16 + 15 }
+    case "deflate":
+      return { windowBits: 15 }
+    case "raw":
+      return { raw: true }
+    default:
+      throw new Error(`Unsupported format: ${format}`)
+  }
+}
+
+/**
+ * Analyze a gzip header
+ * @param {Uint8Array} input - The compressed data
+ * @returns {Object} Analysis result
+ */
+function analyzeGzip(input) {
+  const analysis = {
+    format: "gzip",
+    reason: "gzip magic bytes 1f 8b",
+    windowSize: null,
+    levelHint: null,
+    needsDictionary: false,
+    dictionaryId: null,
+  }
+
+  if (input.length >= 10) {
+    if (input[2] !== 8) {
+      analysis.format = "unknown"
+      analysis.reason = `gzip magic bytes with unsupported compression method ${input[2]}`
+      return analysis
+    }
+    analysis.levelHint = GZIP_LEVEL_HINTS[input[8]] || null
+  }
+
+  return analysis
+}
+
+/**
+ * Analyze a zlib header
+ * @param {Uint8Array} input - The compressed data
+ * @returns {Object} Analysis result
+ */
+function analyzeZlib(input) {
+  const cmf = input[0]
+  const flg = input[1]
+  const needsDictionary = (flg & 0x20) !== 0
+
+  return {
+    format: "deflate",
+    reason: `zlib header ${hex(cmf)} ${hex(flg)}`,
+    windowSize: 1 << ((cmf >> 4) + 8),
+    levelHint: ZLIB_LEVEL_HINTS[flg >> 6],
+    needsDictionary,
+    dictionaryId: needsDictionary && input.length >= 6 ? readUInt32BE(input, 2) : null,
+  }
+}
+
+/**
+ * Analyze data that has no recognisable wrapper as a raw deflate stream
+ * @param {Uint8Array} input - The compressed data
+ * @returns {Object} Analysis result
+ */
+function analyzeRaw(input) {
+  const analysis = {
+    format: "raw",
+    reason: "no gzip or zlib header",
+    windowSize: null,
+    levelHint: null,
+    needsDictionary: false,
+    dictionaryId: null,
+  }
+
+  if (input.length === 0) {
+    analysis.format = "unknown"
+    analysis.reason = "empty input"
+    return analysis
+  }
+
+  // The first three bits of a deflate stream are BFINAL and BTYPE
+  const blockType = BLOCK_TYPES[(input[0] >> 1) & 0x03]
+  analysis.firstBlock = blockType
+
+  if (blockType === "reserved") {
+    analysis.format = "unknown"
+    analysis.reason = "no gzip or zlib header and first deflate block uses reserved type"
+  } else {
+    analysis.reason = `no gzip or zlib header, first deflate block is ${blockType}`
+  }
+
+  return analysis
+}
+
+/**
+ * Read a big-endian unsigned 32-bit integer
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Byte offset
+ * @returns {number} The integer value
+ */
+function readUInt32BE(bytes, offset) {
+  return (
+    ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>>
+    0
+  )
+}
+
+/**
+ * Format a byte as two hex digits
+ * @param {number} byte - The byte
+ * @returns {string} Hex string
+ */
+function hex(byte) {
+  return byte.toString(16).padStart(2, "0")
+}
@@ -0,0 +1,81 @@
+import path from "path"
+import { logVerbose } from "./logger.js"
+
+// Operating system codes from RFC 1952, section 2.3.1
+const OS_NAMES = [
+  "FAT",
+  "Amiga",
+  "VMS",
+  "Unix",
+  "VM/CMS",
+  "Atari TOS",
+  "HPFS",
+  "Macintosh",
+  "Z-System",
+  "CP/M",
+  "TOPS-20",
+  "NTFS",
+  "QDOS",
+  "Acorn RISCOS",
+]
+
+/**
+ * Convert the header pako parsed from a gzip member into plain metadata
+ * @param {Object} header - pako GZheader (inflator.header)
+ * @returns {Object|null} Metadata with name, mtime, os, osCode, comment, extra and text, or null
+ */
+export function readGzipHeader(header) {
+  if (!header || !header.done) return null
+
+  return {
+    // Name and comment are ISO 8859-1, which is how pako decodes them
+    name: header.name || null,
+    mtime: header.time ? new Date(header.time * 1000) : null,
+    os: OS_NAMES[header.os] || (header.os === 255 ? "unknown" : `code ${header.os}`),
+    osCode: header.os,
+    comment: header.comment || null,
+    extra: header.extra ? Buffer.from(header.extra) : null,
+    text: Boolean(header.text),
+  }
+}
+
+/**
+ * Log gzip header metadata in verbose mode
+ * @param {Object|null} metadata - Metadata from readGzipHeader
+ * @param {Object} options - Command line options
+ */
+export function logGzipHeader(metadata, options) {
+  if (!metadata) return
+
+  logVerbose(`Gzip original name: ${metadata.name ?? "(none)"}`, options)
+  logVerbose(
+    `Gzip modification time: ${metadata.mtime ? metadata.mtime.toISOString() : "(none)"}`,
+    options,
+  )
+  logVerbose(`Gzip operating system: ${metadata.os}`, options)
+  if (metadata.comment) {
+    logVerbose(`Gzip comment: ${metadata.comment}`, options)
+  }
+  if (metadata.extra) {
+    logVerbose(`Gzip extra field: ${metadata.extra.length} bytes`, options)
+  }
+}
+
+/**
+ * Turn an embedded gzip file name into a safe file name for the output directory
+ *
+ * Directory components are dropped so that a crafted name cannot write
+ * outside the output directory.
+ *
+ * @param {string|null} name - Original file name from the gzip header
+ * @returns {string|null} Safe file name, or null if nothing usable remains
+ */
+export function safeOutputName(name) {
+  if (!name) return null
+
+  const baseName = path.basename(name.replace(/\\/g, "/"))
+  const cleaned = baseName.replace(/[\x00-\x1f<>:"|?*]/g, "_").trim()
+
+  if (!cleaned || cleaned === "." || cleaned === "..") return null
+  return cleaned
+}
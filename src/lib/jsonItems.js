@@ -0,0 +1,213 @@
+import { createReadStream } from "fs"
+import { StringDecoder } from "string_decoder"
+
+// Ends of a string, or an escape within it
+const STRING_SPECIAL = /["\\]/g
+const WHITESPACE = new Set([" ", "\t", "\n", "\r"])
+
+/**
+ * Read the items of a JSON export from a file or stdin as they arrive
+ *
+ * @param {string} [filePath] - Path to the file; stdin when omitted or "-"
+ * @yields {Object} Each item, as from parseJsonItems
+ */
+export async function* readJsonItems(filePath) {
+  const input = !filePath || filePath === "-" ? process.stdin : createReadStream(filePath)
+  try {
+    yield* parseJsonItems(input)
+  } finally {
+    if (input !== process.stdin) input.destroy()
+  }
+}
+
+/**
+ * Read a field of an unmarshalled item in the product schema
+ *
+ * Product fields may be wrapped in product.Value, next to the outer category,
+ * domain and timestamp; top-level fields take precedence.
+ *
+ * @param {Object} item - Item with plain values, as from unmarshallItem
+ * @param {string} name - Field name
+ * @returns {*} The field's value, or null when the item has none
+ */
+export function productField(item, name) {
+  const product = item.product && typeof item.product === "object" ? item.product : {}
+  return item[name] ?? product[name] ?? null
+}
+
+/**
+ * Parse the items of a JSON export incrementally
+ *
+ * The document is either an array of items or an object with an Items array
+ * (null or empty when there are none), such as a DynamoDB scan. Only the text
+ * of the item being read is held in memory: each one is parsed with
+ * JSON.parse as soon as it ends, and everything outside the items, such as
+ * Count or LastEvaluatedKey, is scanned over.
+ *
+ * @param {AsyncIterable<Buffer|string>} chunks - The document, in UTF-8 chunks
+ * @yields {Object} { source, item }: "Items" or "array", and the parsed item
+ * @throws {Error} If the document is not valid JSON or holds no items array
+ */
+export async function* parseJsonItems(chunks) {
+  const decoder = new StringDecoder("utf8")
+
+  const stack = [] // Open brackets
+  let position = 0 // Characters scanned before the current chunk
+  let inString = false
+  let escaped = false
+  let ended = false // The top-level value is complete
+
+  // Top-level object: the key being read and the value it names
+  let expectKey = false
+  let key = null
+  let itemsState = null // "expected" after Items:, then "array", "null" or "done"
+
+  // Where the items are and the text of the one being read
+  let source = null
+  let itemsDepth = -1
+  let capture = null // "key" or "item"
+  let pieces = []
+  let start = 0
+  let itemStart = 0
+  let expectItem = false // After a comma between items
+
+  const fail = (message) => new Error(`Failed to parse JSON: ${message}`)
+  const finishCapture = (text, end) => {
+    const captured = pieces.join("") + text.slice(start, end)
+    pieces = []
+    capture = null
+    return captured
+  }
+  const parseItem = (text) => {
+    try {
+      return JSON.parse(text)
+    } catch (error) {
+      throw fail(`${error.message} in the item at position ${itemStart}`)
+    }
+  }
+
+  const scan = (text, items) => {
+    start = 0
+    for (let i = 0; i < text.length; ) {
+      if (inString) {
+        if (escaped) {
+          escaped = false
+          i++
+          continue
+        }
+        STRING_SPECIAL.lastIndex = i
+        const match = STRING_SPECIAL.exec(text)
+        if (!match) break
+        i = match.index + 1
+        if (match[0] === "\\") {
+          escaped = true
+        } else {
+          inString = false
+          if (capture === "key") key = JSON.parse(finishCapture(text, i))
+        }
+        continue
+      }
+
+      const c = text[i]
+      if (WHITESPACE.has(c)) {
+        i++
+        continue
+      }
+      if (ended) {
+        throw fail(`Unexpected non-whitespace character after JSON at position ${position + i}`)
+      }
+
+      const atItems = stack.length === itemsDepth
+      if (atItems && (c === "," || c === "]")) {
+        if (capture === "item") {
+          items.push({ source, item: parseItem(finishCapture(text, i)) })
+        } else if (c === "," || expectItem) {
+          throw fail(`Unexpected "${c}" at position ${position + i}`)
+        }
+        expectItem = c === ","
+      } else if (atItems && capture === null) {
+        capture = "item"
+        pieces = []
+        start = i
+        itemStart = position + i
+        expectItem = false
+      }
+
+      if (itemsState === "expected") {
+        itemsState = c === "[" ? "array" : c === "n" ? "null" : null
+        if (itemsState === "array") {
+          source = "Items"
+          itemsDepth = 2
+        } else if (itemsState === null) {
+          throw new Error("Input JSON must be an array or contain an Items array")
+        }
+      }
+
+      if (c === '"') {
+        if (stack.length === 0) {
+          throw new Error("Input JSON must be an array or contain an Items array")
+        }
+        inString = true
+        if (expectKey && stack.length === 1) {
+          expectKey = false
+          capture = "key"
+          pieces = []
+          start = i
+        }
+      } else if (c === "{" || c === "[") {
+        if (stack.length === 0) {
+          if (c === "[") {
+            source = "array"
+            itemsDepth = 1
+          }
+          expectKey = c === "{"
+        }
+        stack.push(c)
+      } else if (c === "}" || c === "]") {
+        const open = stack.pop()
+        if (open !== (c === "}" ? "{" : "[")) {
+          throw fail(`Unexpected "${c}" at position ${position + i}`)
+        }
+        if (stack.length === itemsDepth - 1 && itemsState !== "done") {
+          itemsDepth = -1
+          itemsState = "done"
+        }
+        ended = stack.length === 0
+      } else if (c === "," && stack.length === 1 && stack[0] === "{") {
+        expectKey = true
+      } else if (c === ":" && stack.length === 1 && key === "Items" && !itemsState) {
+        itemsState = "expected"
+      } else if (stack.length === 0) {
+        // A top-level string, number or literal holds no items
+        throw new Error("Input JSON must be an array or contain an Items array")
+      }
+      i++
+    }
+
+    if (capture) {
+      pieces.push(text.slice(start))
+    }
+  }
+
+  for await (const chunk of chunks) {
+    const text = typeof chunk === "string" ? chunk : decoder.write(chunk)
+    const items = []
+    scan(text, items)
+    position += text.length
+    yield* items
+  }
+
+  const rest = decoder.end()
+  if (rest) {
+    const items = []
+    scan(rest, items)
+    yield* items
+  }
+
+  if (!ended) {
+    throw fail("Unexpected end of JSON input")
+  }
+  if (source === null && itemsState !== "null") {
+    throw new Error("Input JSON must be an array or contain an Items array")
+  }
+}
@@ -0,0 +1,90 @@
+import { InvalidArgumentError } from "commander"
+import { LimitExceededError } from "./errors.js"
+
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 }
+
+/**
+ * Parse a human-readable byte size such as 512KB or 2GB (option parser)
+ * @param {string} value - Size string
+ * @returns {number} Size in bytes
+ */
+export function parseSize(value) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([KMGT]?B?)?\s*$/i.exec(value)
+  if (!match) {
+    throw new InvalidArgumentError(`Invalid size: ${value}`)
+  }
+
+  let unit = (match[2] || "B").toUpperCase()
+  if (!unit.endsWith("B")) unit += "B"
+
+  return Math.floor(parseFloat(match[1]) * SIZE_UNITS[unit])
+}
+
+/**
+ * Parse a positive expansion ratio (option parser)
+ * @param {string} value - Ratio string
+ * @returns {number} The ratio
+ */
+export function parseRatio(value) {
+  const ratio = parseFloat(value)
+  if (!Number.isFinite(ratio) || ratio <= 0) {
+    throw new InvalidArgumentError(`Invalid ratio: ${value}`)
+  }
+  return ratio
+}
+
+/**
+ * Create the output limits for a run from command line options
+ * @param {Object} options - Command line options
+ * @returns {Object} Limits with maxOutput, maxRatio, maxTotalOutput and a running totalOutput
+ */
+export function createOutputLimits(options) {
+  return {
+    maxOutput: options.maxOutput || Infinity,
+    maxRatio: options.maxRatio || Infinity,
+    maxTotalOutput: options.maxTotalOutput || Infinity,
+    totalOutput: 0,
+  }
+}
+
+/**
+ * Throw if an entry's output so far crosses one of the limits
+ * @param {Object} limits - Limits created by createOutputLimits (may be undefined)
+ * @param {number} outputSize - Bytes inflated so far for this entry
+ * @param {number} inputSize - Compressed bytes of this entry
+ */
+export function checkOutputLimits(limits, outputSize, inputSize) {
+  if (!limits) return
+
+  if (outputSize > limits.maxOutput) {
+    throw new LimitExceededError(
+      `Output exceeds maximum of ${limits.maxOutput} bytes per entry`,
+      "maxOutput",
+    )
+  }
+
+  if (inputSize > 0 && outputSize / inputSize > limits.maxRatio) {
+    throw new LimitExceededError(
+      `Expansion ratio exceeds maximum of ${limits.maxRatio}x`,
+      "maxRatio",
+    )
+  }
+
+  if (limits.totalOutput + outputSize > limits.maxTotalOutput) {
+    throw new LimitExceededError(
+      `Total output exceeds maximum of ${limits.maxTotalOutput} bytes per run`,
+      "maxTotalOutput",
+    )
+  }
+}
+
+/**
+ * Add a completed entry's output to the run total
+ * @param {Object} limits - Limits created by createOutputLimits (may be undefined)
+ * @param {number} outputSize - Bytes produced by the entry
+ */
+export function recordOutput(limits, outputSize) {
+  if (limits) {
+    limits.totalOutput += outputSize
+  }
+}
@@ -0,0 +1,180 @@
+import { InvalidArgumentError } from "commander"
+import { UsageError } from "./errors.js"
+
+// Batch line formats accepted by --line-format
+export const LINE_FORMATS = ["plain", "tsv", "csv"]
+
+/**
+ * Validate a --line-format value (option parser)
+ * @param {string} value - Line format name
+ * @returns {string} The line format name
+ */
+export function parseLineFormat(value) {
+  if (!LINE_FORMATS.includes(value)) {
+    throw new InvalidArgumentError(
+      `Invalid line format: ${value} (expected ${LINE_FORMATS.join(", ")})`,
+    )
+  }
+  return value
+}
+
+/**
+ * Create a parser that turns batch lines into entries
+ *
+ * Plain lines are the payload itself. TSV and CSV rows hold the payload in
+ * options.payloadColumn (the last column by default) and optionally a key in
+ * options.keyColumn. Columns are 1-based indexes, or names from the header
+ * row when options.header is set. Lines starting with options.comment are
+ * skipped in every format.
+ *
+ * @param {Object} options - Command line options
+ * @returns {Object} Parser whose parse(line) returns null for skipped lines,
+ *   { payload, key } for entries, or { error } for rows that cannot be used;
+ *   headerLine holds the header row once it has been read
+ */
+export function createLineParser(options) {
+  const format = options.lineFormat || "plain"
+  const comment = options.comment === undefined ? "#" : options.comment
+
+  if (format === "plain") {
+    if (options.payloadColumn || options.keyColumn || options.header) {
+      throw new UsageError(
+        "--payload-column, --key-column and --header need --line-format tsv or csv",
+      )
+    }
+
+    return {
+      headerLine: null,
+      parse(line) {
+        const payload = line.trim()
+        if (!payload || (comment && payload.startsWith(comment))) return null
+        return { payload, key: null }
+      },
+    }
+  }
+
+  const splitRow = format === "tsv" ? (line) => line.split("\t") : splitCsvRow
+  let awaitingHeader = Boolean(options.header)
+  let payloadIndex = null
+  let keyIndex = null
+
+  // Without a header row, columns must be given by index
+  if (!options.header) {
+    payloadIndex = options.payloadColumn ? resolveColumn(options.payloadColumn, null) : null
+    keyIndex = options.keyColumn ? resolveColumn(options.keyColumn, null) : null
+  }
+
+  return {
+    headerLine: null,
+    parse(line) {
+      const trimmed = line.trim()
+      if (!trimmed || (comment && trimmed.startsWith(comment))) return null
+
+      let fields
+      try {
+        fields = splitRow(line)
+      } catch (error) {
+        return { error }
+      }
+
+      if (awaitingHeader) {
+        const names = fields.map((field) => field.trim())
+        payloadIndex = options.payloadColumn ? resolveColumn(options.payloadColumn, names) : null
+        keyIndex = options.keyColumn ? resolveColumn(options.keyColumn, names) : null
+        awaitingHeader = false
+        this.headerLine = line
+        return null
+      }
+
+      const payloadAt = payloadIndex === null ? fields.length - 1 : payloadIndex
+      const missing = [payloadAt, keyIndex].find(
+        (index) => index !== null && index >= fields.length,
+      )
+      if (missing !== undefined) {
+        return {
+          error: new Error(`Row has ${fields.length} columns; column ${missing + 1} is missing`),
+        }
+      }
+
+      const payload = fields[payloadAt].trim()
+      const key = keyIndex === null ? null : fields[keyIndex].trim() || null
+      if (!payload) {
+        return { error: new Error("Payload column is empty"), key }
+      }
+
+      return { payload, key }
+    },
+  }
+}
+
+/**
+ * Turn a column given on the command line into a zero-based index
+ * @param {string} spec - 1-based column number or column name
+ * @param {string[]|null} names - Header names, or null when there is no header row
+ * @returns {number} Zero-based column index
+ */
+function resolveColumn(spec, names) {
+  if (/^\d+$/.test(spec)) {
+    if (Number(spec) < 1) {
+      throw new UsageError(`Invalid column number: ${spec} (columns start at 1)`)
+    }
+    return Number(spec) - 1
+  }
+
+  if (!names) {
+    throw new UsageError(
+      `Column "${spec}" is a name; pass --header to read names from the first row`,
+    )
+  }
+
+  const index = names.indexOf(spec)
+  if (index === -1) {
+    throw new Error(`Column "${spec}" not found in header (columns: ${names.join(", ")})`)
+  }
+  return index
+}
+
+/**
+ * Split one CSV row (RFC 4180) into fields
+ *
+ * Quoted fields may contain commas and doubled quotes; a quoted field cannot
+ * span several lines, since batch input is read line by line.
+ *
+ * @param {string} line - CSV row
+ * @returns {string[]} Field values
+ */
+export function splitCsvRow(line) {
+  const fields = []
+  let field = ""
+  let inQuotes = false
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+    } else if (char === '"' && field.trim() === "") {
+      inQuotes = true
+      field = ""
+    } else if (char === ",") {
+      fields.push(field)
+      field = ""
+    } else {
+      field += char
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("Unterminated quoted CSV field")
+  }
+
+  fields.push(field)
+  return fields
+}
@@ -0,0 +1,174 @@
+import { promises as fsPromises } from "fs"
+import { createHash } from "crypto"
+import { InvalidArgumentError } from "commander"
+import { splitCsvRow } from "./lineFormat.js"
+import { readLines } from "./fileReader.js"
+
+// Manifest formats accepted by --manifest
+export const MANIFEST_FORMATS = ["json", "csv"]
+
+/**
+ * Validate a --manifest value (option parser)
+ * @param {string} value - Manifest format
+ * @returns {string} The manifest format
+ */
+export function parseManifestFormat(value) {
+  if (!MANIFEST_FORMATS.includes(value)) {
+    throw new InvalidArgumentError(
+      `Invalid manifest format: ${value} (expected ${MANIFEST_FORMATS.join(", ")})`,
+    )
+  }
+  return value
+}
+
+/**
+ * Compute the SHA-256 of decompressed content
+ * @param {Buffer|string} data - Content
+ * @returns {string} Hex digest
+ */
+export function sha256(data) {
+  return createHash("sha256").update(data).digest("hex")
+}
+
+/**
+ * Open a manifest that lists every entry of a run
+ *
+ * Records are written as they are added: a JSON array with one record per
+ * line, or CSV with a header row. The first column identifies the entry (a
+ * line or item number) and the others are fixed by the caller.
+ *
+ * With options.index (for --dedup), records whose content was written (a path
+ * and no duplicateOf) are indexed by their sha256 so that duplicates can be
+ * pointed at them. Only the path, the first column and any id are kept for
+ * each digest; without the option nothing is kept, so memory use does not
+ * grow with the run.
+ *
+ * A resumed run cuts the file back to the position saved in its checkpoint,
+ * reading the records before it back into the index as a stream. The closing
+ * bracket of a JSON manifest is not counted in position(), so it is dropped
+ * before appending.
+ *
+ * @param {string} filePath - Manifest file
+ * @param {string} format - "json" or "csv"
+ * @param {string[]} columns - Record fields, in order
+ * @param {Object} [resumeFrom] - Position from an earlier run's position()
+ * @param {Object} [options] - Manifest options
+ * @param {boolean} [options.index] - Index written content for lookup(digest)
+ * @returns {Promise<Object>} Manifest with add(record), lookup(digest), position(),
+ *   close() and count
+ */
+export async function createManifest(filePath, format, columns, resumeFrom = null, options = {}) {
+  const index = options.index ? new Map() : null
+  const kept = ["path", columns[0], "id"].filter((column) => columns.includes(column))
+  const remember = (record) => {
+    if (index && record.path && record.duplicateOf === null && !index.has(record.sha256)) {
+      index.set(record.sha256, Object.fromEntries(kept.map((column) => [column, record[column]])))
+    }
+  }
+
+  let bytes = 0
+
+  if (resumeFrom) {
+    await fsPromises.truncate(filePath, resumeFrom.bytes)
+    if (index) {
+      for await (const record of readManifest(filePath, format, columns)) {
+        remember(record)
+      }
+    }
+    bytes = resumeFrom.bytes
+  }
+
+  const handle = await fsPromises.open(filePath, resumeFrom ? "a" : "w")
+
+  const write = async (text) => {
+    await handle.write(text)
+    bytes += Buffer.byteLength(text)
+  }
+
+  if (!resumeFrom) {
+    await write(format === "csv" ? `${columns.join(",")}\n` : "[\n")
+  }
+
+  return {
+    format,
+    count: resumeFrom ? resumeFrom.count : 0,
+
+    /**
+     * Append a record
+     * @param {Object} record - Values for the manifest columns
+     */
+    async add(record) {
+      const row = Object.fromEntries(columns.map((column) => [column, record[column] ?? null]))
+      if (format === "csv") {
+        await write(`${columns.map((column) => formatCsvField(row[column])).join(",")}\n`)
+      } else {
+        await write(`${this.count > 0 ? ",\n" : ""}  ${JSON.stringify(row)}`)
+      }
+      this.count++
+      remember(row)
+    },
+
+    /**
+     * Find the first written entry with some content (needs options.index)
+     * @param {string} digest - SHA-256 of the content
+     * @returns {Object|null} That entry's path, first column and id, or null
+     */
+    lookup(digest) {
+      return (index && index.get(digest)) || null
+    },
+
+    /**
+     * Where the manifest ends, for a checkpoint
+     * @returns {Object} Record count and file size
+     */
+    position() {
+      return { count: this.count, bytes }
+    },
+
+    async close() {
+      if (format === "json") {
+        await handle.write(this.count > 0 ? "\n]\n" : "]\n")
+      }
+      await handle.close()
+    },
+  }
+}
+
+/**
+ * Read the records of a manifest written by createManifest, one at a time
+ * @param {string} filePath - Manifest file
+ * @param {string} format - "json" or "csv"
+ * @param {string[]} columns - Record fields, in order
+ * @yields {Object} Each record
+ */
+export async function* readManifest(filePath, format, columns) {
+  let first = true
+
+  for await (const line of readLines(filePath)) {
+    const isHeader = first
+    first = false
+    if (isHeader || !line.trim() || line.trim() === "]") continue
+
+    if (format === "json") {
+      yield JSON.parse(line.trim().replace(/,$/, ""))
+    } else {
+      const fields = splitCsvRow(line)
+      // CSV keeps no types: every value comes back as text, and empty fields as null
+      const values = columns.map((column, i) => [column, fields[i] ? fields[i] : null])
+      yield Object.fromEntries(values)
+    }
+  }
+}
+
+/**
+ * Format a value as a CSV field, quoting it when needed
+ * @param {*} value - Field value (null is an empty field)
+ * @returns {string} CSV field
+ */
+function formatCsvField(value) {
+  if (value === null) return ""
+
+  // Rows are read back line by line, so line breaks become spaces
+  const text = String(value).replace(/\r?\n|\r/g, " ")
+  return /[",]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
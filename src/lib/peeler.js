@@ -0,0 +1,222 @@
+import { isUtf8 } from "buffer"
+import { logVerbose } from "./logger.js"
+import { getCodec } from "./codecs/index.js"
+import { decodePayload, detectEncoding } from "./encoding.js"
+import { EncodingError, LimitExceededError } from "./errors.js"
+
+// Compression layers tried on binary data, in this order. Only gzip and zlib
+// have a header; brotli and raw deflate are accepted when the whole input
+// decodes cleanly.
+const BINARY_LAYERS = ["gzip", "deflate", "brotli", "raw"]
+const HEADER_LAYERS = ["gzip", "deflate"]
+
+// Text shorter than this is never treated as an encoded layer
+const MIN_ENCODED_LENGTH = 8
+
+/**
+ * Repeatedly detect and remove encoding and compression layers
+ *
+ * Each step removes one layer: a text encoding (base64, base64url, hex, data
+ * URI, percent-encoded base64), a compression format (gzip, zlib, brotli, raw
+ * deflate), or a JSON document whose string field holds the next layer.
+ * Peeling stops at plain content or after options.maxDepth layers.
+ *
+ * @param {Buffer} input - The wrapped data
+ * @param {Object} options - Command line options (options.limits holds the output limits)
+ * @returns {Object} Object with the peeled data, the layers removed and maxDepthReached
+ */
+export function peelLayers(input, options) {
+  const maxDepth = options.maxDepth ?? 10
+  const layers = []
+  let data = input
+
+  while (layers.length < maxDepth) {
+    const layer = peelOnce(data, options)
+    if (!layer) {
+      return { data, layers, maxDepthReached: false }
+    }
+
+    logVerbose(
+      `Layer ${layers.length + 1}: ${layer.name} (${data.length} -> ${layer.data.length} bytes)`,
+      options,
+    )
+    layers.push({ name: layer.name, inputSize: data.length, outputSize: layer.data.length })
+    data = layer.data
+  }
+
+  return { data, layers, maxDepthReached: peelOnce(data, options) !== null }
+}
+
+/**
+ * Format the removed layers as a chain, outermost first
+ * @param {Object[]} layers - Layers from peelLayers
+ * @returns {string} Chain such as "base64 -> gzip -> json field payload -> base64 -> deflate"
+ */
+export function formatLayerChain(layers) {
+  return layers.length > 0 ? layers.map((layer) => layer.name).join(" -> ") : "(none)"
+}
+
+/**
+ * Remove the outermost layer of some data
+ * @param {Buffer} data - The data to examine
+ * @param {Object} options - Command line options
+ * @returns {Object|null} The layer name and unwrapped data, or null for plain content
+ */
+function peelOnce(data, options) {
+  if (data.length === 0) return null
+
+  if (!isText(data)) {
+    return peelCompression(data, options)
+  }
+
+  const text = data.toString("utf8").trim()
+  return peelJsonField(text, options) || peelTextEncoding(text, options)
+}
+
+/**
+ * Decode a compression layer
+ * @param {Buffer} data - Binary data
+ * @param {Object} options - Command line options
+ * @returns {Object|null} The layer, or null if no format decodes the data
+ */
+function peelCompression(data, options) {
+  for (const name of BINARY_LAYERS) {
+    const codec = getCodec(name)
+    const analysis = codec.detect(data)
+    if (!analysis) continue
+
+    // A header match is conclusive, so its errors are reported
+    if (HEADER_LAYERS.includes(name)) {
+      return { name, data: toBuffer(codec.decode(data, options, analysis).data) }
+    }
+
+    // Other formats are guesses that must decode the whole input cleanly
+    try {
+      const decoded = codec.decode(data, { ...options, strict: true, recover: false }, analysis)
+      return { name, data: toBuffer(decoded.data) }
+    } catch (error) {
+      if (error instanceof LimitExceededError) throw error
+    }
+  }
+
+  return null
+}
+
+/**
+ * Decode a text encoding layer
+ *
+ * The decoded bytes must themselves be text or another recognisable layer,
+ * so that a plain word that happens to be valid base64 is left alone.
+ *
+ * @param {string} text - Trimmed text
+ * @param {Object} options - Command line options
+ * @returns {Object|null} The layer, or null if the text is not encoded
+ */
+function peelTextEncoding(text, options) {
+  if (text.length < MIN_ENCODED_LENGTH || /\s/.test(text)) return null
+
+  let decoded
+  try {
+    decoded = decodePayload(text, detectEncoding(text))
+  } catch (error) {
+    if (error instanceof EncodingError) return null
+    throw error
+  }
+
+  if (!isText(decoded.data) && !looksCompressed(decoded.data, options)) return null
+
+  return { name: decoded.encoding, data: decoded.data }
+}
+
+/**
+ * Descend into the JSON string field that holds the next layer
+ *
+ * Fields are tried longest first; the first one that decodes as an encoded
+ * layer is taken.
+ *
+ * @param {string} text - Trimmed text
+ * @param {Object} options - Command line options
+ * @returns {Object|null} The layer, or null if the text is not JSON or no field is encoded
+ */
+function peelJsonField(text, options) {
+  if (!text.startsWith("{") && !text.startsWith("[")) return null
+
+  let document
+  try {
+    document = JSON.parse(text)
+  } catch {
+    return null
+  }
+
+  const fields = [...collectStrings(document, "")].sort((a, b) => b.value.length - a.value.length)
+
+  for (const field of fields) {
+    const value = field.value.trim()
+    const layer = peelTextEncoding(value, options)
+    if (layer && looksCompressed(layer.data, options)) {
+      logVerbose(`Following JSON field ${field.path}`, options)
+      return { name: `json field ${field.path}`, data: Buffer.from(value) }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Yield every string value in a JSON document with its path
+ * @param {*} value - JSON value
+ * @param {string} path - Path of the value
+ */
+function* collectStrings(value, path) {
+  if (typeof value === "string") {
+    if (value.length >= MIN_ENCODED_LENGTH) yield { path: path || "(root)", value }
+  } else if (Array.isArray(value)) {
+    for (let i = 0; i < value.length; i++) {
+      yield* collectStrings(value[i], `${path}[${i}]`)
+    }
+  } else if (value && typeof value === "object") {
+    for (const [key, child] of Object.entries(value)) {
+      yield* collectStrings(child, path ? `${path}.${key}` : key)
+    }
+  }
+}
+
+/**
+ * Check whether bytes decode as a compression layer, without counting the
+ * trial output towards the run's total
+ * @param {Buffer} data - Decoded bytes
+ * @param {Object} options - Command line options
+ * @returns {boolean} True if the bytes are a compression layer
+ */
+function looksCompressed(data, options) {
+  const trialOptions = {
+    ...options,
+    verbose: false,
+    limits: options.limits && { ...options.limits },
+  }
+
+  try {
+    return peelCompression(data, trialOptions) !== null
+  } catch (error) {
+    if (error instanceof LimitExceededError) throw error
+    return false
+  }
+}
+
+/**
+ * Check whether bytes are UTF-8 text without control characters
+ * @param {Buffer} data - The bytes to check
+ * @returns {boolean} True for text
+ */
+function isText(data) {
+  return isUtf8(data) && !/[\x00-\x08\x0e-\x1f\x7f]/.test(data.toString("utf8"))
+}
+
+/**
+ * Normalise decoded output to a Buffer
+ * @param {Buffer|string} data - Codec output
+ * @returns {Buffer} The data as a Buffer
+ */
+function toBuffer(data) {
+  return typeof data === "string" ? Buffer.from(data) : data
+}
@@ -0,0 +1,104 @@
+import { logVerbose, logDebug, logError } from "./logger.js"
+import { createOutputLimits } from "./limits.js"
+import { resolveCodec } from "./codecs/index.js"
+
+// Number of leading bytes held back to pick a format. gzip and zlib need only
+// a few, but brotli and the LZ-String text variants are detected from more
+const SNIFF_LENGTH = 1024
+
+/**
+ * Create a streaming decompression step for use with stream.pipeline
+ *
+ * Codecs that provide decodeStream are streamed end to end; any other codec
+ * is decoded once the whole input has been read. A failure that --recover
+ * kept partial output from is recorded as options.failure.
+ *
+ * @param {Object} options - Command line options
+ * @returns {Function} Async generator function transforming compressed chunks
+ */
+export function createDecompressTransform(options) {
+  return async function* decompressTransform(source) {
+    const stats = { inputSize: 0, outputSize: 0 }
+    const streamOptions = { ...options, limits: createOutputLimits(options) }
+    const iterator = source[Symbol.asyncIterator]()
+
+    // Hold back input until there are enough bytes to pick a format
+    let header = Buffer.alloc(0)
+    let exhausted = false
+    while (header.length < SNIFF_LENGTH) {
+      const { value, done } = await iterator.next()
+      if (done) {
+        exhausted = true
+        break
+      }
+      header = Buffer.concat([header, typeof value === "string" ? Buffer.from(value) : value])
+    }
+
+    if (header.length === 0) {
+      throw new Error("No input data received")
+    }
+
+    if (options.debug) {
+      logDebug(
+        "First bytes of input:",
+        Array.from(header.subarray(0, 16))
+          .map((b) => b.toString(16).padStart(2, "0"))
+          .join(" "),
+        options,
+      )
+    }
+
+    const { codec, analysis } = resolveCodec(header, options)
+
+    // Replay the held-back header ahead of the rest of the source
+    const input = (async function* () {
+      stats.inputSize += header.length
+      yield header
+
+      while (!exhausted) {
+        const { value, done } = await iterator.next()
+        if (done) break
+        const data = typeof value === "string" ? Buffer.from(value) : value
+        stats.inputSize += data.length
+        yield data
+      }
+    })()
+
+    const decode = codec.decodeStream || decodeBuffered(codec)
+
+    for await (const chunk of decode(input, streamOptions, analysis)) {
+      stats.outputSize += typeof chunk === "string" ? Buffer.byteLength(chunk) : chunk.length
+      yield chunk
+    }
+
+    if (streamOptions.failure) {
+      options.failure = streamOptions.failure
+    }
+
+    logVerbose(`Input data size: ${stats.inputSize} bytes`, options)
+    logVerbose(`Decompressed data size: ${stats.outputSize} bytes`, options)
+  }
+}
+
+/**
+ * Wrap a codec without streaming support so it decodes the collected input
+ * @param {Object} codec - Registered codec
+ * @returns {Function} Async generator function with the decodeStream signature
+ */
+function decodeBuffered(codec) {
+  return async function* (source, options, analysis) {
+    const chunks = []
+    for await (const chunk of source) {
+      chunks.push(chunk)
+    }
+
+    const { data, failure } = codec.decode(Buffer.concat(chunks), options, analysis)
+    if (failure) {
+      logError(
+        `Warning: output is partial, decompression failed at input byte ${failure.offset}: ${failure.message}`,
+      )
+      options.failure = failure
+    }
+    yield options.string && typeof data !== "string" ? data.toString("utf8") : data
+  }
+}
@@ -0,0 +1,132 @@
+import { Worker } from "worker_threads"
+import { availableParallelism } from "os"
+import { InvalidArgumentError } from "commander"
+import { deserializeError } from "./errors.js"
+
+/**
+ * Parse a --concurrency value: a positive integer or "auto" (option parser)
+ * @param {string} value - Concurrency string
+ * @returns {number} Number of workers
+ */
+export function parseConcurrency(value) {
+  if (value === "auto") {
+    return availableParallelism()
+  }
+
+  const concurrency = Number(value)
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new InvalidArgumentError(
+      `Invalid concurrency: ${value} (expected a positive integer or auto)`,
+    )
+  }
+  return concurrency
+}
+
+/**
+ * Start a fixed-size pool of worker threads running the same script
+ *
+ * The worker receives { id, task } messages and must answer each with
+ * { id, result } or { id, error }, where error comes from serializeError.
+ *
+ * @param {URL} workerUrl - Worker script
+ * @param {number} size - Number of workers
+ * @param {*} workerData - Data passed to every worker
+ * @returns {Object} Pool with run(task) returning a promise, and close()
+ */
+export function createWorkerPool(workerUrl, size, workerData) {
+  const idle = []
+  const queue = []
+  const pending = new Map()
+  let nextId = 0
+  let failure = null
+
+  const dispatch = () => {
+    while (idle.length > 0 && queue.length > 0) {
+      const worker = idle.pop()
+      const { id, task } = queue.shift()
+      worker.postMessage({ id, task })
+    }
+  }
+
+  const workers = Array.from({ length: size }, () => {
+    const worker = new Worker(workerUrl, { workerData })
+
+    worker.on("message", ({ id, result, error }) => {
+      const job = pending.get(id)
+      pending.delete(id)
+      idle.push(worker)
+      dispatch()
+
+      if (error) {
+        job.reject(deserializeError(error))
+      } else {
+        job.resolve(result)
+      }
+    })
+
+    // A crashed worker fails everything still in flight
+    worker.on("error", (error) => {
+      failure = error
+      for (const job of pending.values()) {
+        job.reject(error)
+      }
+      pending.clear()
+    })
+
+    idle.push(worker)
+    return worker
+  })
+
+  return {
+    run(task) {
+      if (failure) {
+        return Promise.reject(failure)
+      }
+
+      return new Promise((resolve, reject) => {
+        const id = nextId++
+        pending.set(id, { resolve, reject })
+        queue.push({ id, task })
+        dispatch()
+      })
+    },
+
+    async close() {
+      await Promise.all(workers.map((worker) => worker.terminate()))
+    },
+  }
+}
+
+/**
+ * Map items through an async function with bounded concurrency, yielding in input order
+ *
+ * Up to `limit` calls are in flight at once; results are yielded strictly in
+ * the order of the source, so output is the same as a sequential run.
+ *
+ * @param {Iterable|AsyncIterable} source - Items to process
+ * @param {Function} fn - Async function called with each item
+ * @param {number} limit - Maximum number of calls in flight
+ * @yields {Object} Object with the item and either its result or its error
+ */
+export async function* mapInOrder(source, fn, limit) {
+  const inFlight = []
+
+  const settle = (item) =>
+    Promise.resolve()
+      .then(() => fn(item))
+      .then(
+        (result) => ({ item, result, error: null }),
+        (error) => ({ item, result: null, error }),
+      )
+
+  for await (const item of source) {
+    inFlight.push(settle(item))
+    if (inFlight.length >= limit) {
+      yield await inFlight.shift()
+    }
+  }
+
+  while (inFlight.length > 0) {
+    yield await inFlight.shift()
+  }
+}
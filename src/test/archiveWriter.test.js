@@ -0,0 +1,168 @@
+import { describe, it, beforeEach, afterEach } from "node:test"
+import { strict as assert } from "node:assert"
+import { fileURLToPath } from "url"
+import { dirname, join } from "path"
+import { mkdirSync, readdirSync, readFileSync, rmSync, writeFileSync } from "fs"
+import zlib from "zlib"
+import { archiveFormatOf, createArchiveWriter } from "../lib/archiveWriter.js"
+import { crc32 } from "../lib/checksums.js"
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+/**
+ * Read the files of a tar archive, applying pax path records
+ * @param {Buffer} data - Archive contents
+ * @returns {Object[]} Entries with name, data and mtime (seconds)
+ */
+function readTar(data) {
+  const entries = []
+  let paxPath = null
+
+  for (let offset = 0; offset + 512 <= data.length; ) {
+    const header = data.subarray(offset, offset + 512)
+    if (header.every((byte) => byte === 0)) break
+
+    const field = (start, length) =>
+      header.toString("utf8", start, start + length).replace(/\0.*$/s, "")
+    const size = parseInt(field(124, 12), 8)
+    const body = data.subarray(offset + 512, offset + 512 + size)
+
+    const checksum = header.reduce((sum, byte, i) => sum + (i >= 148 && i < 156 ? 32 : byte), 0)
+    assert.equal(parseInt(field(148, 8), 8), checksum)
+
+    if (field(156, 1) === "x") {
+      paxPath = body.toString("utf8").match(/ path=(.*)\n/)[1]
+    } else {
+      const mtime = parseInt(field(136, 12), 8)
+      entries.push({ name: paxPath || field(0, 100), data: body, mtime })
+      paxPath = null
+    }
+    offset += 512 + Math.ceil(size / 512) * 512
+  }
+  return entries
+}
+
+/**
+ * Read the files of a zip archive through its central directory
+ * @param {Buffer} data - Archive contents
+ * @returns {Object[]} Entries with name and data
+ */
+function readZip(data) {
+  const end = data.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]))
+  const count = data.readUInt16LE(end + 10)
+  let offset = data.readUInt32LE(end + 16)
+
+  const entries = []
+  for (let i = 0; i < count; i++) {
+    assert.equal(data.readUInt32LE(offset), 0x02014b50)
+    const method = data.readUInt16LE(offset + 10)
+    const crc = data.readUInt32LE(offset + 16)
+    const compressedSize = data.readUInt32LE(offset + 20)
+    const nameLength = data.readUInt16LE(offset + 28)
+    const extraLength = data.readUInt16LE(offset + 30)
+    const commentLength = data.readUInt16LE(offset + 32)
+    const localOffset = data.readUInt32LE(offset + 42)
+    const name = data.toString("utf8", offset + 46, offset + 46 + nameLength)
+
+    const start = localOffset + 30 + data.readUInt16LE(localOffset + 26)
+    const stored = data.subarray(start, start + compressedSize)
+    const contents = method === 8 ? zlib.inflateRawSync(stored) : stored
+    assert.equal(crc32(contents), crc)
+
+    entries.push({ name, data: contents })
+    offset += 46 + nameLength + extraLength + commentLength
+  }
+  return entries
+}
+
+describe("Archive writer", () => {
+  const testDir = join(__dirname, "test-data", "archive")
+  const longName = `${"nested-name-".repeat(10)}.json`
+  const files = [
+    ["hello.txt", Buffer.from("hello world\n".repeat(50))],
+    [longName, Buffer.from('{"id": 1}')],
+    ["café.bin", Buffer.from([0, 1, 2, 255])],
+  ]
+
+  const writeArchive = async (fileName) => {
+    const archivePath = join(testDir, fileName)
+    const writer = await createArchiveWriter(archivePath)
+    for (const [name, data] of files) {
+      await writer.addEntry(name, data, { mtime: new Date("2024-05-06T07:08:10Z") })
+    }
+    await writer.close()
+    assert.equal(writer.count, files.length)
+    return readFileSync(archivePath)
+  }
+
+  beforeEach(() => {
+    mkdirSync(testDir, { recursive: true })
+  })
+
+  afterEach(() => {
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  it("should tell archive paths from other output paths", () => {
+    assert.equal(archiveFormatOf("out/batch.tar"), "tar")
+    assert.equal(archiveFormatOf("out/batch.TAR.GZ"), "tar.gz")
+    assert.equal(archiveFormatOf("batch.tgz"), "tar.gz")
+    assert.equal(archiveFormatOf("batch.zip"), "zip")
+    assert.equal(archiveFormatOf("./output"), null)
+    assert.equal(archiveFormatOf("items.yaml"), null)
+  })
+
+  it("should write tar archives with long names in pax headers", async () => {
+    const entries = readTar(await writeArchive("out.tar"))
+
+    assert.deepEqual(entries.map((entry) => [entry.name, entry.data]), files)
+    assert.equal(entries[0].mtime, Date.parse("2024-05-06T07:08:10Z") / 1000)
+  })
+
+  it("should write gzip-compressed tar archives", async () => {
+    const entries = readTar(zlib.gunzipSync(await writeArchive("out.tar.gz")))
+
+    assert.deepEqual(entries.map((entry) => [entry.name, entry.data]), files)
+  })
+
+  it("should write zip archives with deflated and stored entries", async () => {
+    const data = await writeArchive("out.zip")
+
+    assert.deepEqual(readZip(data).map((entry) => [entry.name, entry.data]), files)
+    // The repetitive text is deflated
+    assert.equal(data.readUInt16LE(8), 8)
+    assert.ok(data.length < files[0][1].length)
+  })
+
+  it("should stream spooled files into tar and zip archives", async () => {
+    for (const fileName of ["spooled.tar", "spooled.zip"]) {
+      const archivePath = join(testDir, fileName)
+      const writer = await createArchiveWriter(archivePath)
+      for (const [name, data] of files) {
+        writeFileSync(writer.spoolPath(name), data)
+        await writer.addSpooled(name)
+      }
+      await writer.close()
+
+      const data = readFileSync(archivePath)
+      const entries = fileName.endsWith(".zip") ? readZip(data) : readTar(data)
+      assert.deepEqual(entries.map((entry) => [entry.name, entry.data]), files)
+    }
+    assert.deepEqual(readdirSync(testDir).sort(), ["spooled.tar", "spooled.zip"])
+  })
+
+  it("should write empty archives", async () => {
+    const tar = await createArchiveWriter(join(testDir, "empty.tar"))
+    await tar.close()
+    const zip = await createArchiveWriter(join(testDir, "empty.zip"))
+    await zip.close()
+
+    assert.deepEqual(readFileSync(join(testDir, "empty.tar")), Buffer.alloc(1024))
+    assert.deepEqual(readZip(readFileSync(join(testDir, "empty.zip"))), [])
+  })
+
+  it("should reject paths without an archive extension", async () => {
+    await assert.rejects(createArchiveWriter(join(testDir, "out.rar")), /Not an archive path/)
+  })
+})
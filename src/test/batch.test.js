@@ -2,8 +2,16 @@ import { describe, it, beforeEach, afterEach, mock } from "node:test"
 import { strict as assert } from "node:assert"
 import { fileURLToPath } from "url"
 import { dirname, join } from "path"
-import { readFileSync, writeFileSync, mkdirSync, rmSync, existsSync } from "fs"
-import { deflate } from "pako"
+import {
+  readFileSync,
+  writeFileSync,
+  mkdirSync,
+  rmSync,
+  existsSync,
+  readdirSync,
+  statSync,
+} from "fs"
+import { deflate, gzip } from "pako"
 import { encodeBase64 } from "../lib/encoding.js"
 
 // Mock the commander program
@@ -76,7 +84,7 @@ describe("Batch Command", () => {
 
         // Clean up output directory contents before removing the directory
         if (existsSync(outputDir)) {
-          const files = require("fs").readdirSync(outputDir)
+          const files = readdirSync(outputDir)
           files.forEach((file) => {
             const filePath = join(outputDir, file)
             rmSync(filePath)
@@ -94,6 +102,9 @@ describe("Batch Command", () => {
 
     // Restore console
     mock.restoreAll()
+
+    // Runs with failed entries set a non-zero exit code
+    process.exitCode = undefined
   })
 
   it("should process batch file correctly", async () => {
@@ -130,4 +141,617 @@ describe("Batch Command", () => {
     assert.equal(file1Content, testData[0], "First file content should match")
     assert.equal(file2Content, testData[1], "Second file content should match")
   })
+
+  it("should skip entries that exceed the output limit and continue", async () => {
+    const { setupBatchCommand } = await import("../commands/batch.js")
+
+    const program = mockProgram()
+    setupBatchCommand(program)
+
+    // Insert a highly compressible entry between the two regular ones
+    const bomb = Buffer.from(deflate(new Uint8Array(1024 * 1024))).toString("base64")
+    const lines = readFileSync(inputFile, "utf8").split("\n")
+    writeFileSync(inputFile, [lines[0], bomb, lines[1]].join("\n"))
+
+    await program.executeAction({
+      input: inputFile,
+      outputDir: outputDir,
+      prefix: "test_",
+      format: "deflate",
+      maxOutput: 64 * 1024,
+      verbose: false,
+      debug: false,
+    })
+
+    assert.ok(existsSync(join(outputDir, "test_1.txt")), "First entry should be written")
+    assert.ok(!existsSync(join(outputDir, "test_2.txt")), "Oversized entry should be skipped")
+    assert.equal(readFileSync(join(outputDir, "test_3.txt"), "utf8"), testData[1])
+  })
+
+  it("should write truncated entries as partial files in recovery mode", async () => {
+    const { setupBatchCommand } = await import("../commands/batch.js")
+
+    const program = mockProgram()
+    setupBatchCommand(program)
+
+    const longText = "Partial entry content. ".repeat(2000)
+    const truncated = Buffer.from(deflate(longText)).subarray(0, 60).toString("base64")
+    writeFileSync(inputFile, truncated)
+
+    await program.executeAction({
+      input: inputFile,
+      outputDir: outputDir,
+      prefix: "test_",
+      format: "deflate",
+      recover: true,
+      verbose: false,
+      debug: false,
+    })
+
+    const partialPath = join(outputDir, "test_1.partial.txt")
+    assert.ok(existsSync(partialPath), "Partial output file should exist")
+    assert.ok(longText.startsWith(readFileSync(partialPath, "utf8")))
+  })
+
+  it("should name outputs from the gzip header and keep its mtime", async () => {
+    const { setupBatchCommand } = await import("../commands/batch.js")
+
+    const program = mockProgram()
+    setupBatchCommand(program)
+
+    const named = (text, name) =>
+      Buffer.from(gzip(text, { header: { name, time: 1700000000 } })).toString("base64")
+    writeFileSync(
+      inputFile,
+      [named("first", "../page.html"), named("second", "page.html"), named("third", "")].join("\n"),
+    )
+
+    await program.executeAction({
+      input: inputFile,
+      outputDir: outputDir,
+      prefix: "test_",
+      format: "auto",
+      gzipName: true,
+      verbose: false,
+      debug: false,
+    })
+
+    assert.equal(readFileSync(join(outputDir, "page.html"), "utf8"), "first")
+    assert.equal(readFileSync(join(outputDir, "page-2.html"), "utf8"), "second")
+    assert.equal(readFileSync(join(outputDir, "test_3.txt"), "utf8"), "third")
+    assert.equal(statSync(join(outputDir, "page.html")).mtimeMs, 1700000000 * 1000)
+  })
+
+  it("should decode mixed encodings in auto mode and reject corrupt lines", async () => {
+    const { setupBatchCommand } = await import("../commands/batch.js")
+
+    const program = mockProgram()
+    setupBatchCommand(program)
+
+    const compressed = Buffer.from(deflate(testData[0]))
+    writeFileSync(
+      inputFile,
+      [
+        compressed.toString("hex"),
+        `data:application/zlib;base64,${compressed.toString("base64")}`,
+        compressed.toString("base64").replace(/^(.{4})/, "$1!"),
+      ].join("\n"),
+    )
+
+    await program.executeAction({
+      input: inputFile,
+      outputDir: outputDir,
+      prefix: "test_",
+      format: "auto",
+      encoding: "auto",
+      verbose: false,
+      debug: false,
+    })
+
+    assert.equal(readFileSync(join(outputDir, "test_1.txt"), "utf8"), testData[0])
+    assert.equal(readFileSync(join(outputDir, "test_2.txt"), "utf8"), testData[0])
+    assert.ok(!existsSync(join(outputDir, "test_3.txt")), "Corrupt line should be skipped")
+
+    const errors = console.error.mock.calls.map((call) => call.arguments.join(" "))
+    assert.ok(
+      errors.some((message) => /line 3: Invalid base64 character "!" at position 5/.test(message)),
+    )
+  })
+
+  it("should produce the same files and statistics with worker threads", async () => {
+    const { setupBatchCommand } = await import("../commands/batch.js")
+
+    const program = mockProgram()
+    setupBatchCommand(program)
+
+    const texts = Array.from({ length: 12 }, (_, i) => `Parallel entry ${i} `.repeat(50 * i + 1))
+    const lines = texts.map((text) => Buffer.from(deflate(text)).toString("base64"))
+    lines.splice(5, 0, "not base64!")
+    writeFileSync(inputFile, lines.join("\n"))
+
+    await program.executeAction({
+      input: inputFile,
+      outputDir: outputDir,
+      prefix: "test_",
+      format: "auto",
+      concurrency: 3,
+      summary: true,
+      verbose: false,
+      debug: false,
+    })
+
+    const written = readdirSync(outputDir)
+    assert.equal(written.length, 12)
+    assert.ok(!written.includes("test_6.txt"), "Invalid line should be skipped")
+    assert.equal(readFileSync(join(outputDir, "test_7.txt"), "utf8"), texts[5])
+    assert.equal(readFileSync(join(outputDir, "test_13.txt"), "utf8"), texts[11])
+
+    const messages = console.error.mock.calls.map((call) => call.arguments.join(" "))
+    assert.ok(messages.includes("  Success: 12"))
+    assert.ok(messages.includes("  Errors: 1"))
+  })
+
+  it("should read keyed CSV rows and name outputs after the key", async () => {
+    const { setupBatchCommand } = await import("../commands/batch.js")
+
+    const program = mockProgram()
+    setupBatchCommand(program)
+
+    const encoded = testData.map((text) => encodeBase64(Buffer.from(deflate(text))))
+    writeFileSync(
+      inputFile,
+      [
+        "# export from orders table",
+        "id,created,payload",
+        `order/17,2024-01-01,${encoded[0]}`,
+        `order-18,2024-01-02,"${encoded[1]}"`,
+        "order-19,2024-01-03,not base64!",
+      ].join("\n"),
+    )
+
+    await program.executeAction({
+      input: inputFile,
+      outputDir: outputDir,
+      prefix: "test_",
+      format: "auto",
+      lineFormat: "csv",
+      header: true,
+      payloadColumn: "payload",
+      keyColumn: "id",
+      comment: "#",
+      verbose: false,
+      debug: false,
+    })
+
+    assert.deepEqual(readdirSync(outputDir).sort(), ["test_order-18.txt", "test_order_17.txt"])
+    assert.equal(readFileSync(join(outputDir, "test_order_17.txt"), "utf8"), testData[0])
+    assert.equal(readFileSync(join(outputDir, "test_order-18.txt"), "utf8"), testData[1])
+
+    const errors = console.error.mock.calls.map((call) => call.arguments.join(" "))
+    assert.ok(errors.some((message) => message.includes("line 5 (order-19):")))
+  })
+
+  it("should not let a keyed name and a numbered name overwrite each other", async () => {
+    const { setupBatchCommand } = await import("../commands/batch.js")
+
+    const program = mockProgram()
+    setupBatchCommand(program)
+
+    // Row 1's key takes test_3.txt before unkeyed row 3 gets to it, and row 4's
+    // key asks for test_2.txt after unkeyed row 2 has written it
+    const texts = ["keyed 3", "numbered 2", "numbered 3", "keyed 2"]
+    const encoded = texts.map((text) => encodeBase64(Buffer.from(deflate(text))))
+    writeFileSync(
+      inputFile,
+      [`3,${encoded[0]}`, `,${encoded[1]}`, `,${encoded[2]}`, `2,${encoded[3]}`].join("\n"),
+    )
+
+    await program.executeAction({
+      input: inputFile,
+      outputDir: outputDir,
+      prefix: "test_",
+      format: "auto",
+      lineFormat: "csv",
+      payloadColumn: "2",
+      keyColumn: "1",
+      sniff: false,
+      verbose: false,
+      debug: false,
+    })
+
+    const files = ["test_3.txt", "test_2.txt", "test_3-2.txt", "test_2-2.txt"]
+    assert.deepEqual(readdirSync(outputDir).sort(), [...files].sort())
+    files.forEach((file, i) => {
+      assert.equal(readFileSync(join(outputDir, file), "utf8"), texts[i])
+    })
+  })
+
+  it("should choose output extensions from the detected content type", async () => {
+    const { setupBatchCommand } = await import("../commands/batch.js")
+
+    const program = mockProgram()
+    setupBatchCommand(program)
+
+    const payloads = [
+      Buffer.from('{"id": 1}'),
+      Buffer.from("89504e470d0a1a0a0000000d49484452", "hex"),
+      Buffer.from([0x00, 0x01, 0x02, 0xff]),
+      Buffer.from("plain text"),
+    ]
+    const lines = payloads.map((data) => encodeBase64(Buffer.from(deflate(data))))
+    writeFileSync(inputFile, lines.join("\n"))
+
+    await program.executeAction({
+      input: inputFile,
+      outputDir: outputDir,
+      prefix: "test_",
+      format: "auto",
+      summary: true,
+      verbose: false,
+      debug: false,
+    })
+
+    assert.deepEqual(readdirSync(outputDir).sort(), [
+      "test_1.json",
+      "test_2.png",
+      "test_3.bin",
+      "test_4.txt",
+    ])
+    assert.deepEqual(readFileSync(join(outputDir, "test_2.png")), payloads[1])
+
+    const messages = console.error.mock.calls.map((call) => call.arguments.join(" "))
+    assert.ok(messages.includes("  Content types: json 1, png 1, binary 1, text 1"))
+  })
+
+  it("should keep .txt names with --no-sniff", async () => {
+    const { setupBatchCommand } = await import("../commands/batch.js")
+
+    const program = mockProgram()
+    setupBatchCommand(program)
+
+    writeFileSync(inputFile, encodeBase64(Buffer.from(deflate('{"id": 1}'))))
+
+    await program.executeAction({
+      input: inputFile,
+      outputDir: outputDir,
+      prefix: "test_",
+      format: "auto",
+      sniff: false,
+      verbose: false,
+      debug: false,
+    })
+
+    assert.deepEqual(readdirSync(outputDir), ["test_1.txt"])
+  })
+
+  it("should write failed lines to a dead-letter file and retry them in place", async () => {
+    const { setupBatchCommand } = await import("../commands/batch.js")
+
+    const program = mockProgram()
+    setupBatchCommand(program)
+
+    const encoded = testData.map((text) => encodeBase64(Buffer.from(deflate(text))))
+    const deadLetterFile = join(testDir, "failed.tsv")
+    const lines = [`a\t${encoded[0]}`, "b\tnot base64!", `c\t${encoded[1]}`]
+    writeFileSync(inputFile, lines.join("\n"))
+
+    const options = {
+      outputDir: outputDir,
+      prefix: "test_",
+      format: "auto",
+      lineFormat: "tsv",
+      deadLetter: deadLetterFile,
+      verbose: false,
+      debug: false,
+    }
+    await program.executeAction({ ...options, input: inputFile })
+
+    assert.equal(readFileSync(deadLetterFile, "utf8"), "b\tnot base64!\n")
+    assert.deepEqual(JSON.parse(readFileSync(`${deadLetterFile}.errors.jsonl`, "utf8")), {
+      line: 2,
+      key: null,
+      category: "encoding",
+      message: 'Invalid base64 character "!" at position 11',
+    })
+
+    // Fix the failed line and re-run only the dead-letter file
+    const retryFile = join(testDir, "retry.tsv")
+    writeFileSync(retryFile, `b\t${encoded[1]}\n`)
+    writeFileSync(`${retryFile}.errors.jsonl`, readFileSync(`${deadLetterFile}.errors.jsonl`))
+
+    await program.executeAction({ ...options, retry: retryFile })
+
+    assert.deepEqual(readdirSync(outputDir).sort(), ["test_1.txt", "test_2.txt", "test_3.txt"])
+    assert.equal(readFileSync(join(outputDir, "test_2.txt"), "utf8"), testData[1])
+    assert.equal(readFileSync(deadLetterFile, "utf8"), "")
+  })
+
+  it("should stop on SIGINT and resume without redoing completed lines", async () => {
+    const { setupBatchCommand } = await import("../commands/batch.js")
+
+    const program = mockProgram()
+    setupBatchCommand(program)
+
+    const texts = ["first", "second", "third"]
+    const lines = texts.map((text) => encodeBase64(Buffer.from(deflate(text))))
+    lines.splice(1, 0, "not base64!")
+    writeFileSync(inputFile, lines.join("\n"))
+
+    const checkpointFile = join(testDir, "batch.checkpoint.json")
+    const deadLetterFile = join(testDir, "batch-failed.txt")
+    const options = {
+      input: inputFile,
+      outputDir: outputDir,
+      prefix: "test_",
+      format: "auto",
+      checkpoint: checkpointFile,
+      deadLetter: deadLetterFile,
+      debug: false,
+    }
+
+    // Press Ctrl-C while line 2 is being processed
+    mock.method(console, "error", (message) => {
+      if (message === "Processing line 2") process.emit("SIGINT")
+    })
+
+    await program.executeAction({ ...options, verbose: true })
+
+    assert.equal(process.exitCode, 130)
+    assert.deepEqual(readdirSync(outputDir), ["test_1.txt"])
+    assert.equal(JSON.parse(readFileSync(checkpointFile, "utf8")).completedThrough, 1)
+
+    mock.method(console, "error", () => {})
+    await program.executeAction({ ...options, resume: true, summary: true })
+
+    assert.deepEqual(readdirSync(outputDir).sort(), ["test_1.txt", "test_3.txt", "test_4.txt"])
+    assert.equal(readFileSync(deadLetterFile, "utf8"), "not base64!\n")
+
+    // Numbered outputs are saved as line ranges, not one name each
+    assert.deepEqual(JSON.parse(readFileSync(checkpointFile, "utf8")).usedNames, {
+      names: [],
+      numbered: [
+        [1, 1],
+        [3, 4],
+      ],
+    })
+
+    const messages = console.error.mock.calls.map((call) => call.arguments.join(" "))
+    assert.ok(messages.includes("  Success: 3"))
+    assert.ok(messages.includes("  Errors: 1"))
+  })
+
+  it("should exit with distinct codes for clean, partial and failed runs", async () => {
+    const { setupBatchCommand } = await import("../commands/batch.js")
+
+    const program = mockProgram()
+    setupBatchCommand(program)
+
+    const options = {
+      input: inputFile,
+      outputDir: outputDir,
+      prefix: "test_",
+      format: "auto",
+      verbose: false,
+      debug: false,
+    }
+
+    await program.executeAction(options)
+    assert.equal(process.exitCode, 0)
+
+    const good = encodeBase64(Buffer.from(deflate("fine")))
+    writeFileSync(inputFile, [good, "bad!"].join("\n"))
+    await program.executeAction(options)
+    assert.equal(process.exitCode, 2)
+
+    writeFileSync(inputFile, ["bad!", "worse!"].join("\n"))
+    await program.executeAction(options)
+    assert.equal(process.exitCode, 1)
+  })
+
+  it("should stop when the error budget is exceeded", async () => {
+    const { setupBatchCommand } = await import("../commands/batch.js")
+
+    const program = mockProgram()
+    setupBatchCommand(program)
+
+    const good = encodeBase64(Buffer.from(deflate("fine")))
+    writeFileSync(inputFile, [good, "bad!", good, "bad!", "bad!", good].join("\n"))
+
+    const options = {
+      input: inputFile,
+      outputDir: outputDir,
+      prefix: "test_",
+      format: "auto",
+      verbose: false,
+      debug: false,
+    }
+
+    await program.executeAction({ ...options, failFast: true })
+    assert.equal(process.exitCode, 1)
+    assert.deepEqual(readdirSync(outputDir), ["test_1.txt"])
+
+    await program.executeAction({ ...options, maxErrors: { count: 2 } })
+    assert.equal(process.exitCode, 1)
+    assert.deepEqual(readdirSync(outputDir).sort(), ["test_1.txt", "test_3.txt"])
+
+    const messages = console.error.mock.calls.map((call) => call.arguments.join(" "))
+    assert.ok(messages.includes("Batch processing stopped by --max-errors 2 after 5 entries"))
+  })
+
+  it("should write outputs into a tar archive under their usual names", async () => {
+    const { setupBatchCommand } = await import("../commands/batch.js")
+
+    const program = mockProgram()
+    setupBatchCommand(program)
+
+    const archivePath = join(testDir, "archive", "batch.tar")
+    const lines = [
+      encodeBase64(Buffer.from(deflate('{"id": 1}'))),
+      "not base64!",
+      encodeBase64(Buffer.from(gzip("report", { header: { name: "report.txt" } }))),
+    ]
+    writeFileSync(inputFile, lines.join("\n"))
+
+    await program.executeAction({
+      input: inputFile,
+      outputDir: archivePath,
+      prefix: "test_",
+      format: "auto",
+      gzipName: true,
+      verbose: false,
+      debug: false,
+    })
+
+    // Walk the tar headers: name at 0, octal size at 124, contents in the next blocks
+    const archive = readFileSync(archivePath)
+    const entries = []
+    for (let offset = 0; archive[offset] !== 0; ) {
+      const name = archive.toString("utf8", offset, offset + 100).replace(/\0.*$/s, "")
+      const size = parseInt(archive.toString("latin1", offset + 124, offset + 136), 8)
+      entries.push([name, archive.toString("utf8", offset + 512, offset + 512 + size)])
+      offset += 512 + Math.ceil(size / 512) * 512
+    }
+
+    assert.deepEqual(entries, [
+      ["test_1.json", '{"id": 1}'],
+      ["report.txt", "report"],
+    ])
+    assert.equal(process.exitCode, 2)
+    assert.ok(!existsSync(outputDir) || readdirSync(outputDir).length === 0)
+  })
+
+  it("should write one JSON record per entry with --jsonl", async () => {
+    const { setupBatchCommand } = await import("../commands/batch.js")
+
+    const program = mockProgram()
+    setupBatchCommand(program)
+
+    const png = Buffer.from("89504e470d0a1a0a0000000d49484452", "hex")
+    const lines = [
+      encodeBase64(Buffer.from(deflate("one\n---\ntwo"))),
+      "not base64!",
+      encodeBase64(Buffer.from(gzip(png))),
+    ]
+    writeFileSync(inputFile, lines.join("\n"))
+
+    // Records are written as strings; the test runner's own output passes through
+    const written = []
+    const write = process.stdout.write.bind(process.stdout)
+    mock.method(process.stdout, "write", (chunk, ...rest) => {
+      if (typeof chunk !== "string") return write(chunk, ...rest)
+      written.push(chunk)
+      return true
+    })
+
+    await program.executeAction({
+      input: inputFile,
+      outputDir: "-",
+      format: "auto",
+      jsonl: true,
+      separator: "\n---\n",
+      verbose: false,
+      debug: false,
+    })
+    mock.restoreAll()
+
+    const records = written.join("").trimEnd().split("\n").map((line) => JSON.parse(line))
+    assert.equal(records.length, 3)
+    assert.deepEqual(records[0], {
+      line: 1,
+      key: null,
+      status: "ok",
+      format: "deflate",
+      compressedSize: Buffer.from(lines[0], "base64").length,
+      decompressedSize: 11,
+      contentType: "text/plain",
+      error: null,
+      errorCategory: null,
+      encoding: "utf8",
+      content: "one\n---\ntwo",
+    })
+    assert.equal(records[1].status, "error")
+    assert.equal(records[1].errorCategory, "encoding")
+    assert.equal(records[1].content, null)
+    assert.equal(records[2].format, "gzip")
+    assert.equal(records[2].encoding, "base64")
+    assert.deepEqual(Buffer.from(records[2].content, "base64"), png)
+  })
+
+  it("should separate stdout output only between written entries", async () => {
+    const { setupBatchCommand } = await import("../commands/batch.js")
+
+    const program = mockProgram()
+    setupBatchCommand(program)
+
+    const encoded = ["one", "two"].map((text) => encodeBase64(Buffer.from(deflate(text))))
+    writeFileSync(
+      inputFile,
+      ["# export", "id,payload", `1,${encoded[0]}`, "2,not base64!", `3,${encoded[1]}`].join("\n"),
+    )
+
+    // Content and separators are collected; the test runner's own output passes through
+    const separator = "\n=====\n"
+    const written = []
+    const write = process.stdout.write.bind(process.stdout)
+    mock.method(process.stdout, "write", (chunk, ...rest) => {
+      if (![separator, "one", "two"].includes(chunk.toString())) return write(chunk, ...rest)
+      written.push(chunk.toString())
+      return true
+    })
+
+    await program.executeAction({
+      input: inputFile,
+      outputDir: "-",
+      format: "auto",
+      lineFormat: "csv",
+      header: true,
+      payloadColumn: "payload",
+      separator,
+      verbose: false,
+      debug: false,
+    })
+    mock.restoreAll()
+
+    assert.equal(written.join(""), `one${separator}two`)
+  })
+
+  it("should list entries in a manifest and write duplicate content once", async () => {
+    const { setupBatchCommand } = await import("../commands/batch.js")
+
+    const program = mockProgram()
+    setupBatchCommand(program)
+
+    const same = encodeBase64(Buffer.from(deflate("same content")))
+    const other = encodeBase64(Buffer.from(gzip("same content")))
+    writeFileSync(inputFile, [same, "not base64!", other].join("\n"))
+
+    await program.executeAction({
+      input: inputFile,
+      outputDir: outputDir,
+      prefix: "test_",
+      format: "auto",
+      dedup: true,
+      summary: true,
+      verbose: false,
+      debug: false,
+    })
+
+    assert.deepEqual(readdirSync(outputDir).sort(), ["manifest.json", "test_1.txt"])
+
+    const manifest = JSON.parse(readFileSync(join(outputDir, "manifest.json"), "utf8"))
+    assert.deepEqual(
+      manifest.map((record) => [record.line, record.status, record.path, record.duplicateOf]),
+      [
+        [1, "ok", "test_1.txt", null],
+        [2, "error", null, null],
+        [3, "ok", "test_1.txt", 1],
+      ],
+    )
+    assert.equal(manifest[0].sha256, manifest[2].sha256)
+    assert.deepEqual(manifest.map((record) => record.format), ["deflate", null, "gzip"])
+    assert.equal(manifest[2].decompressedSize, 12)
+
+    const messages = console.error.mock.calls.map((call) => call.arguments.join(" "))
+    assert.ok(messages.includes("    Duplicates: 1 (written once)"))
+  })
 })
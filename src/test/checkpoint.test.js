@@ -0,0 +1,78 @@
+import { describe, it, afterEach, mock } from "node:test"
+import { strict as assert } from "node:assert"
+import { fileURLToPath } from "url"
+import { dirname, join } from "path"
+import { mkdirSync, readdirSync, rmSync, writeFileSync } from "fs"
+import {
+  openCheckpoint,
+  readCheckpoint,
+  watchInterrupt,
+  writeCheckpoint,
+} from "../lib/checkpoint.js"
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+
+describe("Checkpoint", () => {
+  const testDir = join(__dirname, "test-data", "checkpoint")
+  const checkpointFile = join(testDir, "run.checkpoint.json")
+
+  afterEach(() => {
+    rmSync(testDir, { recursive: true, force: true })
+    mock.restoreAll()
+  })
+
+  it("should write checkpoints atomically and read them back", async () => {
+    mkdirSync(testDir, { recursive: true })
+    await writeCheckpoint(checkpointFile, { version: 1, completedThrough: 4 })
+
+    assert.deepEqual(await readCheckpoint(checkpointFile), { version: 1, completedThrough: 4 })
+    assert.deepEqual(readdirSync(testDir), ["run.checkpoint.json"])
+    assert.equal(await readCheckpoint(join(testDir, "missing.json")), null)
+
+    writeFileSync(checkpointFile, "{")
+    await assert.rejects(readCheckpoint(checkpointFile), /Invalid checkpoint/)
+  })
+
+  it("should resume the same run and merge its statistics", async () => {
+    const input = join(testDir, "input.txt")
+    const first = await openCheckpoint({ checkpoint: checkpointFile, input }, "batch", {
+      successCount: 0,
+    })
+    first.state.stats.successCount = 3
+    first.onSave(() => ({ extra: "saved" }))
+    await first.progress(2)
+    await first.flush()
+
+    const stats = { successCount: 0, errorCount: 0 }
+    const resumed = await openCheckpoint(
+      { checkpoint: checkpointFile, input, resume: true },
+      "batch",
+      stats,
+    )
+
+    assert.equal(resumed.resumed, true)
+    assert.deepEqual(stats, { successCount: 3, errorCount: 0 })
+    assert.equal(resumed.state.extra, "saved")
+    assert.equal(resumed.skip(2), true)
+    assert.equal(resumed.skip(3), false)
+
+    await assert.rejects(
+      openCheckpoint({ checkpoint: checkpointFile, input, resume: true }, "parse-json", {}),
+      /belongs to "batch"/,
+    )
+    await assert.rejects(openCheckpoint({ resume: true }, "batch", {}), /--resume needs/)
+  })
+
+  it("should flag the first SIGINT and stop listening once disposed", () => {
+    mock.method(console, "error", () => {})
+    const before = process.listenerCount("SIGINT")
+
+    const interrupt = watchInterrupt()
+    assert.equal(interrupt.interrupted, false)
+    process.emit("SIGINT")
+    assert.equal(interrupt.interrupted, true)
+
+    interrupt.dispose()
+    assert.equal(process.listenerCount("SIGINT"), before)
+  })
+})
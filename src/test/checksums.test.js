@@ -0,0 +1,21 @@
+import { describe, it } from "node:test"
+import { strict as assert } from "node:assert"
+import { adler32, crc32 } from "../lib/checksums.js"
+
+describe("Checksums", () => {
+  const data = Buffer.from("123456789")
+
+  it("should compute the standard CRC-32 and continue from a previous value", () => {
+    assert.equal(crc32(data), 0xcbf43926)
+    assert.equal(crc32(Buffer.alloc(0)), 0)
+    assert.equal(crc32(data.subarray(4), crc32(data.subarray(0, 4))), 0xcbf43926)
+  })
+
+  it("should compute the standard Adler-32 and continue from a previous value", () => {
+    assert.equal(adler32(Buffer.from("Wikipedia")), 0x11e60398)
+    assert.equal(adler32(Buffer.alloc(0)), 1)
+
+    const large = Buffer.alloc(20000, 0xff)
+    assert.equal(adler32(large.subarray(7000), adler32(large.subarray(0, 7000))), adler32(large))
+  })
+})
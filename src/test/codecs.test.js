@@ -0,0 +1,96 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test"
+import { strict as assert } from "node:assert"
+import { brotliCompressSync, deflateRawSync } from "zlib"
+import { randomBytes } from "crypto"
+import LZString from "lz-string"
+import { decompressWithInfo } from "../lib/decompressor.js"
+import { compressData } from "../lib/compressor.js"
+import { decodeBase64 } from "../lib/encoding.js"
+import {
+  registerCodec,
+  getCodec,
+  listFormats,
+  detectCodec,
+  describeFormatOption,
+} from "../lib/codecs/index.js"
+
+describe("Codec Registry", () => {
+  const testData = "<html><body>Codec registry test</body></html>".repeat(20)
+
+  beforeEach(() => {
+    mock.method(console, "error", () => {})
+  })
+
+  afterEach(() => {
+    mock.restoreAll()
+  })
+
+  it("should list the built-in formats", () => {
+    const formats = listFormats()
+    for (const format of ["gzip", "deflate", "raw", "brotli", "lz-string", "lz-string-base64"]) {
+      assert.ok(formats.includes(format), `${format} should be registered`)
+    }
+    assert.match(describeFormatOption(), /^compression format \(auto, gzip/)
+  })
+
+  it("should decode brotli with -f brotli only", async () => {
+    const compressed = brotliCompressSync(testData)
+    const result = await decompressWithInfo(compressed, { format: "brotli" })
+    assert.equal(result.format, "brotli")
+    assert.equal(result.data.toString(), testData)
+    assert.equal(detectCodec(compressed).codec.name, "raw")
+  })
+
+  it("should decode raw deflate payloads in auto mode", async () => {
+    // Many of these also pass a brotli trial decode of their leading bytes
+    for (let i = 0; i < 300; i++) {
+      const text = randomBytes(200 + (i % 50) * 20).toString("hex")
+      const compressed = deflateRawSync(text)
+      const result = await decompressWithInfo(compressed, { format: "auto" })
+      assert.equal(result.format, "raw", `payload ${i} should be detected as raw`)
+      assert.equal(result.data.toString(), text, `payload ${i} should decode`)
+    }
+  })
+
+  it("should decode LZ-String text variants with -f only", async () => {
+    const base64 = Buffer.from(LZString.compressToBase64(testData))
+    const uri = Buffer.from(LZString.compressToEncodedURIComponent(testData + "~"))
+    assert.equal(detectCodec(base64).codec.name, "raw")
+    assert.equal(detectCodec(Buffer.from("SGVsbG8sIHdvcmxkIQ==")).codec.name, "raw")
+
+    const fromBase64 = await decompressWithInfo(base64, { format: "lz-string-base64" })
+    assert.equal(fromBase64.format, "lz-string-base64")
+    assert.equal(fromBase64.data.toString(), testData)
+
+    const fromUri = await decompressWithInfo(uri, { format: "lz-string-uri" })
+    assert.equal(fromUri.data.toString(), testData + "~")
+  })
+
+  it("should decode base64-decoded LZ-String batch lines as a bit stream", async () => {
+    const line = LZString.compressToBase64(testData)
+    const result = await decompressWithInfo(decodeBase64(line), { format: "lz-string" })
+    assert.equal(result.data.toString(), testData)
+  })
+
+  it("should round-trip every encodable codec", async () => {
+    for (const format of listFormats({ encodable: true })) {
+      const compressed = await compressData(testData, { format })
+      const result = await decompressWithInfo(compressed, { format })
+      assert.equal(result.data.toString(), testData, `${format} should round-trip`)
+    }
+  })
+
+  it("should accept custom codecs", async () => {
+    registerCodec({
+      name: "reverse",
+      description: "reversed bytes (test codec)",
+      priority: 0,
+      decode: (input) => ({ data: Buffer.from(input).reverse(), failure: null }),
+    })
+
+    const result = await decompressWithInfo(Buffer.from("!olleh"), { format: "reverse" })
+    assert.equal(result.data.toString(), "hello!")
+    assert.equal(detectCodec(Buffer.from("!olleh")).codec.name, "raw")
+    assert.throws(() => getCodec("missing"), /Unsupported format: missing \(available: /)
+  })
+})
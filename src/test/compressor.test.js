@@ -0,0 +1,57 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test"
+import { strict as assert } from "node:assert"
+import { Readable } from "stream"
+import { compressData, createCompressTransform } from "../lib/compressor.js"
+import { decompressData } from "../lib/decompressor.js"
+import { decodeBase64 } from "../lib/encoding.js"
+import { UsageError } from "../lib/errors.js"
+
+describe("Compressor", () => {
+  const testData = "Hello, world! ".repeat(50)
+
+  beforeEach(() => {
+    mock.method(console, "error", () => {})
+  })
+
+  afterEach(() => {
+    mock.restoreAll()
+  })
+
+  it("should round-trip every format through decompressData", async () => {
+    for (const format of ["deflate", "raw", "gzip"]) {
+      const compressed = await compressData(testData, { format })
+      const result = await decompressData(compressed, { format })
+      assert.equal(Buffer.from(result).toString(), testData, `${format} should round-trip`)
+    }
+  })
+
+  it("should produce base64 output", async () => {
+    const encoded = await compressData(testData, { format: "gzip", base64: true })
+    assert.equal(typeof encoded, "string")
+
+    const result = await decompressData(decodeBase64(encoded), { format: "auto" })
+    assert.equal(Buffer.from(result).toString(), testData)
+  })
+
+  it("should honour the compression level", async () => {
+    const stored = await compressData(testData, { level: 0 })
+    const best = await compressData(testData, { level: 9 })
+    assert.ok(stored.length > best.length, "Level 0 output should be larger than level 9")
+  })
+
+  it("should reject an invalid compression level as a usage error", async () => {
+    await assert.rejects(compressData(testData, { level: 12 }), /Invalid compression level/)
+    await assert.rejects(compressData(testData, { level: 12 }), UsageError)
+  })
+
+  it("should stream base64 output that joins into a valid payload", async () => {
+    const chunks = testData.match(/.{1,5}/g).map((part) => Buffer.from(part))
+    const output = []
+    for await (const chunk of createCompressTransform({ base64: true })(Readable.from(chunks))) {
+      output.push(chunk)
+    }
+
+    const result = await decompressData(decodeBase64(output.join("")), { format: "deflate" })
+    assert.equal(Buffer.from(result).toString(), testData)
+  })
+})
@@ -0,0 +1,64 @@
+import { describe, it } from "node:test"
+import { strict as assert } from "node:assert"
+import { sniffContentType } from "../lib/contentSniffer.js"
+
+describe("Content sniffing", () => {
+  it("should recognise binary formats by their magic numbers", () => {
+    const png = Buffer.from("89504e470d0a1a0a0000000d49484452", "hex")
+    const tar = Buffer.alloc(512)
+    tar.write("ustar", 257)
+
+    assert.equal(sniffContentType(png).extension, ".png")
+    assert.equal(sniffContentType(Buffer.from("%PDF-1.7\n")).type, "pdf")
+    assert.equal(sniffContentType(tar).type, "tar")
+    assert.equal(sniffContentType(Buffer.from("RIFF\0\0\0\0WEBPVP8 ")).type, "webp")
+  })
+
+  it("should only take ID3 for an MP3 tag when its header is valid", () => {
+    const mp3 = Buffer.from("494433040000000000230000", "hex")
+
+    assert.equal(sniffContentType(mp3).type, "mp3")
+    assert.equal(sniffContentType("ID3 tags are metadata in MP3 files").type, "text")
+  })
+
+  it("should check large JSON documents without parsing them", () => {
+    const items = Array.from({ length: 5000 }, (_, i) => ({ id: i, name: `item ${i}` }))
+    const json = JSON.stringify(items)
+    assert.ok(json.length > 64 * 1024)
+
+    assert.equal(sniffContentType(json).type, "json")
+    assert.equal(sniffContentType(`{"items": ${json}}\n`).type, "json")
+    assert.equal(sniffContentType(`[see notes] ${"x".repeat(70000)}`).type, "text")
+  })
+
+  it("should classify JSON, HTML, XML and SVG text", () => {
+    assert.equal(sniffContentType('\uFEFF {"items": [1, 2]}').type, "json")
+    assert.equal(sniffContentType("{not json").type, "text")
+    assert.equal(sniffContentType("<!DOCTYPE html>\n<html><body></body></html>").type, "html")
+    assert.equal(sniffContentType('<div class="product"><h1>Lamp</h1></div>').type, "html")
+    assert.equal(sniffContentType("<body><p>hello</p></body>").type, "html")
+    assert.equal(sniffContentType('<head><meta charset="utf-8"><title>Lamp</title>').type, "html")
+    assert.equal(sniffContentType("<p>hello</p>").type, "html")
+    assert.equal(sniffContentType('<?xml version="1.0"?>\n<feed></feed>').type, "xml")
+    assert.equal(sniffContentType("<orders><order id='1'/></orders>\n").type, "xml")
+    assert.equal(sniffContentType('<svg xmlns="http://www.w3.org/2000/svg"></svg>').type, "svg")
+    assert.equal(sniffContentType("<b>bold</b> and more text").type, "text")
+  })
+
+  it("should tell text from binary", () => {
+    const text = sniffContentType("plain text\twith tabs\nand lines, café")
+    assert.deepEqual(text, {
+      type: "text",
+      extension: ".txt",
+      mimeType: "text/plain",
+      binary: false,
+    })
+
+    const binary = sniffContentType(Buffer.from([0x00, 0x13, 0x37, 0xfe, 0xff]))
+    assert.equal(binary.extension, ".bin")
+    assert.equal(binary.binary, true)
+
+    // A multi-byte character split at the sample boundary is still text
+    assert.equal(sniffContentType("é".repeat(5000)).type, "text")
+  })
+})
@@ -1,7 +1,9 @@
 import { describe, it, beforeEach, afterEach } from "node:test"
 import { strict as assert } from "node:assert"
 import { deflate, deflateRaw, gzip } from "pako"
-import { decompressData } from "../lib/decompressor.js"
+import { decompressData, decompressWithInfo } from "../lib/decompressor.js"
+import { createOutputLimits } from "../lib/limits.js"
+import { LimitExceededError } from "../lib/errors.js"
 
 describe("Decompressor", () => {
   const testData = "Hello, world!"
@@ -53,4 +55,99 @@ describe("Decompressor", () => {
     const result = await decompressData(compressedDeflate, options)
     assert.equal(result, testData)
   })
+
+  it("should abort when the per-entry output limit is crossed", async () => {
+    const bomb = gzip(new Uint8Array(10 * 1024 * 1024))
+    const options = { format: "auto", limits: createOutputLimits({ maxOutput: 1024 * 1024 }) }
+
+    await assert.rejects(decompressData(bomb, options), (error) => {
+      assert.ok(error instanceof LimitExceededError)
+      assert.equal(error.limit, "maxOutput")
+      return true
+    })
+  })
+
+  it("should abort when the expansion ratio is crossed", async () => {
+    const options = { format: "deflate", limits: createOutputLimits({ maxRatio: 1.5 }) }
+
+    await assert.rejects(decompressData(deflate("a".repeat(1000)), options), /ratio/)
+  })
+
+  it("should enforce the total output limit across entries", async () => {
+    const options = { format: "deflate", limits: createOutputLimits({ maxTotalOutput: 20 }) }
+
+    await decompressData(compressedDeflate, options)
+    await assert.rejects(decompressData(compressedDeflate, options), LimitExceededError)
+  })
+
+  it("should reject truncated data without recovery mode", async () => {
+    const truncated = gzip("Truncated payload ".repeat(5000)).subarray(0, 150)
+
+    await assert.rejects(decompressData(truncated, { format: "auto" }), /Unexpected end/)
+  })
+
+  it("should salvage partial output from truncated data in recovery mode", async () => {
+    const original = "Truncated payload ".repeat(5000)
+    const truncated = gzip(original).subarray(0, 150)
+
+    const result = await decompressWithInfo(truncated, { format: "auto", recover: true })
+
+    assert.equal(result.partial, true)
+    assert.equal(result.errorOffset, 150)
+    assert.match(result.errorMessage, /Unexpected end/)
+    assert.ok(result.data.length > 0, "Some output should be recovered")
+    assert.ok(original.startsWith(result.data.toString()), "Recovered output should be a prefix")
+  })
+
+  it("should report a complete stream as not partial", async () => {
+    const result = await decompressWithInfo(compressedGzip, { format: "auto", recover: true })
+
+    assert.equal(result.partial, false)
+    assert.equal(result.format, "gzip")
+  })
+
+  it("should return the gzip header metadata", async () => {
+    const compressed = gzip(testData, {
+      header: { name: "page.html", time: 1700000000, os: 3, comment: "capture", extra: [1, 2] },
+    })
+    const result = await decompressWithInfo(compressed, { format: "auto" })
+
+    assert.equal(result.header.name, "page.html")
+    assert.equal(result.header.mtime.getTime(), 1700000000 * 1000)
+    assert.equal(result.header.os, "Unix")
+    assert.equal(result.header.comment, "capture")
+    assert.deepEqual([...result.header.extra], [1, 2])
+  })
+
+  it("should return no header for non-gzip formats", async () => {
+    const result = await decompressWithInfo(compressedDeflate, { format: "deflate" })
+    assert.equal(result.header, null)
+  })
+
+  it("should decode every concatenated gzip member", async () => {
+    const longText = "Rotated log line. ".repeat(5000)
+    const input = Buffer.concat([gzip(longText), gzip(testData), gzip(longText)])
+    const result = await decompressWithInfo(input, { format: "auto" })
+
+    assert.equal(result.data.toString(), longText + testData + longText)
+    assert.equal(result.members, 3)
+    assert.equal(result.trailingBytes, 0)
+  })
+
+  it("should report trailing garbage instead of failing", async () => {
+    const input = Buffer.concat([compressedGzip, Buffer.from("garbage")])
+    const result = await decompressWithInfo(input, { format: "auto" })
+
+    assert.equal(result.data.toString(), testData)
+    assert.equal(result.trailingBytes, 7)
+  })
+
+  it("should reject trailing bytes in strict mode", async () => {
+    const input = Buffer.concat([compressedDeflate, Buffer.alloc(4)])
+    await assert.rejects(
+      decompressData(input, { format: "deflate", strict: true }),
+      /Unexpected 4 trailing bytes after end of compressed stream at input byte/,
+    )
+  })
 })
+
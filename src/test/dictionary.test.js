@@ -0,0 +1,52 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test"
+import { strict as assert } from "node:assert"
+import { deflate, deflateRaw } from "pako"
+import { decompressData } from "../lib/decompressor.js"
+import { detectFormat } from "../lib/formatDetector.js"
+import { adler32 } from "../lib/checksums.js"
+
+describe("Preset Dictionaries", () => {
+  const sharedDictionary = Buffer.from('<div class="product"><span class="price">')
+  const otherDictionary = Buffer.from("unrelated dictionary contents")
+  const testHtml = '<div class="product"><span class="price">$4.99</span></div>'
+
+  // Dictionaries as loadDictionaries would return them
+  const dictionaries = [otherDictionary, sharedDictionary].map((data, index) => ({
+    path: `dictionary-${index}`,
+    id: adler32(data),
+    data,
+  }))
+
+  beforeEach(() => {
+    mock.method(console, "error", () => {})
+  })
+
+  afterEach(() => {
+    mock.restoreAll()
+  })
+
+  it("should compute the id zlib writes into the header", () => {
+    const compressed = deflate(testHtml, { dictionary: sharedDictionary })
+    assert.equal(detectFormat(compressed).dictionaryId, adler32(sharedDictionary))
+  })
+
+  it("should pick the dictionary matching the header id", async () => {
+    const compressed = deflate(testHtml, { dictionary: sharedDictionary })
+    const result = await decompressData(compressed, { format: "auto", dictionaries })
+    assert.equal(result.toString(), testHtml)
+  })
+
+  it("should use the first dictionary for raw deflate", async () => {
+    const compressed = deflateRaw(testHtml, { dictionary: otherDictionary })
+    const result = await decompressData(compressed, { format: "raw", dictionaries })
+    assert.equal(result.toString(), testHtml)
+  })
+
+  it("should name the missing dictionary id", async () => {
+    const compressed = deflate(testHtml, { dictionary: sharedDictionary })
+    await assert.rejects(
+      decompressData(compressed, { format: "auto", dictionaries: [dictionaries[0]] }),
+      /Preset dictionary 0x[0-9a-f]{8} required/,
+    )
+  })
+})
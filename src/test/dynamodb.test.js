@@ -0,0 +1,53 @@
+import { describe, it } from "node:test"
+import { strict as assert } from "node:assert"
+import { unmarshallItem, unmarshallValue } from "../lib/dynamodb.js"
+
+describe("DynamoDB unmarshalling", () => {
+  it("should convert scalar attribute types", () => {
+    assert.equal(unmarshallValue({ S: "text" }), "text")
+    assert.equal(unmarshallValue({ N: "42" }), 42)
+    assert.equal(unmarshallValue({ N: "-1.5e3" }), -1500)
+    assert.equal(unmarshallValue({ BOOL: false }), false)
+    assert.equal(unmarshallValue({ NULL: true }), null)
+    assert.deepEqual(unmarshallValue({ B: "aGk=" }), Buffer.from("hi"))
+  })
+
+  it("should keep integers that do not fit a double as strings", () => {
+    assert.equal(unmarshallValue({ N: "12345678901234567890" }), "12345678901234567890")
+    assert.equal(unmarshallValue({ N: "9007199254740991" }), 9007199254740991)
+  })
+
+  it("should convert sets, lists and maps recursively", () => {
+    const item = unmarshallItem({
+      tags: { SS: ["a", "b"] },
+      sizes: { NS: ["1", "2.5"] },
+      blobs: { BS: ["AAE=", "/w=="] },
+      history: { L: [{ N: "1" }, { M: { note: { S: "x" } } }, { NULL: true }] },
+      product: { M: { id: { S: "p-1" }, price: { N: "4.99" } } },
+    })
+
+    assert.deepEqual(item, {
+      tags: ["a", "b"],
+      sizes: [1, 2.5],
+      blobs: [Buffer.from([0, 1]), Buffer.from([255])],
+      history: [1, { note: "x" }, null],
+      product: { id: "p-1", price: 4.99 },
+    })
+  })
+
+  it("should unwrap Value wrappers and leave plain values alone", () => {
+    const item = unmarshallItem({
+      id: { Value: "test-id" },
+      product: { Value: { compressed: { Value: true }, name: { Value: "Name" } } },
+      plain: "as is",
+      count: 3,
+    })
+
+    assert.deepEqual(item, {
+      id: "test-id",
+      product: { compressed: true, name: "Name" },
+      plain: "as is",
+      count: 3,
+    })
+  })
+})
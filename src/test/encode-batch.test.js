@@ -0,0 +1,109 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test"
+import { strict as assert } from "node:assert"
+import { fileURLToPath } from "url"
+import { dirname, join } from "path"
+import { readFileSync, writeFileSync, mkdirSync, rmSync, existsSync, promises } from "fs"
+import { inflate } from "pako"
+import { decodeBase64 } from "../lib/encoding.js"
+
+// Mock the commander program
+function mockProgram() {
+  return {
+    command: function () {
+      return this
+    },
+    description: function () {
+      return this
+    },
+    requiredOption: function () {
+      return this
+    },
+    option: function () {
+      return this
+    },
+    action: function (callback) {
+      this.actionCallback = callback
+      return this
+    },
+    executeAction: function (options) {
+      return this.actionCallback(options)
+    },
+  }
+}
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+describe("Encode Batch Command", () => {
+  const testDir = join(__dirname, "test-data-encode")
+  const inputDir = join(testDir, "input")
+  const outputFile = join(testDir, "batch.txt")
+
+  beforeEach(() => {
+    mkdirSync(inputDir, { recursive: true })
+
+    // File names sort numerically, so 10 comes after 2
+    writeFileSync(join(inputDir, "entry_2.txt"), "second")
+    writeFileSync(join(inputDir, "entry_10.txt"), "third")
+    writeFileSync(join(inputDir, "entry_1.txt"), "first")
+
+    mock.method(console, "log", () => {})
+    mock.method(console, "error", () => {})
+  })
+
+  afterEach(() => {
+    if (existsSync(testDir)) {
+      rmSync(testDir, { recursive: true, force: true })
+    }
+
+    mock.restoreAll()
+    process.exitCode = undefined
+  })
+
+  it("should encode a directory into one base64 line per file", async () => {
+    const { setupEncodeBatchCommand } = await import("../commands/encode-batch.js")
+
+    const program = mockProgram()
+    setupEncodeBatchCommand(program)
+
+    await program.executeAction({
+      inputDir,
+      output: outputFile,
+      format: "deflate",
+      verbose: false,
+      debug: false,
+    })
+
+    const lines = readFileSync(outputFile, "utf8").trim().split("\n")
+    assert.equal(lines.length, 3, "Batch file should contain one line per input file")
+
+    const decoded = lines.map((line) => Buffer.from(inflate(decodeBase64(line))).toString())
+    assert.deepEqual(decoded, ["first", "second", "third"])
+  })
+
+  it("should leave an empty line for a file that cannot be read", async () => {
+    const { setupEncodeBatchCommand } = await import("../commands/encode-batch.js")
+
+    const program = mockProgram()
+    setupEncodeBatchCommand(program)
+
+    const readFile = promises.readFile
+    mock.method(promises, "readFile", (filePath, ...args) =>
+      filePath.endsWith("entry_2.txt")
+        ? Promise.reject(new Error("EACCES: permission denied"))
+        : readFile(filePath, ...args),
+    )
+
+    await program.executeAction({ inputDir, output: outputFile, format: "deflate" })
+
+    const lines = readFileSync(outputFile, "utf8").split("\n")
+    assert.equal(lines.length, 4)
+    assert.equal(lines[1], "")
+    assert.equal(Buffer.from(inflate(decodeBase64(lines[2]))).toString(), "third")
+    assert.equal(process.exitCode, 2)
+
+    await program.executeAction({ inputDir, output: outputFile, format: "deflate", failFast: true })
+    assert.equal(readFileSync(outputFile, "utf8").split("\n").length, 3)
+    assert.equal(process.exitCode, 1)
+  })
+})
@@ -0,0 +1,69 @@
+import { describe, it } from "node:test"
+import { strict as assert } from "node:assert"
+import {
+  decodeBase64,
+  decodeBase64Url,
+  decodeHex,
+  decodeDataUri,
+  decodePercentBase64,
+  decodePayload,
+  detectEncoding,
+} from "../lib/encoding.js"
+import { EncodingError } from "../lib/errors.js"
+
+describe("Encoding", () => {
+  const bytes = Buffer.from([0x78, 0x9c, 0xfb, 0xff, 0x3e, 0x00, 0x01])
+  const base64 = bytes.toString("base64") // eJz7/z4AAQ==
+
+  it("should decode valid base64 with or without padding", () => {
+    assert.deepEqual(decodeBase64(base64), bytes)
+    assert.deepEqual(decodeBase64(base64.replace(/=+$/, "")), bytes)
+  })
+
+  it("should report the position of an invalid base64 character", () => {
+    assert.throws(
+      () => decodeBase64("eJz7/z4!AQ=="),
+      (error) =>
+        error instanceof EncodingError &&
+        error.position === 7 &&
+        /Invalid base64 character "!" at position 8/.test(error.message),
+    )
+  })
+
+  it("should skip the whitespace of line-wrapped base64", () => {
+    assert.deepEqual(decodeBase64(`${base64.slice(0, 4)}\n${base64.slice(4)}\n`), bytes)
+    assert.deepEqual(decodeBase64(` ${base64.replace(/=+$/, "")}\r\n`), bytes)
+    assert.deepEqual(decodeBase64Url(`${bytes.toString("base64url")}\n`), bytes)
+    assert.throws(() => decodeBase64("eJz7\n/z!"), /Invalid base64 character "!" at position 8/)
+  })
+
+  it("should reject padding in the middle and impossible lengths", () => {
+    assert.throws(() => decodeBase64("eJ==z7/z"), /Invalid base64 character "=" at position 3/)
+    assert.throws(() => decodeBase64("eJz7/"), /Invalid base64 length: 5 characters/)
+  })
+
+  it("should decode base64url, hex, data URIs and percent-encoded base64", () => {
+    assert.deepEqual(decodeBase64Url(bytes.toString("base64url")), bytes)
+    assert.deepEqual(decodeHex(bytes.toString("hex")), bytes)
+    assert.deepEqual(decodeDataUri(`data:application/octet-stream;base64,${base64}`), bytes)
+    assert.deepEqual(decodeDataUri("data:,%78%9c%fb%ff%3e%00%01"), bytes)
+    assert.deepEqual(decodePercentBase64(encodeURIComponent(base64)), bytes)
+  })
+
+  it("should report positions relative to the whole data URI", () => {
+    assert.throws(() => decodeDataUri("data:;base64,eJz7*"), /at position 18/)
+    assert.throws(() => decodeHex("789cZZ"), /Invalid hex character "Z" at position 5/)
+  })
+
+  it("should detect the encoding in auto mode", () => {
+    assert.equal(detectEncoding(base64), "base64")
+    assert.equal(detectEncoding("eJz7_z4AAQ"), "base64url")
+    assert.equal(detectEncoding(bytes.toString("hex")), "hex")
+    assert.equal(detectEncoding(`data:;base64,${base64}`), "data-uri")
+    assert.equal(detectEncoding(encodeURIComponent(base64)), "percent")
+
+    const result = decodePayload(bytes.toString("hex"), "auto")
+    assert.equal(result.encoding, "hex")
+    assert.deepEqual(result.data, bytes)
+  })
+})
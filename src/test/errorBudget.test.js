@@ -0,0 +1,49 @@
+import { describe, it } from "node:test"
+import { strict as assert } from "node:assert"
+import { createErrorBudget, parseMaxErrors } from "../lib/errorBudget.js"
+import { EXIT_CODES, exitCodeForError, exitCodeForRun } from "../lib/exitCodes.js"
+import { UsageError } from "../lib/errors.js"
+
+describe("Error budget and exit codes", () => {
+  it("should parse counts and percentages", () => {
+    assert.deepEqual(parseMaxErrors("10"), { count: 10 })
+    assert.deepEqual(parseMaxErrors("0"), { count: 0 })
+    assert.deepEqual(parseMaxErrors("2.5%"), { percent: 2.5 })
+    assert.throws(() => parseMaxErrors("1.5"), /Invalid error budget/)
+    assert.throws(() => parseMaxErrors("0%"), /Invalid error budget/)
+    assert.throws(() => parseMaxErrors("ten"), /Invalid error budget/)
+  })
+
+  it("should stop after a count of errors, or the first with --fail-fast", () => {
+    const budget = createErrorBudget({ maxErrors: { count: 2 } })
+    assert.equal(budget.exceeded({ errorCount: 2, totalProcessed: 2 }), false)
+    assert.equal(budget.exceeded({ errorCount: 3, totalProcessed: 3 }), true)
+
+    const failFast = createErrorBudget({ failFast: true })
+    assert.equal(failFast.option, "--fail-fast")
+    assert.equal(failFast.exceeded({ errorCount: 1, totalProcessed: 1 }), true)
+
+    assert.equal(createErrorBudget({}), null)
+  })
+
+  it("should only apply a percentage once enough entries have been handled", () => {
+    const budget = createErrorBudget({ maxErrors: { percent: 10 } })
+
+    // One failure in the first few entries is not enough to stop the run...
+    assert.equal(budget.exceeded({ errorCount: 1, totalProcessed: 2 }), false)
+    // ...but is checked over the whole run when it finishes
+    assert.equal(budget.exceeded({ errorCount: 1, totalProcessed: 2 }, true), true)
+    assert.equal(budget.exceeded({ errorCount: 1, totalProcessed: 10 }), false)
+    assert.equal(budget.exceeded({ errorCount: 2, totalProcessed: 10 }), true)
+  })
+
+  it("should choose exit codes from run statistics and errors", () => {
+    assert.equal(exitCodeForRun({ successCount: 3, errorCount: 0 }), EXIT_CODES.success)
+    assert.equal(exitCodeForRun({ successCount: 2, errorCount: 1 }), EXIT_CODES.partial)
+    assert.equal(exitCodeForRun({ successCount: 0, errorCount: 3 }), EXIT_CODES.failure)
+    assert.equal(exitCodeForRun({ successCount: 2, errorCount: 1 }, true), EXIT_CODES.failure)
+
+    assert.equal(exitCodeForError(new UsageError("bad options")), EXIT_CODES.usage)
+    assert.equal(exitCodeForError(new Error("disk full")), EXIT_CODES.failure)
+  })
+})
@@ -0,0 +1,118 @@
+import { describe, it, beforeEach, afterEach } from "node:test"
+import { strict as assert } from "node:assert"
+import { fileURLToPath } from "url"
+import { dirname, join } from "path"
+import { mkdirSync, rmSync, writeFileSync } from "fs"
+import {
+  collectRename,
+  deletePath,
+  getPath,
+  loadFieldMapping,
+  parseFieldList,
+  parseFieldPath,
+  renameFields,
+  selectFields,
+  setPath,
+} from "../lib/fieldMapping.js"
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+describe("Field mapping", () => {
+  const testDir = join(__dirname, "test-data", "field-mapping")
+
+  beforeEach(() => {
+    mkdirSync(testDir, { recursive: true })
+  })
+
+  afterEach(() => {
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  it("should parse dot, JSONPath and bracket paths", () => {
+    assert.deepEqual(parseFieldPath("body"), ["body"])
+    assert.deepEqual(parseFieldPath("snapshot.html"), ["snapshot", "html"])
+    assert.deepEqual(parseFieldPath("$.pages[0].html"), ["pages", "0", "html"])
+    assert.deepEqual(parseFieldPath("meta['content-type']"), ["meta", "content-type"])
+    assert.throws(() => parseFieldPath("snapshot..html"), /Invalid field path/)
+    assert.throws(() => parseFieldPath("$"), /Invalid field path/)
+  })
+
+  it("should parse field lists and renames", () => {
+    assert.deepEqual(parseFieldList("id, snapshot.url"), ["id", "snapshot.url"])
+    assert.deepEqual(collectRename("pk=id", collectRename("a.b=c")), { "a.b": "c", pk: "id" })
+    assert.throws(() => collectRename("pk"), /expected from=to/)
+  })
+
+  it("should read, set and delete nested values", () => {
+    const item = { snapshot: { html: "x" }, pages: [{ html: "y" }] }
+    assert.equal(getPath(item, ["pages", "0", "html"]), "y")
+    assert.equal(getPath(item, ["snapshot", "html", "deeper"]), undefined)
+
+    setPath(item, ["meta", "source"], "export")
+    assert.deepEqual(item.meta, { source: "export" })
+    assert.equal(deletePath(item, ["snapshot", "html"]), "x")
+    assert.equal(deletePath(item, ["missing", "field"]), undefined)
+    assert.deepEqual(item.snapshot, {})
+  })
+
+  it("should return null when no mapping is configured", async () => {
+    assert.equal(await loadFieldMapping({ format: "auto" }), null)
+  })
+
+  it("should combine a mapping file with command line options", async () => {
+    const mappingFile = join(testDir, "mapping.json")
+    const mapping = { payload: "body", drop: ["debug"], rename: { pk: "id" } }
+    writeFileSync(mappingFile, JSON.stringify(mapping))
+
+    const loaded = await loadFieldMapping({
+      mapping: mappingFile,
+      payload: ["snapshot.html"],
+      drop: ["trace"],
+    })
+    assert.deepEqual(loaded, {
+      payloads: [
+        { name: "body", path: ["body"] },
+        { name: "snapshot.html", path: ["snapshot", "html"] },
+      ],
+      keep: null,
+      drop: [["debug"], ["trace"]],
+      rename: [[["pk"], ["id"]]],
+    })
+  })
+
+  it("should reject invalid mapping files", async () => {
+    const mappingFile = join(testDir, "mapping.yaml")
+
+    writeFileSync(mappingFile, "payload: body\nfields: [id]\n")
+    await assert.rejects(loadFieldMapping({ mapping: mappingFile }), /unknown key fields/)
+
+    writeFileSync(mappingFile, "keep: [id, 3]\n")
+    await assert.rejects(loadFieldMapping({ mapping: mappingFile }), /keep must be a field path/)
+
+    writeFileSync(mappingFile, "drop: a..b\n")
+    await assert.rejects(loadFieldMapping({ mapping: mappingFile }), /Invalid field path: a..b/)
+
+    await assert.rejects(
+      loadFieldMapping({ mapping: join(testDir, "missing.yaml") }),
+      /Field mapping file not found/,
+    )
+  })
+
+  it("should select kept fields without the payloads and apply renames", async () => {
+    const item = { id: 1, body: "zip", snapshot: { url: "u", html: "zip" }, debug: true }
+    const mapping = await loadFieldMapping({
+      payload: ["snapshot.html"],
+      keep: ["id", "snapshot"],
+      rename: { "snapshot.url": "url" },
+    })
+
+    const selected = selectFields(item, mapping)
+    assert.deepEqual(selected, { id: 1, snapshot: { url: "u" } })
+    assert.equal(item.snapshot.html, "zip")
+
+    selected.snapshot.html = "<html></html>"
+    renameFields(selected, mapping)
+    assert.deepEqual(selected, { id: 1, snapshot: { html: "<html></html>" }, url: "u" })
+  })
+})
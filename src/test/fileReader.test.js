@@ -0,0 +1,41 @@
+import { describe, it, beforeEach, afterEach } from "node:test"
+import { strict as assert } from "node:assert"
+import { fileURLToPath } from "url"
+import { dirname, join } from "path"
+import { writeFileSync, mkdirSync, rmSync } from "fs"
+import { readLines, readLineByLine } from "../lib/fileReader.js"
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+
+describe("File Reader", () => {
+  const testDir = join(__dirname, "test-data-reader")
+  const inputFile = join(testDir, "lines.txt")
+
+  beforeEach(() => {
+    mkdirSync(testDir, { recursive: true })
+    writeFileSync(inputFile, "first\r\nsecond\n\nfourth")
+  })
+
+  afterEach(() => {
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  it("should yield lines one at a time", async () => {
+    const lines = []
+    for await (const line of readLines(inputFile)) {
+      lines.push(line)
+    }
+    assert.deepEqual(lines, ["first", "second", "", "fourth"])
+  })
+
+  it("should stop reading when the consumer stops early", async () => {
+    for await (const line of readLines(inputFile)) {
+      assert.equal(line, "first")
+      break
+    }
+  })
+
+  it("should still collect all lines with readLineByLine", async () => {
+    assert.deepEqual(await readLineByLine(inputFile), ["first", "second", "", "fourth"])
+  })
+})
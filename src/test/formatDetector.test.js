@@ -0,0 +1,49 @@
+import { describe, it } from "node:test"
+import { strict as assert } from "node:assert"
+import { deflate, deflateRaw, gzip } from "pako"
+import { detectFormat, probeDecompression } from "../lib/formatDetector.js"
+
+describe("Format Detector", () => {
+  const testData = "Format detection test. ".repeat(100)
+
+  it("should detect gzip from its magic bytes", () => {
+    const analysis = detectFormat(gzip(testData, { level: 9 }))
+    assert.equal(analysis.format, "gzip")
+    assert.equal(analysis.levelHint, "maximum")
+    assert.equal(analysis.needsDictionary, false)
+  })
+
+  it("should detect zlib and report window size and level", () => {
+    const analysis = detectFormat(deflate(testData, { level: 1 }))
+    assert.equal(analysis.format, "deflate")
+    assert.equal(analysis.windowSize, 32768)
+    assert.equal(analysis.levelHint, "fastest")
+  })
+
+  it("should report the dictionary id of a zlib stream that needs one", () => {
+    const analysis = detectFormat(deflate(testData, { dictionary: "Format detection" }))
+    assert.equal(analysis.format, "deflate")
+    assert.equal(analysis.needsDictionary, true)
+    assert.equal(typeof analysis.dictionaryId, "number")
+  })
+
+  it("should fall back to raw deflate", () => {
+    const analysis = detectFormat(deflateRaw(testData))
+    assert.equal(analysis.format, "raw")
+    assert.ok(analysis.firstBlock, "Raw analysis should report the first block type")
+  })
+
+  it("should reject data with a reserved first block type", () => {
+    assert.equal(detectFormat(Buffer.from([0x07, 0x00])).format, "unknown")
+  })
+
+  it("should probe only the first bytes of the input", () => {
+    const compressed = gzip("x".repeat(100000) + Math.random().toString().repeat(1000))
+    const analysis = detectFormat(compressed)
+    const probe = probeDecompression(compressed, analysis, 64)
+
+    assert.equal(probe.ok, true)
+    assert.equal(probe.inputBytes, 64)
+    assert.equal(probe.complete, false)
+  })
+})
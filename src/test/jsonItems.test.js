@@ -0,0 +1,103 @@
+import { describe, it, beforeEach, afterEach } from "node:test"
+import { strict as assert } from "node:assert"
+import { fileURLToPath } from "url"
+import { dirname, join } from "path"
+import { mkdirSync, rmSync, writeFileSync } from "fs"
+import { parseJsonItems, productField, readJsonItems } from "../lib/jsonItems.js"
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+/**
+ * Parse a document fed in chunks of a few bytes
+ * @param {string} text - JSON document
+ * @param {number} [size] - Chunk size in bytes
+ * @returns {Promise<Object[]>} The yielded entries
+ */
+async function parseInChunks(text, size = 3) {
+  const data = Buffer.from(text)
+  const chunks = []
+  for (let i = 0; i < data.length; i += size) {
+    chunks.push(data.subarray(i, i + size))
+  }
+
+  const entries = []
+  for await (const entry of parseJsonItems(chunks)) {
+    entries.push(entry)
+  }
+  return entries
+}
+
+describe("JSON items", () => {
+  const testDir = join(__dirname, "test-data", "json-items")
+
+  beforeEach(() => {
+    mkdirSync(testDir, { recursive: true })
+  })
+
+  afterEach(() => {
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  it("should yield the items of a top-level array across chunk boundaries", async () => {
+    const items = [{ html: 'say "]," \\ done' }, 2, "text", null, [1, [2]], { name: "café €" }]
+    const entries = await parseInChunks(JSON.stringify(items, null, 2))
+
+    assert.deepEqual(entries.map((entry) => entry.item), items)
+    assert.ok(entries.every((entry) => entry.source === "array"))
+  })
+
+  it("should yield the items of an Items array and skip the other fields", async () => {
+    const document = {
+      Count: 2,
+      Other: [{ Items: [9] }],
+      Items: [{ id: { S: "a" } }, { nested: { Items: [1] } }],
+      LastEvaluatedKey: { id: { S: "b" } },
+    }
+    const entries = await parseInChunks(JSON.stringify(document), 1)
+
+    assert.deepEqual(entries, [
+      { source: "Items", item: { id: { S: "a" } } },
+      { source: "Items", item: { nested: { Items: [1] } } },
+    ])
+  })
+
+  it("should yield nothing for empty arrays and null Items", async () => {
+    for (const text of ["[]", '{"Items": []}', '{"Items": null, "Count": 0}']) {
+      assert.deepEqual(await parseInChunks(text), [])
+    }
+  })
+
+  it("should reject documents without an items array", async () => {
+    for (const text of ["{}", '{"Items": "x"}', "5", '"text"']) {
+      await assert.rejects(parseInChunks(text), /must be an array or contain an Items array/)
+    }
+  })
+
+  it("should reject malformed JSON", async () => {
+    await assert.rejects(parseInChunks('[{"a": 1}'), /Failed to parse JSON: Unexpected end/)
+    await assert.rejects(parseInChunks("[1,,2]"), /Failed to parse JSON: Unexpected ","/)
+    await assert.rejects(parseInChunks("[1,]"), /Failed to parse JSON: Unexpected "\]"/)
+    await assert.rejects(parseInChunks('[{"a":}]'), /Failed to parse JSON: .* at position 1/)
+    await assert.rejects(parseInChunks("[1] 2"), /after JSON at position 4/)
+  })
+
+  it("should read items from a file", async () => {
+    const filePath = join(testDir, "items.json")
+    writeFileSync(filePath, JSON.stringify({ Items: [{ id: 1 }, { id: 2 }] }))
+
+    const ids = []
+    for await (const entry of readJsonItems(filePath)) {
+      ids.push(entry.item.id)
+    }
+    assert.deepEqual(ids, [1, 2])
+  })
+
+  it("should read product fields from the item or its product", () => {
+    const item = { id: "outer", product: { id: "inner", rawHtml: "eJw=" } }
+
+    assert.equal(productField(item, "id"), "outer")
+    assert.equal(productField(item, "rawHtml"), "eJw=")
+    assert.equal(productField({ product: "none" }, "rawHtml"), null)
+  })
+})
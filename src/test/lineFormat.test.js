@@ -0,0 +1,57 @@
+import { describe, it } from "node:test"
+import { strict as assert } from "node:assert"
+import { createLineParser, parseLineFormat } from "../lib/lineFormat.js"
+
+describe("Line formats", () => {
+  it("should pass plain lines through and skip blanks and comments", () => {
+    const parser = createLineParser({ lineFormat: "plain" })
+
+    assert.deepEqual(parser.parse("  eJz7/z4AAQ==  "), { payload: "eJz7/z4AAQ==", key: null })
+    assert.equal(parser.parse(""), null)
+    assert.equal(parser.parse("# a comment"), null)
+  })
+
+  it("should take the last TSV column by default and a key by index", () => {
+    const parser = createLineParser({ lineFormat: "tsv", keyColumn: "1" })
+
+    assert.deepEqual(parser.parse("order-1\t2024-01-01\tpayload"), {
+      payload: "payload",
+      key: "order-1",
+    })
+
+    const short = createLineParser({ lineFormat: "tsv", payloadColumn: "3" }).parse("a\tb")
+    assert.match(short.error.message, /column 3 is missing/)
+  })
+
+  it("should resolve CSV columns by header name and honour quotes", () => {
+    const parser = createLineParser({
+      lineFormat: "csv",
+      header: true,
+      payloadColumn: "data",
+      keyColumn: "id",
+    })
+
+    assert.equal(parser.parse("id,note,data"), null)
+    assert.deepEqual(parser.parse('7,"hello, ""world""",cGF5bG9hZA=='), {
+      payload: "cGF5bG9hZA==",
+      key: "7",
+    })
+    assert.match(parser.parse('8,"unterminated,x').error.message, /Unterminated quoted CSV field/)
+  })
+
+  it("should use a custom comment prefix", () => {
+    const parser = createLineParser({ lineFormat: "csv", comment: "//" })
+
+    assert.equal(parser.parse("// skipped"), null)
+    assert.deepEqual(parser.parse("#kept"), { payload: "#kept", key: null })
+  })
+
+  it("should reject unknown columns and options that need a column format", () => {
+    const parser = createLineParser({ lineFormat: "csv", header: true, payloadColumn: "data" })
+    assert.throws(() => parser.parse("id,payload"), /Column "data" not found in header/)
+
+    assert.throws(() => createLineParser({ lineFormat: "tsv", payloadColumn: "data" }), /--header/)
+    assert.throws(() => createLineParser({ lineFormat: "plain", keyColumn: "1" }), /--line-format/)
+    assert.throws(() => parseLineFormat("json"), /Invalid line format: json/)
+  })
+})
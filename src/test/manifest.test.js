@@ -0,0 +1,123 @@
+import { describe, it, beforeEach, afterEach } from "node:test"
+import { strict as assert } from "node:assert"
+import { fileURLToPath } from "url"
+import { dirname, join } from "path"
+import { mkdirSync, readFileSync, rmSync } from "fs"
+import { createManifest, parseManifestFormat, readManifest, sha256 } from "../lib/manifest.js"
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+/**
+ * Collect the records readManifest yields
+ * @param {...*} args - Arguments for readManifest
+ * @returns {Promise<Object[]>} The records
+ */
+async function readRecords(...args) {
+  const records = []
+  for await (const record of readManifest(...args)) {
+    records.push(record)
+  }
+  return records
+}
+
+describe("Manifest", () => {
+  const testDir = join(__dirname, "test-data", "manifest")
+  const columns = ["line", "status", "path", "duplicateOf", "sha256", "error"]
+  const first = { line: 1, status: "ok", path: "out_1.txt", duplicateOf: null, sha256: "aa" }
+  const failed = { line: 2, status: "error", error: 'Bad "input", twice\nover' }
+  const duplicate = { line: 3, status: "ok", path: "out_1.txt", duplicateOf: 1, sha256: "aa" }
+
+  beforeEach(() => {
+    mkdirSync(testDir, { recursive: true })
+  })
+
+  afterEach(() => {
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  it("should validate manifest formats and hash content", () => {
+    assert.equal(parseManifestFormat("csv"), "csv")
+    assert.throws(() => parseManifestFormat("xml"), /Invalid manifest format: xml/)
+    assert.equal(sha256("abc"), "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad")
+  })
+
+  it("should write a JSON array with one record per line", async () => {
+    const filePath = join(testDir, "manifest.json")
+    const manifest = await createManifest(filePath, "json", columns)
+    await manifest.add(first)
+    await manifest.add(failed)
+    await manifest.close()
+
+    const text = readFileSync(filePath, "utf8")
+    assert.equal(text.split("\n").length, 5)
+    assert.deepEqual(JSON.parse(text), [
+      { ...first, error: null },
+      { ...failed, path: null, duplicateOf: null, sha256: null },
+    ])
+  })
+
+  it("should write CSV with a header row and quoted fields", async () => {
+    const filePath = join(testDir, "manifest.csv")
+    const manifest = await createManifest(filePath, "csv", columns)
+    await manifest.add(first)
+    await manifest.add(failed)
+    await manifest.close()
+
+    assert.equal(
+      readFileSync(filePath, "utf8"),
+      "line,status,path,duplicateOf,sha256,error\n" +
+        "1,ok,out_1.txt,,aa,\n" +
+        '2,error,,,,"Bad ""input"", twice over"\n',
+    )
+    assert.deepEqual((await readRecords(filePath, "csv", columns))[0], {
+      ...first,
+      line: "1",
+      error: null,
+    })
+  })
+
+  it("should index written content and not duplicates", async () => {
+    const filePath = join(testDir, "manifest.json")
+    const manifest = await createManifest(filePath, "json", columns, null, { index: true })
+    assert.equal(manifest.lookup("aa"), null)
+
+    await manifest.add(first)
+    await manifest.add(duplicate)
+    assert.deepEqual(manifest.lookup("aa"), { path: "out_1.txt", line: 1 })
+
+    await manifest.close()
+    assert.equal(JSON.parse(readFileSync(filePath, "utf8")).length, 2)
+  })
+
+  it("should keep no index without the index option", async () => {
+    const manifest = await createManifest(join(testDir, "manifest.json"), "json", columns)
+    await manifest.add(first)
+    await manifest.close()
+
+    assert.equal(manifest.lookup("aa"), null)
+  })
+
+  for (const format of ["json", "csv"]) {
+    it(`should resume a ${format} manifest from a saved position`, async () => {
+      const filePath = join(testDir, `manifest.${format}`)
+      const manifest = await createManifest(filePath, format, columns)
+      await manifest.add(first)
+      const saved = manifest.position()
+      await manifest.add(failed) // Lost when the run is resumed
+      await manifest.close()
+
+      const resumed = await createManifest(filePath, format, columns, saved, { index: true })
+      assert.equal(resumed.lookup("aa").path, "out_1.txt")
+      await resumed.add(duplicate)
+      await resumed.close()
+
+      const records = await readRecords(filePath, format, columns)
+      assert.deepEqual(records.map((record) => String(record.line)), ["1", "3"])
+      assert.equal(resumed.count, 2)
+      if (format === "json") {
+        assert.equal(JSON.parse(readFileSync(filePath, "utf8")).length, 2)
+      }
+    })
+  }
+})
@@ -6,6 +6,7 @@ import { readFileSync, writeFileSync, mkdirSync, rmSync, existsSync, readdirSync
 import { deflate } from "pako"
 import { encodeBase64 } from "../lib/encoding.js"
 import { load } from "js-yaml"
+import { gunzipSync } from "zlib"
 
 // Mock the commander program
 function mockProgram() {
@@ -91,6 +92,9 @@ describe("Parse JSON Command", () => {
 
     // Restore console
     mock.restoreAll()
+
+    // Runs with failed entries set a non-zero exit code
+    process.exitCode = undefined
   })
 
   // Helper function to create old format test JSON
@@ -302,4 +306,379 @@ describe("Parse JSON Command", () => {
     assert.equal(item.name, "Test Product 1", "Item should have correct name")
     assert.ok(item.rawHtml.includes("<h1>Test HTML</h1>"), "Item should have decompressed HTML")
   })
+
+  it("should stop on SIGINT and resume from the checkpoint", async () => {
+    const { setupParseJsonCommand } = await import("../commands/parse-json.js")
+
+    const program = mockProgram()
+    setupParseJsonCommand(program)
+
+    const inputFile = join(testDir, "test-json-resume.json")
+    const items = ["one", "two", "three"].map((name) => ({
+      id: name,
+      name,
+      rawHtml: encodeBase64(Buffer.from(deflate(`<p>${name}</p>`))),
+    }))
+    writeFileSync(inputFile, JSON.stringify(items))
+
+    const outputFile = join(outputDir, "resume.yaml")
+    const checkpointFile = join(outputDir, "resume.checkpoint.json")
+    const options = {
+      input: inputFile,
+      output: outputFile,
+      format: "deflate",
+      checkpoint: checkpointFile,
+      debug: false,
+    }
+
+    // Press Ctrl-C while the first item is being decoded
+    mock.method(console, "error", (message) => {
+      if (String(message).startsWith("Decoded")) process.emit("SIGINT")
+    })
+
+    await program.executeAction({ ...options, verbose: true })
+
+    assert.equal(process.exitCode, 130)
+    assert.deepEqual(load(readFileSync(outputFile, "utf8")).map((item) => item.id), ["one"])
+    const checkpoint = JSON.parse(readFileSync(checkpointFile, "utf8"))
+    assert.equal(checkpoint.completedThrough, 0)
+    assert.equal(checkpoint.complete, false)
+
+    mock.method(console, "error", () => {})
+    await program.executeAction({ ...options, resume: true, summary: true })
+
+    assert.deepEqual(
+      load(readFileSync(outputFile, "utf8")).map((item) => item.id),
+      ["one", "two", "three"],
+    )
+    assert.equal(JSON.parse(readFileSync(checkpointFile, "utf8")).complete, true)
+
+    const messages = console.error.mock.calls.map((call) => call.arguments.join(" "))
+    assert.ok(messages.includes("  Success: 3"))
+  })
+
+  it("should write the YAML list into a tar.gz archive", async () => {
+    const { setupParseJsonCommand } = await import("../commands/parse-json.js")
+
+    const program = mockProgram()
+    setupParseJsonCommand(program)
+
+    const archivePath = join(outputDir, "items.tar.gz")
+    await program.executeAction({
+      input: join(testDir, "test-json-old.json"),
+      output: archivePath,
+      format: "deflate",
+      verbose: false,
+      debug: false,
+    })
+
+    // A single tar entry: name at 0, octal size at 124, contents from 512
+    const archive = gunzipSync(readFileSync(archivePath))
+    const size = parseInt(archive.toString("latin1", 124, 136), 8)
+    assert.equal(archive.toString("utf8", 0, 100).replace(/\0.*$/s, ""), "items.yaml")
+
+    const items = load(archive.toString("utf8", 512, 512 + size))
+    assert.deepEqual(items.map((item) => item.id), ["test-id-1"])
+
+    // The list was spooled next to the archive, and the spooled file removed
+    assert.deepEqual(readdirSync(outputDir), ["items.tar.gz"])
+  })
+
+  it("should leave out duplicate rawHtml and list items in a CSV manifest", async () => {
+    const { setupParseJsonCommand } = await import("../commands/parse-json.js")
+
+    const program = mockProgram()
+    setupParseJsonCommand(program)
+
+    const inputFile = join(testDir, "test-json-dedup.json")
+    const html = (text) => encodeBase64(Buffer.from(deflate(text)))
+    const items = [
+      { id: "first", name: "First", rawHtml: html("<p>same</p>") },
+      { id: "second", name: "Second", rawHtml: html("<p>other</p>") },
+      { id: "third", name: "Third", rawHtml: html("<p>same</p>") },
+    ]
+    writeFileSync(inputFile, JSON.stringify(items))
+
+    const outputFile = join(outputDir, "dedup.yaml")
+    await program.executeAction({
+      input: inputFile,
+      output: outputFile,
+      format: "deflate",
+      manifest: "csv",
+      dedup: true,
+      verbose: false,
+      debug: false,
+    })
+
+    const parsed = load(readFileSync(outputFile, "utf8"))
+    assert.equal(parsed[0].rawHtml, "<p>same</p>")
+    assert.equal(parsed[2].rawHtml, null)
+    assert.equal(parsed[2].duplicateOf, "first")
+
+    const rows = readFileSync(join(outputDir, "dedup.manifest.csv"), "utf8").trim().split("\n")
+    assert.ok(rows[0].startsWith("item,id,status,path,duplicateOf,sha256,"))
+    assert.equal(rows.length, 4)
+    assert.ok(rows[3].startsWith("3,third,ok,dedup.yaml,1,"))
+  })
+
+  it("should read items wrapped in product.Value, as in the shipped fixture", async () => {
+    const { setupParseJsonCommand } = await import("../commands/parse-json.js")
+
+    const program = mockProgram()
+    setupParseJsonCommand(program)
+
+    const outputFile = join(outputDir, "fixture.yaml")
+    await program.executeAction({
+      input: join(__dirname, "..", "..", "test-data", "test-json.json"),
+      output: outputFile,
+      format: "auto",
+      verbose: false,
+      debug: false,
+    })
+
+    const parsed = load(readFileSync(outputFile, "utf8"))
+    assert.equal(process.exitCode, 0)
+    assert.equal(parsed.length, 3)
+    assert.equal(parsed[0].id, "test-id-13")
+    assert.equal(parsed[0].imageUrl, "https://example.com/image.jpg")
+    assert.equal(parsed[0].category, "crackers")
+    assert.equal(parsed[0].domain, "www.amazon.com")
+    assert.equal(parsed[0].timestamp, "2025-04-12T21:05:53.027Z")
+    assert.ok(parsed[0].rawHtml.startsWith("<h1>Product Details</h1>"))
+  })
+
+  it("should pass rawHtml through when the compressed flag is false", async () => {
+    const { setupParseJsonCommand } = await import("../commands/parse-json.js")
+
+    const program = mockProgram()
+    setupParseJsonCommand(program)
+
+    const inputFile = join(testDir, "test-json-uncompressed.json")
+    const product = (id, rawHtml, compressed) => ({
+      category: { Value: "snacks" },
+      domain: { Value: "www.example.com" },
+      timestamp: { Value: "2025-01-02T03:04:05.000Z" },
+      product: {
+        Value: {
+          compressed: { Value: compressed },
+          id: { Value: id },
+          name: { Value: `Product ${id}` },
+          rawHtml: { Value: rawHtml },
+        },
+      },
+    })
+    const items = [
+      product("plain", "<p>not compressed</p>", false),
+      product("packed", encodeBase64(Buffer.from(deflate("<p>compressed</p>"))), true),
+    ]
+    writeFileSync(inputFile, JSON.stringify({ Items: items }))
+
+    const outputFile = join(outputDir, "uncompressed.yaml")
+    await program.executeAction({
+      input: inputFile,
+      output: outputFile,
+      format: "auto",
+      verbose: false,
+      debug: false,
+    })
+
+    const parsed = load(readFileSync(outputFile, "utf8"))
+    assert.deepEqual(
+      parsed.map((item) => [item.id, item.rawHtml, item.category]),
+      [
+        ["plain", "<p>not compressed</p>", "snacks"],
+        ["packed", "<p>compressed</p>", "snacks"],
+      ],
+    )
+  })
+
+  it("should unmarshall typed DynamoDB attributes and decompress binary rawHtml", async () => {
+    const { setupParseJsonCommand } = await import("../commands/parse-json.js")
+
+    const program = mockProgram()
+    setupParseJsonCommand(program)
+
+    const inputFile = join(testDir, "test-json-dynamodb.json")
+    const compressed = Buffer.from(deflate("<p>binary</p>")).toString("base64")
+    const items = [
+      {
+        id: { S: "typed-1" },
+        name: { S: "Typed Product" },
+        ttl: { N: "1735689600" },
+        isSponsored: { BOOL: true },
+        price: { NULL: true },
+        product: {
+          M: { rawHtml: { B: compressed }, imageUrl: { S: "https://example.com/i.png" } },
+        },
+      },
+      { id: { S: "typed-2" }, name: { S: "Text Product" }, rawHtml: { S: compressed } },
+    ]
+    writeFileSync(inputFile, JSON.stringify({ Items: items, Count: 2 }))
+
+    const outputFile = join(outputDir, "dynamodb.yaml")
+    await program.executeAction({
+      input: inputFile,
+      output: outputFile,
+      format: "auto",
+      verbose: false,
+      debug: false,
+    })
+
+    const [first, second] = load(readFileSync(outputFile, "utf8"))
+    assert.equal(first.id, "typed-1")
+    assert.equal(first.ttl, 1735689600)
+    assert.equal(first.isSponsored, true)
+    assert.equal(first.price, null)
+    assert.equal(first.imageUrl, "https://example.com/i.png")
+    assert.equal(first.rawHtml, "<p>binary</p>")
+    assert.equal(second.rawHtml, "<p>binary</p>")
+  })
+
+  it("should unmarshall typed attributes of items in a top-level array", async () => {
+    const { setupParseJsonCommand } = await import("../commands/parse-json.js")
+
+    const program = mockProgram()
+    setupParseJsonCommand(program)
+
+    const inputFile = join(testDir, "test-json-dynamodb-array.json")
+    const compressed = Buffer.from(deflate("<p>array</p>")).toString("base64")
+    const items = [
+      { id: { S: "typed-array-1" }, name: "Array Product", rawHtml: { B: compressed } },
+    ]
+    writeFileSync(inputFile, JSON.stringify(items))
+
+    const outputFile = join(outputDir, "dynamodb-array.yaml")
+    await program.executeAction({
+      input: inputFile,
+      output: outputFile,
+      format: "auto",
+      verbose: false,
+      debug: false,
+    })
+
+    const [item] = load(readFileSync(outputFile, "utf8"))
+    assert.equal(item.id, "typed-array-1")
+    assert.equal(item.name, "Array Product")
+    assert.equal(item.rawHtml, "<p>array</p>")
+  })
+
+  it("should decompress mapped payload fields and keep, drop and rename the others", async () => {
+    const { setupParseJsonCommand } = await import("../commands/parse-json.js")
+
+    const program = mockProgram()
+    setupParseJsonCommand(program)
+
+    const inputFile = join(testDir, "test-json-snapshots.json")
+    const compress = (text) => encodeBase64(Buffer.from(deflate(text)))
+    const items = [
+      {
+        pk: "page-1",
+        fetchedAt: "2025-02-03T04:05:06.000Z",
+        snapshot: { html: compress("<html>one</html>"), status: 200 },
+        body: compress('{"ok":true}'),
+        debug: { worker: 7 },
+      },
+    ]
+    writeFileSync(inputFile, JSON.stringify(items))
+
+    const outputFile = join(outputDir, "snapshots.yaml")
+    await program.executeAction({
+      input: inputFile,
+      output: outputFile,
+      format: "auto",
+      payload: ["snapshot.html", "$.body"],
+      drop: ["debug"],
+      rename: { pk: "id", "snapshot.html": "html" },
+      verbose: false,
+      debug: false,
+    })
+
+    const [item] = load(readFileSync(outputFile, "utf8"))
+    assert.deepEqual(item, {
+      id: "page-1",
+      fetchedAt: "2025-02-03T04:05:06.000Z",
+      snapshot: { status: 200 },
+      body: '{"ok":true}',
+      html: "<html>one</html>",
+    })
+  })
+
+  it("should read a field mapping file and report items missing a payload", async () => {
+    const { setupParseJsonCommand } = await import("../commands/parse-json.js")
+
+    const program = mockProgram()
+    setupParseJsonCommand(program)
+
+    const inputFile = join(testDir, "test-json-mapped.json")
+    const items = [
+      {
+        id: { S: "a" },
+        title: { S: "First" },
+        extra: { N: "1" },
+        body: { S: encodeBase64(Buffer.from(deflate("hello"))) },
+      },
+      { id: { S: "b" }, title: { S: "No body" } },
+    ]
+    writeFileSync(inputFile, JSON.stringify({ Items: items }))
+
+    const mappingFile = join(outputDir, "mapping.yaml")
+    writeFileSync(mappingFile, "payload: body\nkeep: [id, title]\nrename:\n  title: name\n")
+
+    const outputFile = join(outputDir, "mapped.yaml")
+    await program.executeAction({
+      input: inputFile,
+      output: outputFile,
+      format: "auto",
+      mapping: mappingFile,
+      manifest: "json",
+      verbose: false,
+      debug: false,
+    })
+
+    assert.deepEqual(load(readFileSync(outputFile, "utf8")), [
+      { id: "a", name: "First", body: "hello" },
+    ])
+    const manifest = JSON.parse(readFileSync(join(outputDir, "mapped.manifest.json"), "utf8"))
+    assert.deepEqual(
+      manifest.map((record) => [record.id, record.status, record.error]),
+      [
+        ["a", "ok", null],
+        ["b", "error", "Item missing required body field"],
+      ],
+    )
+    assert.equal(process.exitCode, 2)
+  })
+
+  it("should stream items from a large export and sample them as they are read", async () => {
+    const { setupParseJsonCommand } = await import("../commands/parse-json.js")
+
+    const program = mockProgram()
+    setupParseJsonCommand(program)
+
+    // Payloads far larger than a read chunk, with fields after the Items array
+    const inputFile = join(testDir, "test-json-large.json")
+    const html = (i) => `<p>${String(i).repeat(100000)}</p>`
+    const items = Array.from({ length: 5 }, (_, i) => ({
+      id: { S: `large-${i}` },
+      rawHtml: { S: encodeBase64(Buffer.from(deflate(html(i), { level: 0 }))) },
+    }))
+    writeFileSync(inputFile, JSON.stringify({ Items: items, Count: 5, ScannedCount: 5 }))
+
+    const outputFile = join(outputDir, "large.yaml")
+    await program.executeAction({ input: inputFile, output: outputFile, format: "auto" })
+
+    const parsed = load(readFileSync(outputFile, "utf8"))
+    assert.deepEqual(
+      parsed.map((item) => [item.id, item.rawHtml === html(Number(item.id.slice(6)))]),
+      [0, 1, 2, 3, 4].map((i) => [`large-${i}`, true]),
+    )
+
+    const sampleFile = join(outputDir, "sample.yaml")
+    await program.executeAction({ input: inputFile, output: sampleFile, format: "auto", sample: 2 })
+
+    const sampled = load(readFileSync(sampleFile, "utf8")).map((item) => item.id)
+    assert.equal(sampled.length, 2)
+    assert.equal(new Set(sampled).size, 2)
+    assert.ok(sampled.every((id) => id.startsWith("large-")))
+  })
 })
@@ -0,0 +1,65 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test"
+import { strict as assert } from "node:assert"
+import { deflate, deflateRaw, gzip } from "pako"
+import { peelLayers, formatLayerChain } from "../lib/peeler.js"
+import { createOutputLimits } from "../lib/limits.js"
+import { LimitExceededError } from "../lib/errors.js"
+
+describe("Peeler", () => {
+  const content = "<html><body>Innermost content</body></html>"
+
+  beforeEach(() => {
+    mock.method(console, "error", () => {})
+  })
+
+  afterEach(() => {
+    mock.restoreAll()
+  })
+
+  it("should peel base64 of gzip of JSON holding base64 of deflate", () => {
+    const inner = Buffer.from(deflate(content)).toString("base64")
+    const json = JSON.stringify({ id: "capture-0001", payload: { body: inner } })
+    const input = Buffer.from(Buffer.from(gzip(json)).toString("base64"))
+
+    const result = peelLayers(input, {})
+
+    assert.equal(result.data.toString(), content)
+    assert.equal(
+      formatLayerChain(result.layers),
+      "base64 -> gzip -> json field payload.body -> base64 -> deflate",
+    )
+    assert.equal(result.maxDepthReached, false)
+  })
+
+  it("should peel hex of raw deflate", () => {
+    const input = Buffer.from(Buffer.from(deflateRaw(content)).toString("hex"))
+    const result = peelLayers(input, {})
+
+    assert.equal(result.data.toString(), content)
+    assert.equal(formatLayerChain(result.layers), "hex -> raw")
+  })
+
+  it("should leave plain content alone", () => {
+    for (const plain of ["Plain text with spaces", "abcdefgh12345678", '{"key":"value"}']) {
+      const result = peelLayers(Buffer.from(plain), {})
+      assert.equal(result.data.toString(), plain)
+      assert.equal(formatLayerChain(result.layers), "(none)")
+    }
+  })
+
+  it("should stop at the maximum depth", () => {
+    const input = Buffer.from(Buffer.from(gzip(gzip(content))).toString("base64"))
+    const result = peelLayers(input, { maxDepth: 2 })
+
+    assert.equal(formatLayerChain(result.layers), "base64 -> gzip")
+    assert.equal(result.maxDepthReached, true)
+  })
+
+  it("should apply output limits to every layer", () => {
+    const input = Buffer.from(gzip(new Uint8Array(1024 * 1024)))
+    assert.throws(
+      () => peelLayers(input, { limits: createOutputLimits({ maxOutput: 1024 }) }),
+      LimitExceededError,
+    )
+  })
+})
@@ -0,0 +1,94 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test"
+import { strict as assert } from "node:assert"
+import { Readable } from "stream"
+import { deflate, deflateRaw, gzip } from "pako"
+import { createDecompressTransform } from "../lib/streamDecompressor.js"
+
+/**
+ * Run chunks through the decompress transform and collect the output
+ * @param {Uint8Array} data - Compressed data
+ * @param {Object} options - Command line options
+ * @param {number} chunkSize - Size of the chunks fed to the transform
+ * @returns {Promise<Buffer>} Decompressed output
+ */
+async function runTransform(data, options, chunkSize = 7) {
+  const chunks = []
+  for (let i = 0; i < data.length; i += chunkSize) {
+    chunks.push(Buffer.from(data.subarray(i, i + chunkSize)))
+  }
+
+  const output = []
+  for await (const chunk of createDecompressTransform(options)(Readable.from(chunks))) {
+    output.push(Buffer.from(chunk))
+  }
+  return Buffer.concat(output)
+}
+
+describe("Stream Decompressor", () => {
+  const testData = "Streaming test data. ".repeat(500)
+
+  beforeEach(() => {
+    mock.method(console, "error", () => {})
+  })
+
+  afterEach(() => {
+    mock.restoreAll()
+  })
+
+  it("should stream gzip, deflate and raw data in small chunks", async () => {
+    for (const compress of [gzip, deflate, deflateRaw]) {
+      const result = await runTransform(compress(testData), { format: "auto" })
+      assert.equal(result.toString(), testData)
+    }
+  })
+
+  it("should honour an explicit format", async () => {
+    const result = await runTransform(deflateRaw(testData), { format: "raw" }, 1024)
+    assert.equal(result.toString(), testData)
+  })
+
+  it("should reject a truncated stream", async () => {
+    const compressed = gzip(testData)
+    await assert.rejects(
+      runTransform(compressed.subarray(0, compressed.length - 20), { format: "auto" }),
+      /Unexpected end of compressed stream/,
+    )
+  })
+
+  it("should keep partial output with recover and record the failure", async () => {
+    const compressed = gzip(testData)
+    const options = { format: "auto", recover: true }
+    const result = await runTransform(compressed.subarray(0, compressed.length - 20), options)
+
+    assert.ok(testData.startsWith(result.toString()))
+    assert.equal(options.failure.message, "Unexpected end of compressed stream")
+    assert.equal(options.failure.offset, compressed.length - 20)
+  })
+
+  it("should reject empty input", async () => {
+    await assert.rejects(runTransform(new Uint8Array(0), {}), /No input data received/)
+  })
+
+  it("should decode concatenated gzip members at any chunk boundary", async () => {
+    const members = Buffer.concat([gzip(testData), gzip("second member ünïcode")])
+    const expected = testData + "second member ünïcode"
+
+    for (const chunkSize of [1, 7, 1024, 65536]) {
+      const result = await runTransform(members, { format: "auto", string: true }, chunkSize)
+      assert.equal(result.toString(), expected, `chunk size ${chunkSize}`)
+    }
+  })
+
+  it("should ignore trailing bytes unless strict", async () => {
+    const padded = Buffer.concat([gzip(testData), Buffer.from("padding\0\0")])
+
+    const result = await runTransform(padded, { format: "auto" })
+    assert.equal(result.toString(), testData)
+
+    await assert.rejects(
+      runTransform(padded, { format: "auto", strict: true }),
+      /Unexpected 9 trailing bytes after end of compressed stream/,
+    )
+  })
+})
+
@@ -0,0 +1,35 @@
+import { describe, it } from "node:test"
+import { strict as assert } from "node:assert"
+import { setTimeout as delay } from "timers/promises"
+import { mapInOrder, parseConcurrency } from "../lib/workerPool.js"
+
+describe("Worker Pool", () => {
+  it("should yield results in input order with bounded concurrency", async () => {
+    let running = 0
+    let maxRunning = 0
+
+    const slowDouble = async (n) => {
+      running++
+      maxRunning = Math.max(maxRunning, running)
+      await delay((5 - n) * 5)
+      running--
+      if (n === 2) throw new Error("two")
+      return n * 2
+    }
+
+    const outcomes = []
+    for await (const outcome of mapInOrder([0, 1, 2, 3, 4], slowDouble, 3)) {
+      outcomes.push(outcome.error ? outcome.error.message : outcome.result)
+    }
+
+    assert.deepEqual(outcomes, [0, 2, "two", 6, 8])
+    assert.ok(maxRunning <= 3, "No more than three calls should run at once")
+  })
+
+  it("should parse the concurrency option", () => {
+    assert.equal(parseConcurrency("4"), 4)
+    assert.ok(parseConcurrency("auto") >= 1)
+    assert.throws(() => parseConcurrency("0"), /Invalid concurrency: 0/)
+    assert.throws(() => parseConcurrency("two"), /Invalid concurrency: two/)
+  })
+})